@@ -0,0 +1,66 @@
+document.getElementById('change-password-button').addEventListener('click', async () => {
+    const currentPassword = document.getElementById('current-password').value;
+    const newPassword = document.getElementById('new-password').value;
+    const confirmPassword = document.getElementById('confirm-password').value;
+    const message = document.getElementById('login-message');
+
+    if (newPassword !== confirmPassword) {
+        message.style.color = 'red';
+        message.textContent = 'New passwords do not match.';
+        return;
+    }
+
+    try {
+        const response = await fetch('/change-password', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ currentPassword, newPassword })
+        });
+
+        const result = await response.json();
+
+        if (response.ok) {
+            message.style.color = 'green';
+            message.textContent = result.message;
+            setTimeout(() => {
+                window.location.href = '/to-do';
+            }, 1000);
+        } else {
+            message.style.color = 'red';
+            message.textContent = result.message;
+        }
+    } catch (err) {
+        console.error('Error changing password:', err);
+        message.style.color = 'red';
+        message.textContent = 'An error occurred. Please try again.';
+    }
+});
+
+const numberingButton = document.getElementById('tooth-numbering-button');
+
+if (numberingButton) {
+    numberingButton.addEventListener('click', async () => {
+        const message = document.getElementById('numbering-message');
+
+        try {
+            const response = await fetch('/preferences/tooth-numbering', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ toothNumbering: document.getElementById('tooth-numbering').value })
+            });
+
+            const result = await response.json();
+
+            message.style.color = response.ok ? 'green' : 'red';
+            message.textContent = result.message;
+        } catch (err) {
+            console.error('Error saving tooth numbering:', err);
+            message.style.color = 'red';
+            message.textContent = 'An error occurred. Please try again.';
+        }
+    });
+}
@@ -1,4 +1,5 @@
 document.getElementById('login-button').addEventListener('click', async () => {
+    const username = document.getElementById('username').value;
     const password = document.getElementById('password').value;
     const loginMessage = document.getElementById('login-message');
 
@@ -8,7 +9,7 @@ document.getElementById('login-button').addEventListener('click', async () => {
             headers: {
                 'Content-Type': 'application/json'
             },
-            body: JSON.stringify({ password }) 
+            body: JSON.stringify({ username, password }) 
         });
 
         if (response.ok) {
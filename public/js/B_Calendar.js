@@ -0,0 +1,100 @@
+document.addEventListener('DOMContentLoaded', () => {
+    const calendar = document.querySelector('.calendar-file');
+    const isWeek = calendar.dataset.view === 'week';
+    const openHour = parseInt(calendar.dataset.openHour);
+    const closeHour = parseInt(calendar.dataset.closeHour);
+
+    // drops snap to this many minutes
+    const snapMinutes = 15;
+
+    let dragged = null;
+
+    async function reschedule(id, body) {
+        try {
+            const response = await fetch(`/appointments/${id}/reschedule`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body),
+            });
+            const result = await response.json();
+
+            if (response.ok) {
+                location.reload();
+                return;
+            }
+
+            if (response.status !== 409) {
+                alert(`Error: ${result.message}`);
+                return;
+            }
+
+            const conflicts = result.conflicts
+                .map(conflict => `${conflict.formattedTime}-${conflict.formattedEndTime} ${conflict.firstName} ${conflict.lastName} (${conflict.dentist}, ${conflict.chair})`)
+                .join('\n');
+            const slot = result.nextFreeSlot;
+
+            if (slot && confirm(`${result.message}\n${conflicts}\n\nThe next free slot is ${slot.date} ${slot.startTime}. Move it there instead?`)) {
+                await reschedule(id, { ...body, date: slot.date, startTime: slot.startTime });
+            } else if (confirm('Move it to the overlapping time anyway?')) {
+                await reschedule(id, { ...body, force: true });
+            }
+        } catch (error) {
+            console.error('Error rescheduling appointment:', error);
+            alert('An unexpected error occurred.');
+        }
+    }
+
+    // start time under the pointer in a week column
+    function timeAt(column, event) {
+        const rect = column.getBoundingClientRect();
+        const ratio = Math.min(Math.max((event.clientY - rect.top) / rect.height, 0), 1);
+        let minutes = openHour * 60 + ratio * (closeHour - openHour) * 60;
+
+        minutes = Math.min(Math.round(minutes / snapMinutes) * snapMinutes, closeHour * 60 - snapMinutes);
+
+        return `${Math.floor(minutes / 60).toString().padStart(2, '0')}:${(minutes % 60).toString().padStart(2, '0')}`;
+    }
+
+    document.querySelectorAll('.calendar-appointment[draggable="true"]').forEach(appointment => {
+        appointment.addEventListener('dragstart', (event) => {
+            dragged = appointment;
+            event.dataTransfer.effectAllowed = 'move';
+            event.dataTransfer.setData('text/plain', appointment.dataset.id);
+        });
+
+        appointment.addEventListener('dragend', () => {
+            dragged = null;
+        });
+    });
+
+    document.querySelectorAll('.calendar-drop').forEach(target => {
+        target.addEventListener('dragover', (event) => {
+            if (!dragged) return;
+            event.preventDefault();
+            target.classList.add('drag-over');
+        });
+
+        target.addEventListener('dragleave', () => {
+            target.classList.remove('drag-over');
+        });
+
+        target.addEventListener('drop', async (event) => {
+            event.preventDefault();
+            target.classList.remove('drag-over');
+            if (!dragged) return;
+
+            const id = dragged.dataset.id;
+
+            // the week grid moves to the dropped time and dentist, the month view keeps the time and dentist
+            const body = isWeek
+                ? { date: target.dataset.date, startTime: timeAt(target, event), dentist: target.dataset.dentist }
+                : { date: target.dataset.date, startTime: dragged.dataset.startTime };
+
+            if (!confirm(`Move this appointment to ${body.date} ${body.startTime}${isWeek ? ` (${body.dentist || 'Unassigned'})` : ''}?`)) {
+                return;
+            }
+
+            await reschedule(id, body);
+        });
+    });
+});
@@ -85,50 +85,138 @@ document.addEventListener('DOMContentLoaded', () => {
 });
 
 document.addEventListener("DOMContentLoaded", () => {
-    const deleteButton = document.querySelector(".trash-elements[data-action='delete-selected']");
+    const cancelButton = document.querySelector(".trash-elements[data-action='cancel-selected']");
     
-    deleteButton.addEventListener("click", async () => {
+    cancelButton.addEventListener("click", async () => {
         // Get all checkboxes and filter for checked ones
-        const selectedCheckboxes = Array.from(document.querySelectorAll("input[type='checkbox']:checked"));
+        const selectedCheckboxes = Array.from(document.querySelectorAll("tbody input[type='checkbox']:checked"));
         
-        // Extract patient IDs from checkboxes
+        // Extract appointment IDs from checkboxes
         const selectedIds = selectedCheckboxes.map(checkbox => checkbox.value);
         
         if (selectedIds.length === 0) {
-            alert("Please select at least one patient to delete.");
+            alert("Please select at least one appointment to cancel.");
             return;
         }
 
-        // Confirm deletion
-        const confirmDelete = confirm("Are you sure you want to delete the selected patients?");
-        if (!confirmDelete) return;
+        // appointments are cancelled with a reason rather than deleted, so their history is kept
+        const reason = prompt("Reason for cancelling the selected appointments:");
+        if (!reason || !reason.trim()) return;
 
-        // Send request to the server to remove the effectiveDate for each patient
         try {
-            const response = await fetch("/remove-effective-dates", {
+            const response = await fetch("/appointments/cancel", {
                 method: "POST",
                 headers: {
                     "Content-Type": "application/json",
                 },
-                body: JSON.stringify({ patientIds: selectedIds }),
+                body: JSON.stringify({ appointmentIds: selectedIds, reason: reason.trim() }),
             });
 
             const result = await response.json();
 
-            if (response.ok && result.success) {
-                // Remove the rows from the table
-                selectedIds.forEach(id => {
-                    const row = document.getElementById(`row-${id}`);
-                    if (row) row.remove();
-                });
-
-                alert("Selected patients removed from the To-Do list.");
-            } else {
-                alert("Failed to delete patients. Please try again.");
+            alert(result.message);
+            if (response.ok) {
+                window.location.reload();
             }
         } catch (error) {
-            console.error("Error deleting patients:", error);
-            alert("An error occurred while deleting patients.");
+            console.error("Error cancelling appointments:", error);
+            alert("An error occurred while cancelling appointments.");
         }
     });
-});
\ No newline at end of file
+});
+
+//reminders: preview the message, then optionally send it again
+document.addEventListener("click", async (event) => {
+    const button = event.target.closest(".reminder-button");
+    if (!button) return;
+
+    const id = button.dataset.id;
+    const kind = button.dataset.kind;
+
+    try {
+        const response = await fetch(`/appointments/${id}/reminder?kind=${kind}`, { cache: 'no-cache' });
+        const result = await response.json();
+
+        if (!response.ok) {
+            alert(`Error: ${result.message}`);
+            return;
+        }
+
+        const preview = result.preview;
+        const history = result.reminders
+            .map(reminder => `${new Date(reminder.sentAt).toLocaleString()} ${reminder.kind} ${reminder.status} (${reminder.to || 'no recipient'})${reminder.superseded ? ' for the earlier time' : ''}`)
+            .join("\n") || "None sent yet.";
+
+        if (!preview.to) {
+            alert(`No email or contact number for this appointment.\n\nSent so far:\n${history}`);
+            return;
+        }
+
+        if (!confirm(`To: ${preview.to} (${preview.channel}, ${preview.transport})\n${preview.subject}\n\n${preview.text}\n\nSent so far:\n${history}\n\nSend this reminder now?`)) {
+            return;
+        }
+
+        const sendResponse = await fetch(`/appointments/${id}/reminder`, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ kind }),
+        });
+        const sent = await sendResponse.json();
+
+        alert(sent.message);
+        if (sendResponse.ok) {
+            button.closest(".reminder").querySelector(".reminder-status").textContent = `${kind} sent`;
+        }
+    } catch (error) {
+        console.error("Error with reminder:", error);
+        alert("An error occurred while handling the reminder.");
+    }
+});
+
+//status workflow: check in, seat, complete, no-show or cancel with a reason
+document.addEventListener("click", async (event) => {
+    const button = event.target.closest(".status-button");
+    if (!button) return;
+
+    const container = button.closest(".appointment-status");
+    const status = button.dataset.status;
+    let reason;
+
+    if (status === "cancelled") {
+        reason = prompt("Reason for cancelling:");
+        if (!reason || !reason.trim()) return;
+    } else if (!confirm(`Mark this appointment as ${button.textContent.trim().toLowerCase()}?`)) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`/appointments/${container.dataset.id}/status`, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ status, reason }),
+        });
+        const result = await response.json();
+
+        if (!response.ok) {
+            alert(`Error: ${result.message}`);
+            return;
+        }
+
+        container.innerHTML = `<span class="status-label status-${result.status}"></span>`;
+        container.querySelector(".status-label").textContent = result.status;
+        if (reason) {
+            container.querySelector(".status-label").title = reason;
+        }
+        result.actions.forEach(action => {
+            const next = document.createElement("button");
+            next.type = "button";
+            next.className = "status-button";
+            next.dataset.status = action.status;
+            next.textContent = action.label;
+            container.appendChild(next);
+        });
+    } catch (error) {
+        console.error("Error changing appointment status:", error);
+        alert("An error occurred while changing the appointment status.");
+    }
+});
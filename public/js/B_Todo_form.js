@@ -77,8 +77,35 @@ document.addEventListener('DOMContentLoaded', () => {
     const currentPage = window.location.pathname;
     const isPatientPage = currentPage.includes('/patient-information/');
     const patientID = isPatientPage ? currentPage.split('/').pop() : null;
-
-    document.querySelector('.done-button').addEventListener('click', async () => {
+    const conflictMessage = document.getElementById('conflict-message');
+    const repeatCheckbox = document.getElementById('repeat');
+
+    // recurring visits are only offered for patients with an active orthodontic case
+    if (repeatCheckbox) {
+        repeatCheckbox.addEventListener('change', () => {
+            document.getElementById('repeat-options').style.display = repeatCheckbox.checked ? 'flex' : 'none';
+        });
+    }
+
+    function showConflicts(conflicts) {
+        conflictMessage.innerHTML = '';
+
+        const heading = document.createElement('p');
+        heading.textContent = 'Overlapping bookings:';
+        conflictMessage.appendChild(heading);
+
+        const list = document.createElement('ul');
+        conflicts.forEach(conflict => {
+            const item = document.createElement('li');
+            item.textContent = `${conflict.formattedTime}-${conflict.formattedEndTime} ${conflict.firstName} ${conflict.lastName}`
+                + ` (${conflict.service}, ${conflict.dentist || 'any dentist'}, ${conflict.chair || 'any chair'})`;
+            list.appendChild(item);
+        });
+        conflictMessage.appendChild(list);
+        conflictMessage.style.display = 'block';
+    }
+
+    async function submitBooking(force, overrideAlerts) {
         // Extract form data
         const name = document.getElementById('patient-name')?.value;
         const email = document.getElementById('email-todo')?.value?.trim();
@@ -87,48 +114,80 @@ document.addEventListener('DOMContentLoaded', () => {
         const startTime = document.getElementById('start-time').value;
         const endTime = document.getElementById('end-time').value;
         const service = document.getElementById('treatment')?.value;
-        if (!effectiveDate || !startTime || (!isPatientPage && (!name || !email || !contact))) {
+        const dentist = document.getElementById('dentist')?.value;
+        const chair = document.getElementById('chair')?.value;
+        if (!service || !effectiveDate || !startTime || (!isPatientPage && (!name || !email || !contact))) {
             alert('Please fill in all the required fields.');
             return;
         }
 
+        // registered patients are booked through their record, one-time patients as walk-ins
+        let url = isPatientPage && patientID ? '/update-effective-date' : '/non-patient-appointment';
+        let body = isPatientPage && patientID
+            ? { id: patientID, effectiveDate, startTime, endTime, service, dentist, chair, force, overrideAlerts }
+            : { name, email, contact, effectiveDate, startTime, endTime, service, dentist, chair, force };
+
+        if (repeatCheckbox && repeatCheckbox.checked) {
+            const intervalWeeks = document.getElementById('interval-weeks').value;
+            const until = document.getElementById('repeat-until').value;
+            const occurrences = document.getElementById('repeat-occurrences').value;
+
+            if (!intervalWeeks || (!until && !occurrences)) {
+                alert('Please enter the interval and an end date or number of visits.');
+                return;
+            }
+
+            url = '/appointment-series';
+            body = { patientID, date: effectiveDate, startTime, endTime, service, dentist, chair, intervalWeeks, until, occurrences, force, overrideAlerts };
+        }
+
         try {
-            if (isPatientPage && patientID) {
-                // For registered patients
-                const response = await fetch('/update-effective-date', {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ id: patientID, effectiveDate, startTime, endTime, service}),
-                });
-
-                if (response.ok) {
-                    const result = await response.json();
-                    alert(result.message);
-                    location.reload();
-                } else {
-                    const error = await response.json();
-                    alert(`Error: ${error.message}`);
-                }
-            } else {
-                // For one-time patients
-                const response = await fetch('/non-patient-appointment', {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ name, email, contact, effectiveDate, startTime, service}),
-                });
-
-                if (response.ok) {
-                    const result = await response.json();
-                    alert(result.message);
-                    location.reload();
-                } else {
-                    const error = await response.json();
-                    alert(`Error: ${error.message}`);
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body),
+            });
+            const result = await response.json();
+
+            if (response.ok) {
+                alert(result.message);
+                location.reload();
+                return;
+            }
+
+            if (response.status !== 409) {
+                alert(`Error: ${result.message}`);
+                return;
+            }
+
+            //the service is contraindicated by the patient's medical alerts
+            if (result.alerts) {
+                if (confirm(`${result.message}\n\nBook it anyway?`)) {
+                    await submitBooking(force, true);
                 }
+                return;
+            }
+
+            showConflicts(result.conflicts);
+
+            const slot = result.nextFreeSlot;
+            if (slot && confirm(`${result.message}\nThe next free slot is ${slot.date} ${slot.startTime}-${slot.endTime}. Book that instead?`)) {
+                document.getElementById('date').value = slot.date;
+                document.getElementById('start-time').value = slot.startTime;
+                document.getElementById('end-time').value = slot.endTime;
+                await submitBooking(false, overrideAlerts);
+            } else if (confirm('Book the overlapping time anyway?')) {
+                await submitBooking(true, overrideAlerts);
             }
         } catch (error) {
             console.error('Error submitting form:', error);
             alert('An unexpected error occurred.');
         }
+    }
+
+    document.querySelector('.done-button').addEventListener('click', async (e) => {
+        e.preventDefault();
+        conflictMessage.style.display = 'none';
+        await submitBooking(false, false);
     });
 });
@@ -9,6 +9,11 @@ $(document).ready(function() {
         $("#patientFormModal").show();
     });
 
+    // Opened from a walk-in on the to-do list, the form is already filled in
+    if ($("#patientFormModal").data("walk-in")) {
+        $("#patientFormModal").show();
+    }
+
     // Close modal when cancelBtn or doneBtn is clicked
     $("#cancelBtn").click(function() {
         $("#patientFormModal").hide();
@@ -44,10 +49,16 @@ $(document).ready(function() {
                 guardianName : $('#guardianName').val(),
                 guardianOccupation: $('#guardianOccupation').val(),
                 referral: $('#referral').val(),
-                consultationReason : $('#consultationReason').val()
+                consultationReason : $('#consultationReason').val(),
+                walkInAppointmentID : $('#walkInAppointmentID').val()
             },
             function(data){ //include status, success or fail
                 alert(data.message);
+
+                if ($('#walkInAppointmentID').val()) {
+                    window.location.href = `/patient-information/${data.patientID}`;
+                    return;
+                }
                 let tbody = document.getElementById('patient-table');
 
                 const info = {
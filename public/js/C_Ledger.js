@@ -0,0 +1,80 @@
+document.addEventListener("DOMContentLoaded", () => {
+    const ledgerFile = document.querySelector('.ledger-file');
+    const patientID = ledgerFile.dataset.patientId;
+    const paymentForm = document.querySelector('#payment-form');
+    const planForm = document.querySelector('#installment-plan-form');
+
+    async function postLedgerAction(url, body) {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify(body || {}),
+        });
+
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.message || 'Request failed');
+        }
+
+        return result;
+    }
+
+    //blank selects and inputs are left out of the request
+    function formValues(form) {
+        const values = { patientID };
+
+        new FormData(form).forEach((value, name) => {
+            if (value !== '') {
+                values[name] = value;
+            }
+        });
+
+        return values;
+    }
+
+    if (paymentForm) {
+        paymentForm.addEventListener('submit', async (event) => {
+            event.preventDefault();
+
+            try {
+                const result = await postLedgerAction('/payments', formValues(paymentForm));
+                alert(result.message);
+                window.location.reload();
+            } catch (error) {
+                alert('Error recording payment: ' + error.message);
+            }
+        });
+    }
+
+    if (planForm) {
+        planForm.addEventListener('submit', async (event) => {
+            event.preventDefault();
+
+            try {
+                const result = await postLedgerAction('/installment-plans', formValues(planForm));
+                alert(result.message);
+                window.location.reload();
+            } catch (error) {
+                alert('Error creating installment plan: ' + error.message);
+            }
+        });
+    }
+
+    document.querySelectorAll('.void-payment-button').forEach(button => {
+        button.addEventListener('click', async () => {
+            const reason = prompt('Reason for voiding this payment:');
+            if (!reason || !reason.trim()) return;
+
+            try {
+                const result = await postLedgerAction(`/payments/${button.dataset.id}/void`, { reason });
+                alert(result.message);
+                window.location.reload();
+            } catch (error) {
+                alert('Error voiding payment: ' + error.message);
+            }
+        });
+    });
+});
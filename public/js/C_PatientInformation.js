@@ -116,34 +116,9 @@ function fillMedicalFields(physicianName, physicianOfficeAddress, physicianSpeci
             $('#allergy-yes').prop('checked', true);
         }
 
+        //the allergy entries themselves are filled in by the page
         if(allergies [0] == "None"){
             $('#allergy-no').prop('checked', true);
-        } else {
-            allergies.forEach(function(allergy){
-                switch(allergy){
-                    case "Lidocaine":
-                        $('#lidocaine').prop('checked', true);
-                        break;
-                    case "Penicillin":
-                        $('#penicillin').prop('checked', true);
-                        break;
-                    case "Antibiotics":
-                        $('#antibiotics').prop('checked', true);
-                        break;
-                    case "Sulfa drugs":
-                        $('#sulfa-drugs').prop('checked', true);
-                        break;
-                    case "Aspirin":
-                        $('#aspirin').prop('checked', true);
-                        break;
-                    case "Latex":
-                        $('#latex').prop('checked', true);
-                        break;
-                    default:
-                        $('#allergy-details').val(allergy);
-    
-                }
-            });
         }
 
 
@@ -221,6 +196,9 @@ function fillMedicalFields(physicianName, physicianOfficeAddress, physicianSpeci
                 case "Diabetes":
                     $('#diabetes').prop('checked', true);
                     break;
+                case "Bleeding Problems":
+                    $('#bleeding-problems').prop('checked', true);
+                    break;
                 default:
                     console.log("Condition not recognized: " + problem);
             }
@@ -241,8 +219,8 @@ function fillMedicalFields(physicianName, physicianOfficeAddress, physicianSpeci
           // Trim each number in case of extra spaces
           num = num.trim();
       
-          // Check if it is a valid number and within the range
-          if (!/^\d+$/.test(num) || num < 1 || num > 32) {
+          // Universal (12, A), FDI (21) or Palmer (UR6) entries; the server checks the tooth exists
+          if (!/^[A-Za-z0-9]+$/.test(num)) {
             return false;
           }
         }
@@ -251,10 +229,31 @@ function fillMedicalFields(physicianName, physicianOfficeAddress, physicianSpeci
         return true;
       }
 
+    //rows of a medications, allergies or prescriptions table as objects, leaving out rows without keyField
+    function entryRows(table, keyField){
+        return $(table).find('tbody tr').map(function(){
+            let entry = {};
+            $(this).find('.entry-field').each(function(){
+                entry[this.name] = $(this).val().trim();
+            });
+            return entry;
+        }).get().filter(entry => entry[keyField] != "");
+    }
+
+    $('.add-entry-button').on('click', function(){
+        const table = $(this).data('table');
+        $(`#${table} tbody`).append($(`#${table}-template`).html());
+    });
+
+    $(document).on('click', '.remove-entry-button', function(){
+        $(this).closest('tr').remove();
+    });
+
     $('#edit-treatment-record').on('submit', function(event){
         event.preventDefault();
         let numOfTreatments = document.getElementById('edit-treatment-record').dataset.id;
-        let rows = document.getElementById('treatment-table-body').querySelectorAll('tr');
+        //signed treatments are read-only and left out
+        let rows = document.getElementById('treatment-table-body').querySelectorAll('tr:not([data-signed])');
 
         let treatments = [];
 
@@ -264,7 +263,7 @@ function fillMedicalFields(physicianName, physicianOfficeAddress, physicianSpeci
 
         rows.forEach(row => {
             if(!validateNumbers(row.querySelector('input[name="treatment-teeth"]').value)){
-                alert('Invalid Tooth No./s format. Numbers must be separated by comma.');
+                alert('Invalid Tooth No./s format. Teeth must be separated by comma.');
                 return;
             }
 
@@ -273,23 +272,39 @@ function fillMedicalFields(physicianName, physicianOfficeAddress, physicianSpeci
                 date: row.querySelector('input[name="treatment-date"]').value,
                 teethAffected: row.querySelector('input[name="treatment-teeth"]').value.split(","),
                 procedure: row.querySelector('input[name="treatment-procedure"]').value,
-                amountCharged: row.querySelector('input[name="treatment-amount-charged"]').value,
-                amountPaid: row.querySelector('input[name="treatment-amount-paid"]').value
+                amountCharged: row.querySelector('input[name="treatment-amount-charged"]').value
             };
 
 
             treatments.push(treatmentInstance);
         });
 
-        $.post(
-            '/update-treatments',
-            {
-                treatments: treatments
-            },
-            function(data){
-                alert(data.message);
-            }
-        );
+        if(treatments.length === 0){
+            alert('Every treatment is signed. Add an addendum to record changes.');
+            return;
+        }
+
+        //a procedure changed to a service contraindicated by the patient's medical alerts is only saved once confirmed
+        (function submitTreatments(overrideAlerts){
+            $.post(
+                '/update-treatments',
+                {
+                    treatments: treatments,
+                    overrideAlerts: overrideAlerts
+                },
+                function(data){
+                    alert(data.message);
+                }
+            ).fail(function(xhr){
+                if(xhr.status === 409 && xhr.responseJSON && xhr.responseJSON.alerts){
+                    if(confirm(`${xhr.responseJSON.message}\n\nSave the changes anyway?`)){
+                        submitTreatments(true);
+                    }
+                    return;
+                }
+                alert(xhr.responseJSON ? xhr.responseJSON.message : 'Error updating treatment.');
+            });
+        })(false);
 
     });
 
@@ -327,8 +342,16 @@ function fillMedicalFields(physicianName, physicianOfficeAddress, physicianSpeci
             return;
         }
 
+        let medications = [];
+
         if($('#prescription-yes').prop('checked')){
             prescription = $('#prescription-details').val();
+            medications = entryRows('#medication-entries', 'drug');
+
+            if(prescription == "" && medications.length == 0){
+                alert('No medications listed.');
+                return;
+            }
         } else if ($('#prescription-no').prop('checked')){
             prescription = 'None';
         } else {
@@ -355,20 +378,14 @@ function fillMedicalFields(physicianName, physicianOfficeAddress, physicianSpeci
         }
 
         if($('#allergy-yes').prop('checked')){
-            checkedAllergies = $('input[name="allergy-options"]:checked').map(function() {
-                return this.value;
-            }).get();
-
-            if($('#allergy-details').val() != ""){
-                checkedAllergies.push($('#allergy-details').val());
-            }
+            checkedAllergies = entryRows('#allergy-entries', 'substance');
         
             if (checkedAllergies.length == 0) {
-                alert('No allergies selected.');
+                alert('No allergies listed.');
                 return;
             }
         } else if($('#allergy-no').prop('checked')){
-            checkedAllergies.push('None');
+            checkedAllergies.push({substance: 'None'});
         } else {
             alert('Missing info. Please answer all Yes/No questions.');
             return;
@@ -412,6 +429,7 @@ function fillMedicalFields(physicianName, physicianOfficeAddress, physicianSpeci
                 medicalTreatment : medicalTreatment,
                 illnessOrSurgery : illnessOrSurgery,
                 prescription: prescription,
+                medications : medications,
                 isTobacco : isTobacco,
                 isAlcohol : isAlcohol,
                 allergies : checkedAllergies,
@@ -420,12 +438,18 @@ function fillMedicalFields(physicianName, physicianOfficeAddress, physicianSpeci
                 isNursing : isNursing,
                 isBirthControl : isBirthControl,
 
-                healthProblems : healthProblems
+                healthProblems : healthProblems,
+
+                reviewedAt : $('#reviewed-at').val(),
+                patientAttested : $('#patient-attested').prop('checked')
             },
             function(status){
                 alert(status);
+                window.location.reload();
             }
-        );
+        ).fail(function(xhr){
+            alert(xhr.responseText || 'Error updating medical history');
+        });
     });
 
     $('#update-patient-form').on('submit', function(event){
@@ -486,47 +510,71 @@ function fillMedicalFields(physicianName, physicianOfficeAddress, physicianSpeci
         const nextAppointmentDate = $('#nextAppointment').val();
 
         let teethAffected = [];
+        let teethLabels = [];
 
-        for(ctr = 1; ctr <= 32; ctr++){
-            if($('#tooth' + ctr).is(':checked')){
-                teethAffected.push(ctr);
-            }
-        }
+        $('input[name="teeth"]:checked').each(function(){
+            teethAffected.push($(this).val());
+            teethLabels.push($(`label[for="${this.id}"]`).text());
+        });
 
         $('#create-treatment-popup').hide();
-        $.post(
-            '/create-treatment',
-            {
-                patientID : $('#treatment-form').data('id'),
-                procedureDate : procedureDate,
-                procedureName: procedureName,
-                dentistName : dentistName,
-                amountCharged : amountCharged,
-                amountPaid : amountPaid,
-                nextAppointmentDate : nextAppointmentDate,
-                teethAffected : teethAffected
-            },
-            function(data){ //include status, success or fail
-                const teethString = teethAffected.join(', ');
-
-                const newRow = `
-                <tr data-name="${data.id}">
-                    <td><input type="date" class="treatment-history-text" value="${procedureDate}" name="treatment-date"/></td>
-                    <td><input type="text" class="treatment-history-text" value="${teethString}" name="treatment-teeth"/></td>
-                    <td><input type="text" class="treatment-history-text" value="${procedureName}" name="treatment-procedure"/></td>
-                    <td><input type="number" class="treatment-history-text" value="${amountCharged}" name="treatment-amount-charged"/></td>
-                    <td><input type="number" class="treatment-history-text" value="${amountPaid}" name="treatment-amount-paid"/></td>
-                </tr>
-                `;
-
-                $('#treatment-table-body').append(newRow);
-
-                $('#no-treatments').hide();
-
-
-                alert('Treatment recorded successfully.' + data.id);
-            }
-        );
+        const treatment = {
+            patientID : $('#treatment-form').data('id'),
+            procedureDate : procedureDate,
+            procedureName: procedureName,
+            dentistName : dentistName,
+            amountCharged : amountCharged,
+            amountPaid : amountPaid,
+            nextAppointmentDate : nextAppointmentDate,
+            teethAffected : teethAffected,
+            prescriptions : entryRows('#prescription-entries', 'drug')
+        };
+
+        //a service contraindicated by the patient's medical alerts, or drugs that conflict with their allergies
+        //and medications, are only recorded once confirmed
+        (function submitTreatment(overrideAlerts){
+            $.post(
+                '/create-treatment',
+                { ...treatment, overrideAlerts: overrideAlerts },
+                function(data){ //include status, success or fail
+                    const teethString = teethLabels.join(', ');
+                    //same wording as Functions.formatPrescription
+                    const prescriptionLines = treatment.prescriptions.map(prescription => {
+                        const text = [prescription.drug, prescription.dose, prescription.frequency].filter(detail => detail).join(' ');
+                        const days = Number(prescription.days);
+
+                        return `<div class="treatment-prescription" title="Prescription">Rx ${days ? `${text} for ${days} day${days === 1 ? '' : 's'}` : text}</div>`;
+                    }).join('');
+
+                    const newRow = `
+                    <tr data-name="${data.id}">
+                        <td><input type="date" class="treatment-history-text" value="${procedureDate}" name="treatment-date"/></td>
+                        <td><input type="text" class="treatment-history-text" value="${teethString}" name="treatment-teeth"/></td>
+                        <td><input type="text" class="treatment-history-text" value="${procedureName}" name="treatment-procedure"/>${prescriptionLines}</td>
+                        <td><input type="number" class="treatment-history-text" value="${amountCharged}" name="treatment-amount-charged"/></td>
+                        <td><input type="number" class="treatment-history-text" value="${amountPaid}" name="treatment-amount-paid" title="Record payments in the ledger" readonly/></td>
+                        <td><div class="record-signature"><span class="unsigned">Not signed</span></div></td>
+                    </tr>
+                    `;
+
+                    $('#treatment-table-body').append(newRow);
+
+                    $('#no-treatments').hide();
+                    $('#prescription-entries tbody').empty();
+
+
+                    alert('Treatment recorded successfully.' + data.id);
+                }
+            ).fail(function(xhr){
+                if(xhr.status === 409 && xhr.responseJSON && xhr.responseJSON.alerts){
+                    if(confirm(`${xhr.responseJSON.message}\n\nRecord the treatment anyway?`)){
+                        submitTreatment(true);
+                    }
+                    return;
+                }
+                alert(xhr.responseJSON ? xhr.responseJSON.message : 'Error recording treatment.');
+            });
+        })(false);
     });
 
     
@@ -592,7 +640,8 @@ function fillMedicalFields(physicianName, physicianOfficeAddress, physicianSpeci
         })
 
 
-        document.getElementById("save-footnote-button").addEventListener("click", function(){
+        //only shown to accounts that can edit dental records
+        $("#save-footnote-button").on("click", function(){
             let patientID = document.getElementById("buttons-group-deactivate").getAttribute('data-id');
 
             $.post(
@@ -675,3 +724,440 @@ $(document).ready(function () {
     });
 });
 
+
+//recurring appointment series: cancel one visit, or cancel/change this and every later visit
+$(document).ready(function () {
+    async function sendSeriesRequest(url, method, body) {
+        try {
+            const response = await fetch(url, {
+                method: method,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body),
+            });
+            const result = await response.json();
+
+            if (response.status === 409) {
+                const conflicts = result.conflicts
+                    .map(conflict => `${conflict.formattedTime}-${conflict.formattedEndTime} ${conflict.firstName} ${conflict.lastName} (${conflict.dentist}, ${conflict.chair})`)
+                    .join('\n');
+
+                if (confirm(`${result.message}\n${conflicts}\n\nApply the change anyway?`)) {
+                    await sendSeriesRequest(url, method, { ...body, force: true });
+                }
+                return;
+            }
+
+            alert(result.message);
+            if (response.ok) {
+                location.reload();
+            }
+        } catch (error) {
+            console.error('Error updating appointment series:', error);
+            alert('An unexpected error occurred.');
+        }
+    }
+
+    $('.series-cancel-one').on('click', function () {
+        const appointmentID = $(this).closest('.series-actions').data('appointment-id');
+        const reason = prompt('Reason for cancelling this visit only:');
+
+        if (reason && reason.trim()) {
+            sendSeriesRequest(`/appointments/${appointmentID}/status`, 'POST', { status: 'cancelled', reason: reason.trim() });
+        }
+    });
+
+    $('.series-cancel-rest').on('click', function () {
+        const actions = $(this).closest('.series-actions');
+
+        const reason = prompt('Reason for cancelling this visit and every later visit of the series:');
+
+        if (reason && reason.trim()) {
+            sendSeriesRequest(`/appointment-series/${actions.data('series-id')}/cancel`, 'POST', { fromAppointmentID: actions.data('appointment-id'), reason: reason.trim() });
+        }
+    });
+
+    $('.series-edit-rest').on('click', function () {
+        const actions = $(this).closest('.series-actions');
+        const startTime = prompt('New start time (HH:MM) for this and every later visit. Leave empty to keep the time.');
+
+        if (startTime === null) {
+            return;
+        }
+
+        const dentist = prompt('Dentist for this and every later visit. Leave empty to keep the dentist.');
+
+        if (dentist === null) {
+            return;
+        }
+
+        let body = { fromAppointmentID: actions.data('appointment-id') };
+        if (startTime.trim()) {
+            body.startTime = startTime.trim();
+        }
+        if (dentist.trim()) {
+            body.dentist = dentist.trim();
+        }
+
+        sendSeriesRequest(`/appointment-series/${actions.data('series-id')}`, 'PUT', body);
+    });
+});
+
+//invoices: issue one for the ticked treatments, or void an issued one
+$(document).ready(function () {
+    $('#create-invoice').on('click', function () {
+        $('#create-invoice-popup').show();
+    });
+
+    $('#close-create-invoice').on('click', function () {
+        $('#create-invoice-popup').hide();
+    });
+
+    $('#invoice-form').on('submit', async function (event) {
+        event.preventDefault();
+
+        const items = $('.invoice-item-check:checked').map(function () {
+            return {
+                treatmentID: $(this).val(),
+                unitPrice: $(`.invoice-item-price[data-id="${$(this).val()}"]`).val()
+            };
+        }).get();
+
+        if (items.length === 0) {
+            alert('Please choose at least one treatment.');
+            return;
+        }
+
+        try {
+            const response = await fetch('/invoices', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    patientID: $('#invoice-form').data('id'),
+                    items: items,
+                    discountType: $('#discountType').val(),
+                    discountValue: $('#discountValue').val(),
+                    discountReason: $('#discountReason').val()
+                }),
+            });
+            const result = await response.json();
+
+            alert(result.message);
+            if (response.ok) {
+                window.open(`/invoices/${result.invoiceID}/receipt`, '_blank');
+                location.reload();
+            }
+        } catch (error) {
+            console.error('Error creating invoice:', error);
+            alert('An unexpected error occurred.');
+        }
+    });
+
+    $('.void-invoice-button').on('click', async function () {
+        const reason = prompt('Reason for voiding this receipt:');
+
+        if (!reason || !reason.trim()) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`/invoices/${$(this).data('id')}/void`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ reason: reason.trim() }),
+            });
+            const result = await response.json();
+
+            alert(result.message);
+            if (response.ok) {
+                location.reload();
+            }
+        } catch (error) {
+            console.error('Error voiding invoice:', error);
+            alert('An unexpected error occurred.');
+        }
+    });
+});
+
+//odontogram: click a tooth to see its history and chart a new condition
+$(document).ready(function () {
+    const patientID = $('.odontogram').data('patient-id');
+    let selectedTooth = null;
+
+    //surfaces only apply to caries and fillings
+    function toggleSurfaces() {
+        const usesSurfaces = ['caries', 'filled'].includes($('#toothState').val());
+        $('.tooth-surfaces').toggle(usesSurfaces);
+    }
+
+    $('#toothState').on('change', toggleSurfaces);
+
+    $('.odontogram-tooth').on('click', async function () {
+        selectedTooth = $(this).data('tooth');
+
+        try {
+            const response = await fetch(`/patient-information/${patientID}/dental-chart/${selectedTooth}`, { cache: 'no-cache' });
+            const tooth = await response.json();
+
+            if (!response.ok) {
+                alert(`Error: ${tooth.message}`);
+                return;
+            }
+
+            $('#tooth-popup-number').text($(this).data('label'));
+            $('#toothState').val(tooth.state);
+            $('input[name="toothSurface"]').each(function () {
+                $(this).prop('checked', (tooth.surfaces || []).includes($(this).val()));
+            });
+            $('#toothTreatment').val(tooth.treatmentID || '');
+            $('#toothNotes').val(tooth.notes || '');
+            toggleSurfaces();
+
+            const historyList = $('#tooth-history-list').empty();
+            tooth.history.concat(tooth.updatedAt ? [{ ...tooth, changedBy: tooth.updatedBy, changedAt: tooth.updatedAt }] : [])
+                .reverse()
+                .forEach(change => {
+                    const surfaces = change.surfaces && change.surfaces.length ? ` (${change.surfaces.join('')})` : '';
+                    const notes = change.notes ? ` - ${change.notes}` : '';
+                    $('<li>').text(`${new Date(change.changedAt).toLocaleDateString()} ${$(`#toothState option[value="${change.state}"]`).text()}${surfaces}${notes}, by ${change.changedBy || 'unknown'}`)
+                        .appendTo(historyList);
+                });
+            if (historyList.children().length === 0) {
+                $('<li>').text('Not charted yet.').appendTo(historyList);
+            }
+
+            $('#tooth-popup').show();
+        } catch (error) {
+            console.error('Error fetching tooth:', error);
+            alert('An unexpected error occurred.');
+        }
+    });
+
+    $('#close-tooth-popup').on('click', function () {
+        $('#tooth-popup').hide();
+    });
+
+    $('#tooth-form').on('submit', async function (event) {
+        event.preventDefault();
+
+        try {
+            const response = await fetch(`/patient-information/${patientID}/dental-chart/${selectedTooth}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    state: $('#toothState').val(),
+                    surfaces: $('input[name="toothSurface"]:checked').map(function () { return $(this).val(); }).get(),
+                    treatmentID: $('#toothTreatment').val() || undefined,
+                    notes: $('#toothNotes').val()
+                }),
+            });
+            const result = await response.json();
+
+            alert(result.message);
+            if (response.ok) {
+                location.reload();
+            }
+        } catch (error) {
+            console.error('Error charting tooth:', error);
+            alert('An unexpected error occurred.');
+        }
+    });
+});
+
+
+//periodontal exam entry grid
+$(document).ready(function () {
+    const patientID = $('#perio-exam-form').data('id');
+
+    function numberOrUndefined(input) {
+        const value = $(input).val();
+        return value === '' ? undefined : Number(value);
+    }
+
+    $('#new-perio-exam').on('click', function () {
+        const today = new Date();
+        $('#perioDate').val(`${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`);
+        $('#perio-exam-form').show();
+    });
+
+    $('#close-perio-exam').on('click', function () {
+        $('#perio-exam-form').hide();
+    });
+
+    $('.perio-probed').on('change', function () {
+        $(this).closest('tr').toggleClass('perio-skipped', !this.checked);
+    });
+
+    $('#perio-exam-form').on('submit', async function (event) {
+        event.preventDefault();
+
+        const teeth = $('.perio-grid tbody tr').filter(function () {
+            return $(this).find('.perio-probed').is(':checked');
+        }).map(function () {
+            const row = $(this);
+
+            return {
+                tooth: row.data('tooth'),
+                sites: row.find('.perio-depth').map(function () {
+                    const site = $(this).data('site');
+
+                    return {
+                        site: site,
+                        probingDepth: numberOrUndefined(this),
+                        recession: numberOrUndefined(row.find(`.perio-recession[data-site="${site}"]`)),
+                        bleeding: row.find(`.perio-bleeding[data-site="${site}"]`).is(':checked')
+                    };
+                }).get(),
+                mobility: Number(row.find('.perio-mobility').val()),
+                furcation: Number(row.find('.perio-furcation').val())
+            };
+        }).get();
+
+        try {
+            const response = await fetch(`/patient-information/${patientID}/periodontal-exams`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    date: $('#perioDate').val(),
+                    notes: $('#perioNotes').val(),
+                    teeth: teeth
+                }),
+            });
+            const result = await response.json();
+
+            alert(result.message);
+            if (response.ok) {
+                location.reload();
+            }
+        } catch (error) {
+            console.error('Error saving periodontal exam:', error);
+            alert('An unexpected error occurred.');
+        }
+    });
+});
+
+
+//clinical notes, each written for one of the patient's treatments
+$(document).ready(function () {
+    const patientID = $('#clinical-note-form').data('id');
+    const soapSections = ['Subjective', 'Objective', 'Assessment', 'Plan'];
+
+    //the service's template only replaces sections that were not written in yet
+    function fillTemplate(previous) {
+        const option = $('#noteTreatment option:selected');
+
+        soapSections.forEach(section => {
+            const textarea = $(`#note${section}`);
+            const current = textarea.val();
+
+            if (current === '' || (previous && current === previous.data(section.toLowerCase()))) {
+                textarea.val(option.data(section.toLowerCase()) || '');
+            }
+        });
+
+        $('#noteDate').val(option.data('date'));
+    }
+
+    let selectedTreatment = null;
+    //id of the unsigned note being corrected, null while writing a new one
+    let editingNoteID = null;
+
+    $('#new-clinical-note').on('click', function () {
+        if (editingNoteID) {
+            editingNoteID = null;
+            $('#clinical-note-form')[0].reset();
+            $('#noteTreatment').prop('disabled', false);
+        }
+
+        $('#clinical-note-form').show();
+        fillTemplate(selectedTreatment);
+        selectedTreatment = $('#noteTreatment option:selected');
+    });
+
+    $('.edit-clinical-note-button').on('click', function () {
+        const note = $(this).closest('.clinical-note');
+
+        editingNoteID = note.data('note-id');
+        selectedTreatment = null;
+        $('#noteTreatment').val(note.data('treatment-id')).prop('disabled', true);
+        $('#noteDate').val(note.data('date'));
+        soapSections.forEach(section => {
+            $(`#note${section}`).val(note.attr(`data-${section.toLowerCase()}`));
+        });
+
+        $('#clinical-note-form').show()[0].scrollIntoView();
+    });
+
+    $('#noteTreatment').on('change', function () {
+        fillTemplate(selectedTreatment);
+        selectedTreatment = $('#noteTreatment option:selected');
+    });
+
+    $('#close-clinical-note').on('click', function () {
+        selectedTreatment = null;
+        editingNoteID = null;
+        $('#noteTreatment').prop('disabled', false);
+        $('#clinical-note-form').hide();
+    });
+
+    $('#clinical-note-form').on('submit', async function (event) {
+        event.preventDefault();
+
+        try {
+            const url = editingNoteID ? `/notes/${editingNoteID}` : `/patient-information/${patientID}/notes`;
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    treatmentID: $('#noteTreatment').val(),
+                    date: $('#noteDate').val(),
+                    subjective: $('#noteSubjective').val(),
+                    objective: $('#noteObjective').val(),
+                    assessment: $('#noteAssessment').val(),
+                    plan: $('#notePlan').val()
+                }),
+            });
+            const result = await response.json();
+
+            alert(result.message);
+            if (response.ok) {
+                location.reload();
+            }
+        } catch (error) {
+            console.error('Error saving clinical note:', error);
+            alert('An unexpected error occurred.');
+        }
+    });
+
+    //signing and addenda work the same for treatments and clinical notes
+    async function postRecordAction(url, body) {
+        try {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body),
+            });
+            const result = await response.json();
+
+            alert(result.message);
+            if (response.ok) {
+                location.reload();
+            }
+        } catch (error) {
+            console.error('Error updating record:', error);
+            alert('An unexpected error occurred.');
+        }
+    }
+
+    $('.sign-record-button').on('click', async function () {
+        if (!confirm('Sign this record? It can no longer be changed afterwards, only added to with addenda.')) return;
+
+        await postRecordAction(`${$(this).closest('.record-signature').data('url')}/sign`, {});
+    });
+
+    $('.add-addendum-button').on('click', async function () {
+        const text = prompt('Addendum:');
+        if (!text || !text.trim()) return;
+
+        await postRecordAction(`${$(this).closest('.record-signature').data('url')}/addenda`, { text: text });
+    });
+});
@@ -0,0 +1,194 @@
+document.addEventListener("DOMContentLoaded", () => {
+    const planFile = document.querySelector('.treatment-plan-file');
+    const patientID = planFile.dataset.patientId;
+    const newPlanForm = document.querySelector('#treatment-plan-form');
+    const bookingPopup = document.querySelector('#plan-booking-popup');
+    const bookingForm = document.querySelector('#plan-booking-form');
+    let bookingUrl = null;
+    let isBooking = false;
+
+    async function postPlanAction(url, body) {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify(body || {}),
+        });
+
+        const result = await response.json();
+
+        if (!response.ok) {
+            const error = new Error(result.message || 'Request failed');
+            error.status = response.status;
+            error.result = result;
+            throw error;
+        }
+
+        return result;
+    }
+
+    //blank selects and inputs are left out of the request
+    function formValues(form) {
+        const values = {};
+
+        new FormData(form).forEach((value, name) => {
+            if (value !== '') {
+                values[name] = value;
+            }
+        });
+
+        return values;
+    }
+
+    function itemUrl(button) {
+        const planID = button.closest('.treatment-plan').dataset.planId;
+        const itemID = button.closest('tr').dataset.itemId;
+
+        return `/treatment-plans/${planID}/items/${itemID}`;
+    }
+
+    if (newPlanForm) {
+        newPlanForm.addEventListener('submit', async (event) => {
+            event.preventDefault();
+
+            try {
+                const result = await postPlanAction('/treatment-plans', { ...formValues(newPlanForm), patientID });
+                alert(result.message);
+                window.location.reload();
+            } catch (error) {
+                alert('Error creating treatment plan: ' + error.message);
+            }
+        });
+    }
+
+    document.querySelectorAll('.plan-item-form').forEach(form => {
+        const serviceSelect = form.querySelector('select[name="service"]');
+        const estimateInput = form.querySelector('input[name="estimatedCost"]');
+
+        //the estimate starts at the service's price
+        serviceSelect.addEventListener('change', () => {
+            estimateInput.placeholder = serviceSelect.selectedOptions[0].dataset.price;
+        });
+        serviceSelect.dispatchEvent(new Event('change'));
+
+        form.addEventListener('submit', async (event) => {
+            event.preventDefault();
+            const planID = form.closest('.treatment-plan').dataset.planId;
+
+            try {
+                const result = await postPlanAction(`/treatment-plans/${planID}/items`, formValues(form));
+                alert(result.message);
+                window.location.reload();
+            } catch (error) {
+                alert('Error adding procedure: ' + error.message);
+            }
+        });
+    });
+
+    document.querySelectorAll('.plan-acceptance-form').forEach(form => {
+        form.addEventListener('submit', async (event) => {
+            event.preventDefault();
+            const planID = form.closest('.treatment-plan').dataset.planId;
+            const status = event.submitter.value;
+
+            if (!confirm(`Record that the patient ${status} this plan? It can no longer be changed afterwards.`)) return;
+
+            try {
+                const result = await postPlanAction(`/treatment-plans/${planID}/acceptance`, { ...formValues(form), status });
+                alert(result.message);
+                window.location.reload();
+            } catch (error) {
+                alert('Error recording the answer: ' + error.message);
+            }
+        });
+    });
+
+    document.querySelectorAll('.remove-plan-item-button').forEach(button => {
+        button.addEventListener('click', async () => {
+            if (!confirm(`Remove ${button.closest('tr').dataset.service} from the plan?`)) return;
+
+            try {
+                const result = await postPlanAction(`${itemUrl(button)}/remove`);
+                alert(result.message);
+                window.location.reload();
+            } catch (error) {
+                alert('Error removing procedure: ' + error.message);
+            }
+        });
+    });
+
+    //booking and recording share the popup; only bookings need a time and chair
+    function openPopup(button, booking) {
+        isBooking = booking;
+        bookingUrl = `${itemUrl(button)}/${booking ? 'appointment' : 'treatment'}`;
+
+        document.querySelector('#plan-booking-action').textContent = booking ? 'Book' : 'Record done:';
+        document.querySelector('#plan-booking-service').textContent = button.closest('tr').dataset.service;
+        bookingForm.querySelectorAll('.booking-only').forEach(label => {
+            label.style.display = booking ? '' : 'none';
+        });
+        bookingForm.querySelector('input[name="startTime"]').required = booking;
+        bookingPopup.style.display = 'block';
+    }
+
+    document.querySelectorAll('.book-plan-item-button').forEach(button => {
+        button.addEventListener('click', () => openPopup(button, true));
+    });
+
+    document.querySelectorAll('.record-plan-item-button').forEach(button => {
+        button.addEventListener('click', () => openPopup(button, false));
+    });
+
+    document.querySelector('#close-plan-booking').addEventListener('click', () => {
+        bookingPopup.style.display = 'none';
+    });
+
+    async function submitPopup(force, overrideAlerts) {
+        const values = formValues(bookingForm);
+
+        if (!isBooking) {
+            delete values.startTime;
+            delete values.endTime;
+            delete values.chair;
+        }
+
+        try {
+            const result = await postPlanAction(bookingUrl, { ...values, force, overrideAlerts });
+            alert(result.message);
+            window.location.reload();
+        } catch (error) {
+            if (error.status !== 409) {
+                alert('Error: ' + error.message);
+                return;
+            }
+
+            //the service is contraindicated by the patient's medical alerts
+            if (error.result.alerts) {
+                if (confirm(`${error.message}\n\nGo ahead anyway?`)) {
+                    await submitPopup(force, true);
+                }
+                return;
+            }
+
+            const conflicts = error.result.conflicts
+                .map(conflict => `${conflict.formattedTime}-${conflict.formattedEndTime} ${conflict.firstName} ${conflict.lastName} (${conflict.dentist || 'any dentist'}, ${conflict.chair || 'any chair'})`)
+                .join('\n');
+            const slot = error.result.nextFreeSlot;
+
+            if (slot && confirm(`${error.message}\n${conflicts}\n\nThe next free slot is ${slot.date} ${slot.startTime}-${slot.endTime}. Book that instead?`)) {
+                bookingForm.querySelector('input[name="date"]').value = slot.date;
+                bookingForm.querySelector('input[name="startTime"]').value = slot.startTime;
+                bookingForm.querySelector('input[name="endTime"]').value = slot.endTime;
+                await submitPopup(false, overrideAlerts);
+            } else if (confirm('Book the overlapping time anyway?')) {
+                await submitPopup(true, overrideAlerts);
+            }
+        }
+    }
+
+    bookingForm.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        await submitPopup(false, false);
+    });
+});
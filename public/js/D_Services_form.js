@@ -6,24 +6,38 @@ document.addEventListener("DOMContentLoaded", () => {
 
     const serviceNameInput = document.querySelector('#service-name');
     const priceInput = document.querySelector('#price');
+    const durationInput = document.querySelector('#duration');
     const orthodonticSelect = document.querySelector('#orthodontic');
+    const contraindicationsSelect = document.querySelector('#contraindications');
+    const drugsSelect = document.querySelector('#drugs');
 
     const saveChangesButton = document.querySelector('#save-changes');
     const rows = document.querySelectorAll('tbody tr');
     const originalData = {};
     const modifiedData = {}; 
 
+    //accounts that cannot edit services only get the read-only table
+    if (!saveChangesButton) {
+        return;
+    }
+
     rows.forEach(row => {
         const serviceId = row.dataset.id;
         const serviceName = row.querySelector('.name.service-text').value.trim();
         const price = parseFloat(row.querySelector('.phone.service-text').value.trim());
-        originalData[serviceId] = { service: serviceName, price };
+        const duration = parseInt(row.querySelector('.duration.service-text').value.trim());
+        const contraindications = selectedValues(row.querySelector('.contraindications.service-text'));
+        const drugs = selectedValues(row.querySelector('.drugs.service-text'));
+        originalData[serviceId] = { service: serviceName, price, duration, contraindications, drugs };
     });
 
     rows.forEach(row => {
         const serviceId = row.dataset.id;
         const serviceNameInput = row.querySelector('.name.service-text');
         const priceInput = row.querySelector('.phone.service-text');
+        const durationInput = row.querySelector('.duration.service-text');
+        const contraindicationsInput = row.querySelector('.contraindications.service-text');
+        const drugsInput = row.querySelector('.drugs.service-text');
 
         serviceNameInput.addEventListener('input', () => {
             trackChanges(serviceId, serviceNameInput.value.trim(), 'service');
@@ -32,15 +46,31 @@ document.addEventListener("DOMContentLoaded", () => {
         priceInput.addEventListener('input', () => {
             trackChanges(serviceId, parseFloat(priceInput.value.trim()), 'price');
         });
+
+        durationInput.addEventListener('input', () => {
+            trackChanges(serviceId, parseInt(durationInput.value.trim()), 'duration');
+        });
+
+        contraindicationsInput.addEventListener('change', () => {
+            trackChanges(serviceId, selectedValues(contraindicationsInput), 'contraindications');
+        });
+
+        drugsInput.addEventListener('change', () => {
+            trackChanges(serviceId, selectedValues(drugsInput), 'drugs');
+        });
     });
 
+    function selectedValues(select) {
+        return Array.from(select.selectedOptions).map(option => option.value);
+    }
+
     function trackChanges(serviceId, value, key) {
         if (!modifiedData[serviceId]) {
             modifiedData[serviceId] = { ...originalData[serviceId] };
         }
         modifiedData[serviceId][key] = value;
 
-        if (modifiedData[serviceId][key] === originalData[serviceId][key]) {
+        if (JSON.stringify(modifiedData[serviceId][key]) === JSON.stringify(originalData[serviceId][key])) {
             delete modifiedData[serviceId][key];
         }
         if (Object.keys(modifiedData[serviceId]).length === 0) {
@@ -99,6 +129,7 @@ document.addEventListener("DOMContentLoaded", () => {
         event.preventDefault();
         const serviceName = serviceNameInput.value.trim();
         const price = parseFloat(priceInput.value.trim());
+        const duration = parseInt(durationInput.value.trim());
         const orthodontic = orthodonticSelect.value;
 
         if (!serviceName) {
@@ -111,6 +142,11 @@ document.addEventListener("DOMContentLoaded", () => {
             return;
         }
 
+        if (!duration || isNaN(duration) || duration < 5) {
+            alert("Please enter a duration of at least 5 minutes!");
+            return;
+        }
+
         try {
             const response = await fetch('/services', {
                 method: 'POST',
@@ -120,7 +156,10 @@ document.addEventListener("DOMContentLoaded", () => {
                 body: JSON.stringify({
                     serviceName,
                     price,
+                    duration,
                     type: orthodontic,
+                    contraindications: selectedValues(contraindicationsSelect),
+                    drugs: selectedValues(drugsSelect),
                 }),
             });
 
@@ -146,6 +185,58 @@ document.addEventListener("DOMContentLoaded", () => {
     function resetFormFields() {
         serviceNameInput.value = '';
         priceInput.value = '';
+        durationInput.value = '30';
         orthodonticSelect.value = 'Non-Ortho';
+        contraindicationsSelect.selectedIndex = -1;
+        drugsSelect.selectedIndex = -1;
     }
+
+    //clinical note template of a service, filled in when a note is written for one of its treatments
+    const noteTemplateContainer = document.querySelector('.note-template-form-file');
+    const noteTemplateForm = document.querySelector('#note-template-form');
+    const soapSections = ['subjective', 'objective', 'assessment', 'plan'];
+    let noteTemplateServiceId = null;
+
+    document.querySelectorAll('.edit-note-template').forEach(button => {
+        button.addEventListener('click', () => {
+            noteTemplateServiceId = button.closest('tr').dataset.id;
+            document.querySelector('#note-template-service').textContent = button.dataset.service;
+            soapSections.forEach(section => {
+                noteTemplateForm.elements[section].value = button.dataset[section];
+            });
+            noteTemplateContainer.style.display = 'block';
+        });
+    });
+
+    document.querySelector('#close-note-template').addEventListener('click', () => {
+        noteTemplateContainer.style.display = 'none';
+    });
+
+    noteTemplateForm.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        const template = {};
+        soapSections.forEach(section => {
+            template[section] = noteTemplateForm.elements[section].value;
+        });
+
+        try {
+            const response = await fetch(`/services/${noteTemplateServiceId}/note-template`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify(template),
+            });
+            const result = await response.json();
+
+            if (!response.ok) {
+                throw new Error(result.message || 'Failed to save the note template');
+            }
+
+            location.reload();
+        } catch (error) {
+            console.error('Error saving note template:', error);
+            alert('Error saving note template: ' + error.message);
+        }
+    });
 });
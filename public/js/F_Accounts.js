@@ -0,0 +1,127 @@
+document.addEventListener("DOMContentLoaded", () => {
+    const addAccountButton = document.querySelector('#add-account');
+    const accountFormContainer = document.querySelector('.accounts-form-file');
+    const cancelButton = document.querySelector('.accounts-form-file .cancel-button');
+    const doneButton = document.querySelector('.accounts-form-file .done-button');
+
+    const ownerNameInput = document.querySelector('#account-owner-name');
+    const userNameInput = document.querySelector('#account-user-name');
+    const accountTypeSelect = document.querySelector('#account-type');
+
+    async function postAccountAction(url, body) {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify(body || {}),
+        });
+
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.message || 'Request failed');
+        }
+
+        return result;
+    }
+
+    document.querySelectorAll('tbody tr').forEach(row => {
+        const accountID = row.dataset.id;
+        const typeSelect = row.querySelector('.account-type');
+
+        typeSelect.value = typeSelect.dataset.current;
+
+        typeSelect.addEventListener('change', async () => {
+            if (!confirm(`Change this account to ${typeSelect.value}?`)) {
+                typeSelect.value = typeSelect.dataset.current;
+                return;
+            }
+
+            try {
+                const result = await postAccountAction(`/accounts/${accountID}/type`, { accountType: typeSelect.value });
+                typeSelect.dataset.current = typeSelect.value;
+                alert(result.message);
+            } catch (error) {
+                typeSelect.value = typeSelect.dataset.current;
+                alert('Error changing account type: ' + error.message);
+            }
+        });
+
+        row.querySelector('.deactivate-account').addEventListener('click', async () => {
+            if (!confirm('Are you sure you want to change the status of this account?')) return;
+
+            try {
+                const result = await postAccountAction(`/accounts/${accountID}/deactivate`);
+                alert(result.message);
+                location.reload();
+            } catch (error) {
+                alert('Error changing account status: ' + error.message);
+            }
+        });
+
+        row.querySelector('.reset-password').addEventListener('click', async () => {
+            if (!confirm('Reset the password of this account?')) return;
+
+            try {
+                const result = await postAccountAction(`/accounts/${accountID}/reset-password`);
+                alert(`Temporary password: ${result.temporaryPassword}\nThe staff member must change it on their next login.`);
+                location.reload();
+            } catch (error) {
+                alert('Error resetting password: ' + error.message);
+            }
+        });
+
+        const requireChangeButton = row.querySelector('.require-password-change');
+        if (requireChangeButton) {
+            requireChangeButton.addEventListener('click', async () => {
+                try {
+                    const result = await postAccountAction(`/accounts/${accountID}/require-password-change`);
+                    alert(result.message);
+                    location.reload();
+                } catch (error) {
+                    alert('Error requiring password change: ' + error.message);
+                }
+            });
+        }
+    });
+
+    addAccountButton.addEventListener('click', () => {
+        accountFormContainer.style.display = 'block';
+    });
+
+    cancelButton.addEventListener('click', () => {
+        accountFormContainer.style.display = 'none';
+        resetFormFields();
+    });
+
+    doneButton.addEventListener('click', async (event) => {
+        event.preventDefault();
+        const accountOwnerName = ownerNameInput.value.trim();
+        const accountUserName = userNameInput.value.trim();
+        const accountType = accountTypeSelect.value;
+
+        if (!accountOwnerName || !accountUserName) {
+            alert("Name and username are required!");
+            return;
+        }
+
+        try {
+            const result = await postAccountAction('/accounts', { accountOwnerName, accountUserName, accountType });
+            alert(`${result.message}\nTemporary password: ${result.temporaryPassword}`);
+            location.reload();
+        } catch (error) {
+            console.error('Error creating account:', error);
+            alert('Error creating account: ' + error.message);
+        } finally {
+            resetFormFields();
+            accountFormContainer.style.display = 'none';
+        }
+    });
+
+    function resetFormFields() {
+        ownerNameInput.value = '';
+        userNameInput.value = '';
+        accountTypeSelect.selectedIndex = 0;
+    }
+});
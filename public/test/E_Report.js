@@ -39,14 +39,17 @@ $(document).ready(function(){
     })
 });
 /* 1ST CARD MONTHLY APPOINTMENT CHART */
+let appointmentsChart;
+
 function initializeAppointmentChart() {
-    let monthlyAppointments = getMonthlyCounts();
-    // Initial data for the chart
+    if (!document.getElementById('appointmentsChart')) return;
+
+    // Months and counts are filled by updateAppointmentChart
     const appointmentData = {
-        labels: ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sept", "Oct", "Nov", "Dec"], // Months
+        labels: [],
         datasets: [{
             label: 'Number of Appointments',
-            data: monthlyAppointments, // Monthly appointments
+            data: [], // Monthly appointments
             backgroundColor: ['#000080', '#909eee'], // Bar colors
             borderWidth: 1,
         }]
@@ -68,10 +71,7 @@ function initializeAppointmentChart() {
                     enabled: true, // Enable tooltips on hover
                     callbacks: {
                         label: function (context) {
-                            const month = context.label; // The month name from labels
-                            const year = month === "Dec" ? "2024" : "2025"; // Adjust year for Dec
-                            const value = context.raw; // The value of the bar
-                            return `${month} ${year}: ${value} Appointments`; // Tooltip text
+                            return `${context.label}: ${context.raw} Appointments`; // Tooltip text, labels carry the year
                         },
                     },
                 },
@@ -113,70 +113,53 @@ function initializeAppointmentChart() {
 
     // Initialize the chart
     const ctx = document.getElementById('appointmentsChart').getContext('2d');
-    const appointmentsChart = new Chart(ctx, config);
+    appointmentsChart = new Chart(ctx, config);
+}
 
-    // Toggle Add Appointment Form visibility
-    document.getElementById('toggleFormButton').addEventListener('click', function () {
-        const form = document.getElementById('add-appointment-form');
-        form.classList.toggle('hidden');
-    });
+function updateAppointmentChart(visits) {
+    appointmentsChart.data.labels = visits.months.map(month => month.label);
+    appointmentsChart.data.datasets[0].data = visits.months.map(month => month.count);
+    appointmentsChart.update();
+
+    document.getElementById('appointment-count').textContent = `Appointments: ${visits.total}`;
 }
 
 // Call the function to initialize the chart when the page is loaded
 document.addEventListener('DOMContentLoaded', initializeAppointmentChart);
 
 /*========================================================== */
-// 2ND CARD Toggle the visibility of the filter dropdown
-
-/*function toggleFilterDropdown() {
-    const dropdown = document.getElementById('filterDropdown');
-    dropdown.classList.toggle('show'); // Toggle 'show' class to display or hide
-}
-
-// Filter patients based on selected month
-function filterPatientsByMonth() {
-    const selectedMonth = document.getElementById('monthSelect').value;
-    const rows = document.querySelectorAll('#patientTableBody tr');
-
-    rows.forEach(row => {
-        const appointmentMonth = row.getAttribute('data-appointment-month');
-        if (selectedMonth === 'all' || appointmentMonth === selectedMonth) {
-            row.style.display = ''; // Show the row
-        } else {
-            row.style.display = 'none'; // Hide the row
-        }
+// 2ND CARD ACTIVE ORTHODONTICS
+
+function updateOrthodonticsTable(orthodontics) {
+    const body = document.getElementById('patientTableBody');
+    body.innerHTML = '';
+
+    orthodontics.forEach(ortho => {
+        const row = document.createElement('tr');
+        row.innerHTML = `<td><input type="checkbox" name="active-patient-row" class="patient-checkbox"/></td><td></td><td></td>`;
+        row.querySelector('input').value = `${ortho.patientID} ${ortho.service}`;
+        row.children[1].textContent = ortho.patientName;
+        row.children[2].textContent = ortho.service;
+        body.appendChild(row);
     });
+
+    document.getElementById('active-patients-count').textContent = `Patients: ${orthodontics.length}`;
 }
-*/
 
 /*========================================================== */
 //3RD CARD FREQUENCY DISTRIBUTION
+let frequencyChart;
+let serviceDataByMonth = { All: { labels: [], data: [] } };
+
 function initializeServiceChart() {
-    // Sample data for services per month
-    let yearlyFrequencyCount = getYearFrequency();
-
-    const serviceDataByMonth = {
-        Jan: { labels: yearlyFrequencyCount.JanServices, data: yearlyFrequencyCount.JanCounts },
-        Feb: { labels: yearlyFrequencyCount.FebServices, data: yearlyFrequencyCount.FebCounts },
-        Mar: { labels: yearlyFrequencyCount.MarServices, data: yearlyFrequencyCount.MarCounts },
-        Apr: { labels: yearlyFrequencyCount.AprServices, data: yearlyFrequencyCount.AprCounts },
-        May: { labels: yearlyFrequencyCount.MayServices, data: yearlyFrequencyCount.MayCounts },
-        Jun: { labels: yearlyFrequencyCount.JunServices, data: yearlyFrequencyCount.JunCounts },
-        Jul: { labels: yearlyFrequencyCount.JulServices, data: yearlyFrequencyCount.JulCounts },
-        Aug: { labels: yearlyFrequencyCount.AugServices, data: yearlyFrequencyCount.AugCounts },
-        Sep: { labels: yearlyFrequencyCount.SepServices, data: yearlyFrequencyCount.SepCounts },
-        Oct: { labels: yearlyFrequencyCount.OctServices, data: yearlyFrequencyCount.OctCounts },
-        Nov: { labels: yearlyFrequencyCount.NovServices, data: yearlyFrequencyCount.NovCounts },
-        Dec: { labels: yearlyFrequencyCount.DecServices, data: yearlyFrequencyCount.DecCounts },
-        All: { labels: yearlyFrequencyCount.yearlyUniqueProcedures, data: yearlyFrequencyCount.yearlyCounts }
-    };
+    if (!document.getElementById('frequencyChart')) return;
 
-    // Initialize chart data
+    // Initialize chart data, filled by updateServiceChart
     const serviceData = {
-        labels: [...serviceDataByMonth.All.labels], // Clone array to prevent reference issues
+        labels: [],
         datasets: [{
             label: 'Number of Patients',
-            data: [...serviceDataByMonth.All.data],
+            data: [],
             backgroundColor: ['#000080', '#909eee'],
             borderWidth: 1,
         }]
@@ -221,24 +204,7 @@ function initializeServiceChart() {
 
     // Create the chart
     const ctx = document.getElementById('frequencyChart').getContext('2d');
-    const frequencyChart = new Chart(ctx, config);
-
-    // Update Remove Dropdown dynamically
-    function updateRemoveDropdown() {
-        const removeDropdown = document.getElementById('removeServiceSelect');
-        removeDropdown.innerHTML = ''; // Clear existing options
-
-        // Populate the dropdown with current services
-        serviceData.labels.forEach(service => {
-            const option = document.createElement('option');
-            option.value = service;
-            option.textContent = service;
-            removeDropdown.appendChild(option);
-        });
-    }
-
-    // Initialize dropdown on page load
-    updateRemoveDropdown();
+    frequencyChart = new Chart(ctx, config);
 
     // Toggle Filter by Month visibility
     const toggleFilterButton = document.getElementById('toggleFilterButton');
@@ -254,27 +220,7 @@ function initializeServiceChart() {
 
     // Apply month filter
     document.getElementById('applyFilterButton').addEventListener('click', () => {
-        const selectedMonth = document.getElementById('monthSelect').value;
-
-
-        const filteredData = serviceDataByMonth[selectedMonth] || serviceDataByMonth.All;
-
-        // Update the chart data
-        serviceData.labels = [...filteredData.labels]; // Clone the array to avoid direct reference issues
-        serviceData.datasets[0].data = [...filteredData.data];
-        frequencyChart.update();
-    });
-
-    // Toggle the Add Service Form visibility
-    document.getElementById('toggleFormButton').addEventListener('click', function () {
-        const form = document.getElementById('add-service-form');
-        form.style.display = form.style.display === 'none' || form.style.display === '' ? 'block' : 'none';
-    });
-
-    // Toggle the Remove Service Form visibility
-    document.getElementById('removeServiceButton').addEventListener('click', function () {
-        const form = document.getElementById('remove-service-form');
-        form.style.display = form.style.display === 'none' || form.style.display === '' ? 'block' : 'none';
+        showServiceMonth(document.getElementById('monthSelect').value);
     });
 
     // Add a new service
@@ -337,15 +283,221 @@ function initializeServiceChart() {
     });
 }
 
+// Update Remove Dropdown dynamically
+function updateRemoveDropdown() {
+    const removeDropdown = document.getElementById('removeServiceSelect');
+    removeDropdown.innerHTML = ''; // Clear existing options
+
+    // Populate the dropdown with current services
+    frequencyChart.data.labels.forEach(service => {
+        const option = document.createElement('option');
+        option.value = service;
+        option.textContent = service;
+        removeDropdown.appendChild(option);
+    });
+}
+
+function showServiceMonth(month) {
+    const filteredData = serviceDataByMonth[month] || serviceDataByMonth.All;
+
+    // Update the chart data
+    frequencyChart.data.labels = [...filteredData.labels]; // Clone the array to avoid direct reference issues
+    frequencyChart.data.datasets[0].data = [...filteredData.data];
+    frequencyChart.update();
+    updateRemoveDropdown();
+}
+
+// services per month of the report range, keyed by YYYY-MM, and the months in the month filter
+function updateServiceChart(visits) {
+    serviceDataByMonth = {
+        All: { labels: visits.uniqueProcedures.map(p => p.name), data: visits.uniqueProcedures.map(p => p.count) }
+    };
+
+    const monthSelect = document.getElementById('monthSelect');
+    monthSelect.innerHTML = '<option value="All">All</option>';
+
+    visits.months.forEach(month => {
+        serviceDataByMonth[month.key] = { labels: month.services.map(p => p.name), data: month.services.map(p => p.count) };
+
+        const option = document.createElement('option');
+        option.value = month.key;
+        option.textContent = month.label;
+        monthSelect.appendChild(option);
+    });
+
+    showServiceMonth('All');
+}
+
 // Initialize the chart when the page loads
 document.addEventListener('DOMContentLoaded', initializeServiceChart);
 
+/*========================================================== */
+//4TH CARD REVENUE, charged vs collected
+let revenueChart;
 
+const money = (amount) => amount.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+const percentChange = (percent) => percent === null ? '' : ` (${percent > 0 ? '+' : ''}${percent}%)`;
 
-/*================================================================================*/
+function initializeRevenueChart() {
+    if (!document.getElementById('revenueChart')) return;
 
+    revenueChart = new Chart(document.getElementById('revenueChart').getContext('2d'), {
+        type: 'bar',
+        data: {
+            labels: [],
+            datasets: [
+                { label: 'Charged', data: [], backgroundColor: '#000080', borderWidth: 1 },
+                { label: 'Collected', data: [], backgroundColor: '#909eee', borderWidth: 1 },
+                { label: 'Charged, year before', data: [], type: 'line', borderColor: '#00008066', backgroundColor: '#00008066' },
+                { label: 'Collected, year before', data: [], type: 'line', borderColor: '#909eee99', backgroundColor: '#909eee99' }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                tooltip: {
+                    callbacks: {
+                        label: (context) => `${context.dataset.label}: ${money(context.raw)}`
+                    }
+                }
+            },
+            scales: {
+                y: { beginAtZero: true }
+            }
+        }
+    });
+}
+
+//one table row per entry, text only so service and dentist names are not read as HTML
+function fillTable(id, rows, cells) {
+    const body = document.getElementById(id);
+    body.innerHTML = '';
 
+    rows.forEach(row => {
+        const tr = document.createElement('tr');
+        cells(row).forEach(cell => {
+            const td = document.createElement('td');
+            td.textContent = cell;
+            tr.appendChild(td);
+        });
+        body.appendChild(tr);
+    });
+}
+
+function updateRevenue(revenue) {
+    revenueChart.data.labels = revenue.byMonth.map(month => month.label);
+    revenueChart.data.datasets[0].data = revenue.byMonth.map(month => month.charged);
+    revenueChart.data.datasets[1].data = revenue.byMonth.map(month => month.collected);
+    revenueChart.data.datasets[2].data = revenue.byMonth.map(month => month.previousCharged);
+    revenueChart.data.datasets[3].data = revenue.byMonth.map(month => month.previousCollected);
+    revenueChart.update();
+
+    document.getElementById('revenue-totals').textContent =
+        `Charged ${money(revenue.current.totals.charged)}${percentChange(revenue.chargedChange)}, ` +
+        `collected ${money(revenue.current.totals.collected)}${percentChange(revenue.collectedChange)} vs. the year before`;
+
+    fillTable('revenue-by-service', revenue.current.byService, row => [row.name, money(row.charged), money(row.collected)]);
+    fillTable('revenue-by-dentist', revenue.current.byDentist, row => [row.name, money(row.charged), money(row.collected)]);
+    fillTable('revenue-year-over-year', revenue.byMonth, row => [
+        row.label,
+        money(row.charged) + percentChange(row.chargedChange),
+        money(row.previousCharged),
+        money(row.collected) + percentChange(row.collectedChange),
+        money(row.previousCollected)
+    ]);
+}
 
+document.addEventListener('DOMContentLoaded', initializeRevenueChart);
 
+/*========================================================== */
+// REPORT FILTERS, every card reloads from /report/data and /report/revenue
+
+// query string of the filter form, a from/to range replaces the year
+function reportParams() {
+    const params = new URLSearchParams();
+    const from = document.getElementById('reportFrom').value;
+    const to = document.getElementById('reportTo').value;
+
+    if (from || to) {
+        if (from) params.set('from', from);
+        if (to) params.set('to', to);
+    } else {
+        params.set('year', document.getElementById('reportYear').value);
+    }
+
+    ['reportDentist', 'reportServiceType'].forEach(id => {
+        const select = document.getElementById(id);
+        if (select.value) params.set(select.name, select.value);
+    });
+
+    return params;
+}
 
+async function fetchReport(url) {
+    const response = await fetch(url, { cache: 'no-cache' });
+    const result = await response.json();
 
+    if (!response.ok) {
+        throw new Error(result.message);
+    }
+
+    return result;
+}
+
+async function loadReport() {
+    const params = reportParams();
+
+    try {
+        const [data, revenue] = await Promise.all([
+            fetchReport(`/report/data?${params}`),
+            fetchReport(`/report/revenue?${params}`)
+        ]);
+
+        document.getElementById('report-range').textContent = `${data.from} to ${data.to}`;
+        updateExportLinks(params);
+        updateAppointmentChart(data.visits);
+        updateOrthodonticsTable(data.orthodontics);
+        updateServiceChart(data.visits);
+        updateRevenue(revenue);
+    } catch (error) {
+        console.error('Error loading report:', error);
+        alert(`Error: ${error.message}`);
+    }
+}
+
+// CSV and print links of each card export the same filters as the charts
+function updateExportLinks(params) {
+    document.querySelectorAll('.report-export').forEach(link => {
+        const exportParams = new URLSearchParams(params);
+        if (link.dataset.format === 'csv') exportParams.set('format', 'csv');
+
+        link.href = `/report/export/${link.dataset.report}?${exportParams}`;
+    });
+}
+
+function initializeReportFilters() {
+    const form = document.getElementById('report-filter-form');
+    if (!form) return;
+
+    form.addEventListener('submit', (event) => {
+        event.preventDefault();
+        loadReport();
+    });
+
+    //picking a year clears the custom range
+    document.getElementById('reportYear').addEventListener('change', () => {
+        document.getElementById('reportFrom').value = '';
+        document.getElementById('reportTo').value = '';
+        loadReport();
+    });
+
+    loadReport();
+}
+
+//after the charts are created
+document.addEventListener('DOMContentLoaded', initializeReportFilters);
+
+
+
+/*================================================================================*/
@@ -8,6 +8,7 @@ const path = require('path');
 const connectToMongo = require('./src/scripts/connection.js');
 const populateDatabase = require('./src/scripts/populateDatabase.js');
 const functions = require('./src/scripts/functions.js');
+const reminders = require('./src/scripts/reminders.js');
 const patientModel = require('./src/models/patient.js');
 
 require('dotenv').config();
@@ -38,7 +39,8 @@ server.engine('hbs', handlebars.engine({
         gt: (a, b) => a > b, // Greater than
         lt: (a, b) => a < b, // Less than
         add: (a, b) => a + b, // Addition
-        subtract: (a, b) => a - b // Subtraction
+        subtract: (a, b) => a - b, // Subtraction
+        eq: (a, b) => a == b // Equality, loose so query strings match numbers
     }
 }));
 
@@ -52,13 +54,15 @@ server.use((req, res, next) => {
     }
     res.redirect('/login'); 
 });
-server.use('/css', functions.isAuthenticated, express.static(path.join(__dirname, '/css')));
-server.use('/js', functions.isAuthenticated, express.static(path.join(__dirname, '/js')));
-server.use('/img', functions.isAuthenticated, express.static(path.join(__dirname, '/img')));
+server.use('/css', functions.authorize(), express.static(path.join(__dirname, '/css')));
+server.use('/js', functions.authorize(), express.static(path.join(__dirname, '/js')));
+server.use('/img', functions.authorize(), express.static(path.join(__dirname, '/img')));
 //"C:\Users\joaqu\Pictures\kk.jpg"
 server.use((req, res, next) => {
     const isAuthenticated = !!req.session.isAuthenticated; // Check session authentication
     res.locals.isAuthenticated = isAuthenticated;         // Pass to views
+    res.locals.account = req.session.account;             // Logged in staff account
+    res.locals.can = functions.permissionsFor(req.session.account ? req.session.account.accountType : null);
     next();
 });
 server.use(router);
@@ -68,6 +72,14 @@ const port = process.env.PORT || 3000;
 async function database(){
     try{
         await connectToMongo();
+        //tooth numbers go first: the other migrations save treatments, which validates their teeth as FDI
+        await functions.migrateToothNumbers();
+        await functions.migrateEffectiveDates();
+        await functions.migratePaymentLedger();
+        await functions.migrateMedicalHistoryVersions();
+        await functions.migrateStructuredAllergies();
+        await functions.migratePeriodontalExamDates();
+        reminders.startReminderJob();
         // await run();
 
     }
@@ -86,7 +98,8 @@ const hbs = handlebars.create({
         gt: (a, b) => a > b, // Greater than
         lt: (a, b) => a < b, // Less than
         add: (a, b) => a + b, // Addition
-        subtract: (a, b) => a - b // Subtraction
+        subtract: (a, b) => a - b, // Subtraction
+        eq: (a, b) => a == b // Equality, loose so query strings match numbers
     }
 });
 
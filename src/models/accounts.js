@@ -9,7 +9,8 @@ const accountSchema = new mongoose.Schema({
     },
     accountType: {
         type: String,
-        required: true
+        required: true,
+        enum: ['Admin', 'Dentist', 'Assistant', 'Front Desk']
     },
     accountOwnerName: {
         type: String,
@@ -17,11 +18,25 @@ const accountSchema = new mongoose.Schema({
     },
     accountUserName: {
         type: String,
-        required: true
+        required: true,
+        unique: true,
+        trim: true
     },
     accountPass: {
         type: String,
         required: true
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    mustChangePassword: {
+        type: Boolean,
+        default: false
+    },
+    toothNumbering: { //how this account reads and types tooth numbers, the clinic's TOOTH_NUMBERING if not set
+        type: String,
+        enum: ['universal', 'fdi', 'palmer']
     }
 
 });
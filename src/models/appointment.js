@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+
+const appointmentSchema = new mongoose.Schema({
+    id: {
+        type: Number,
+        required: true,
+        unique: true
+    },
+    patientID: { //set for registered patients
+        type: Number
+    },
+    nonPatient: { //set for walk-ins
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'NonPatientAppointment'
+    },
+    dentist: {
+        type: String
+    },
+    chair: {
+        type: String
+    },
+    start: {
+        type: Date,
+        required: true
+    },
+    end: {
+        type: Date,
+        required: true
+    },
+    service: {
+        type: String,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['booked', 'arrived', 'in-chair', 'done', 'no-show', 'cancelled'],
+        default: 'booked'
+    },
+    treatmentID: { //treatment record created when a patient is booked
+        type: Number
+    },
+    seriesID: { //set for visits of a recurring series
+        type: Number
+    },
+    notes: {
+        type: String,
+        default: ""
+    },
+    cancelReason: {
+        type: String
+    },
+    statusHistory: [{ //every status change, see Functions.changeAppointmentStatus
+        status: String,
+        changedBy: String,
+        changedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    reminders: [{ //every reminder sent for this appointment, see src/scripts/reminders.js
+        kind: {
+            type: String,
+            enum: ['24h', '2h']
+        },
+        channel: {
+            type: String,
+            enum: ['email', 'sms']
+        },
+        to: String,
+        transport: String,
+        status: {
+            type: String,
+            enum: ['sent', 'failed']
+        },
+        error: String,
+        sentBy: String, //staff who resent it by hand, empty for the scheduled job
+        sentAt: {
+            type: Date,
+            default: Date.now
+        },
+        superseded: Boolean //sent for an earlier time of the appointment, see the pre('save') hook
+    }]
+});
+
+appointmentSchema.pre('validate', function(next){
+    if(!this.patientID && !this.nonPatient){
+        this.invalidate('patientID', 'An appointment needs a patient or a walk-in.');
+    }
+
+    if(this.start && this.end && this.end <= this.start){
+        this.invalidate('end', 'Appointment must end after it starts.');
+    }
+
+    next();
+});
+
+//reminders sent before a booking was moved gave the old time, so the new time gets its own reminders
+appointmentSchema.pre('save', function(next){
+    if(!this.isNew && this.isModified('start')){
+        this.reminders.forEach(reminder => {
+            reminder.superseded = true;
+        });
+    }
+
+    next();
+});
+
+const Appointment = mongoose.model('Appointment', appointmentSchema);
+
+module.exports = Appointment;
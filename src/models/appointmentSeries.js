@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// recurring bookings for an orthodontic case, e.g. an adjustment visit every 4 weeks
+const appointmentSeriesSchema = new mongoose.Schema({
+    id: {
+        type: Number,
+        required: true,
+        unique: true
+    },
+    patientID: {
+        type: Number,
+        required: true
+    },
+    orthoID: { //orthodontics record the visits belong to
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Orthodontics',
+        required: true
+    },
+    service: {
+        type: String,
+        required: true
+    },
+    dentist: {
+        type: String
+    },
+    chair: {
+        type: String
+    },
+    intervalWeeks: {
+        type: Number,
+        required: true,
+        min: 1,
+        max: 12
+    },
+    until: { //last possible date of the series, or
+        type: Date
+    },
+    occurrences: { //number of visits in the series
+        type: Number,
+        min: 1,
+        max: 52
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    endedOn: {
+        type: Date
+    }
+});
+
+appointmentSeriesSchema.pre('validate', function(next){
+    if(!this.until && !this.occurrences){
+        this.invalidate('until', 'A series needs an end date or a number of occurrences.');
+    }
+
+    next();
+});
+
+const AppointmentSeries = mongoose.model('Appointment Series', appointmentSeriesSchema);
+
+module.exports = AppointmentSeries;
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+    actorID: {
+        type: Number
+    },
+    actorName: {
+        type: String
+    },
+    timestamp: {
+        type: Date,
+        required: true,
+        default: Date.now
+    },
+    route: {
+        type: String,
+        required: true
+    },
+    collectionName: {
+        type: String,
+        required: true
+    },
+    documentID: {
+        type: String,
+        required: true
+    },
+    patientID: {
+        type: Number
+    },
+    action: {
+        type: String,
+        required: true,
+        enum: ['create', 'update', 'delete']
+    },
+    changes: [{
+        _id: false,
+        field: String,
+        before: mongoose.Schema.Types.Mixed,
+        after: mongoose.Schema.Types.Mixed
+    }]
+});
+
+//the audit log is append-only: entries can be created but never changed or removed
+function rejectChange(){
+    throw new Error('Audit log entries cannot be modified or deleted.');
+}
+
+auditLogSchema.pre('save', function(next){
+    if(!this.isNew){
+        return next(new Error('Audit log entries cannot be modified or deleted.'));
+    }
+    next();
+});
+
+auditLogSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne',
+    'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndReplace'], rejectChange);
+
+const AuditLog = mongoose.model('Audit Log', auditLogSchema);
+
+module.exports = AuditLog;
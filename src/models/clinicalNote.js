@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const { signatureFields, lockWhenSigned } = require('./signature.js');
+
+// SOAP note of a visit, written for a treatment. Empty sections are left out
+const clinicalNoteSchema = new mongoose.Schema({
+    id: {
+        type: Number,
+        required: true,
+        unique: true
+    },
+    patientID: {
+        type: Number,
+        required: true
+    },
+    treatmentID: {
+        type: Number,
+        required: true
+    },
+    date: {
+        type: Date,
+        required: true
+    },
+    author: {
+        type: String
+    },
+    subjective: { //what the patient reports
+        type: String,
+        trim: true
+    },
+    objective: { //what was examined and found
+        type: String,
+        trim: true
+    },
+    assessment: { //diagnosis
+        type: String,
+        trim: true
+    },
+    plan: { //what was done and what comes next
+        type: String,
+        trim: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    ...signatureFields()
+});
+
+clinicalNoteSchema.pre('validate', function(next){
+    if(!this.subjective && !this.objective && !this.assessment && !this.plan){
+        this.invalidate('subjective', 'Write at least one section of the note.');
+    }
+
+    next();
+});
+
+lockWhenSigned(clinicalNoteSchema, ['patientID', 'treatmentID', 'date', 'author', 'subjective', 'objective', 'assessment', 'plan']);
+
+const ClinicalNote = mongoose.model('Clinical Note', clinicalNoteSchema);
+
+module.exports = ClinicalNote;
+module.exports.soapSections = ['subjective', 'objective', 'assessment', 'plan'];
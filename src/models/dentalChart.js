@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const Teeth = require('../scripts/teeth.js');
+
+// conditions a tooth can be charted with, see Functions.toothStateLabels
+const toothStates = ['present', 'missing', 'caries', 'filled', 'crown', 'bridge', 'implant', 'rct', 'extraction-planned'];
+
+// mesial, occlusal (incisal on front teeth), distal, buccal (labial) and lingual (palatal)
+const toothSurfaces = ['M', 'O', 'D', 'B', 'L'];
+
+// only caries and fillings are charted on single surfaces
+const surfaceStates = ['caries', 'filled'];
+
+const toothChangeSchema = new mongoose.Schema({
+    state: {
+        type: String,
+        enum: toothStates
+    },
+    surfaces: {
+        type: [String],
+        enum: toothSurfaces
+    },
+    notes: {
+        type: String
+    },
+    treatmentID: {
+        type: Number
+    },
+    changedBy: {
+        type: String
+    },
+    changedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {_id: false});
+
+const toothSchema = new mongoose.Schema({
+    tooth: { //FDI number, permanent or primary
+        type: Number,
+        required: true,
+        validate: {
+            validator: Teeth.isValidTooth,
+            message: 'There is no tooth {VALUE}.'
+        }
+    },
+    state: {
+        type: String,
+        enum: toothStates,
+        default: 'present'
+    },
+    surfaces: {
+        type: [String],
+        enum: toothSurfaces
+    },
+    notes: {
+        type: String
+    },
+    treatmentID: { //treatment that left the tooth in this state
+        type: Number
+    },
+    updatedBy: {
+        type: String
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    },
+    history: [toothChangeSchema] //earlier states, oldest first
+}, {_id: false});
+
+toothSchema.pre('validate', function(next){
+    if(this.surfaces && this.surfaces.length > 0 && !surfaceStates.includes(this.state)){
+        this.invalidate('surfaces', `Surfaces are only charted for ${surfaceStates.join(' and ')} teeth.`);
+    }
+    if(surfaceStates.includes(this.state) && (!this.surfaces || this.surfaces.length === 0)){
+        this.invalidate('surfaces', `Choose the surfaces of the ${this.state} tooth.`);
+    }
+
+    next();
+});
+
+// one chart per patient. Teeth that were never charted are present
+const dentalChartSchema = new mongoose.Schema({
+    patientID: {
+        type: Number,
+        required: true,
+        unique: true
+    },
+    teeth: [toothSchema],
+    teethNumbering: { //charts saved before FDI storage have no value until Functions.migrateToothNumbers runs.
+        //Set when a chart is made rather than as a default, which would be written to old charts on their next save
+        type: String,
+        enum: ['fdi']
+    }
+});
+
+const DentalChart = mongoose.model('Dental Chart', dentalChartSchema);
+
+module.exports = DentalChart;
+module.exports.toothStates = toothStates;
+module.exports.toothSurfaces = toothSurfaces;
+module.exports.surfaceStates = surfaceStates;
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// payment schedule for an orthodontic case. Which installments are paid is worked out from the
+// payments recorded against the plan, see Functions.installmentSchedule
+const installmentPlanSchema = new mongoose.Schema({
+    id: {
+        type: Number,
+        required: true,
+        unique: true
+    },
+    patientID: {
+        type: Number,
+        required: true
+    },
+    orthoID: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Orthodontics'
+    },
+    treatmentID: {
+        type: Number
+    },
+    totalAmount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    downPayment: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    installments: [{
+        dueDate: {
+            type: Date,
+            required: true
+        },
+        amount: {
+            type: Number,
+            required: true,
+            min: 0
+        }
+    }],
+    createdBy: {
+        type: String
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+});
+
+const InstallmentPlan = mongoose.model('Installment Plan', installmentPlanSchema);
+
+module.exports = InstallmentPlan;
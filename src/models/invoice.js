@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+// invoice for one or more treatments of a patient, printed as an official receipt
+const invoiceSchema = new mongoose.Schema({
+    id: {
+        type: Number,
+        required: true,
+        unique: true
+    },
+    receiptNumber: { //official receipt number, sequential, see Functions.formatReceiptNumber
+        type: String,
+        required: true,
+        unique: true
+    },
+    patientID: {
+        type: Number,
+        required: true
+    },
+    items: [{
+        treatmentID: Number,
+        description: String,
+        quantity: {
+            type: Number,
+            default: 1,
+            min: 1
+        },
+        unitPrice: {
+            type: Number,
+            required: true,
+            min: 0
+        },
+        amount: Number
+    }],
+    discountType: {
+        type: String,
+        enum: ['none', 'amount', 'percent'],
+        default: 'none'
+    },
+    discountValue: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    discountReason: {
+        type: String
+    },
+    subtotal: Number,
+    discountAmount: Number,
+    total: Number,
+    issuedAt: {
+        type: Date,
+        default: Date.now
+    },
+    issuedBy: { //name of the staff account that issued it
+        type: String
+    },
+    status: {
+        type: String,
+        enum: ['issued', 'void'],
+        default: 'issued'
+    },
+    voidReason: {
+        type: String
+    }
+});
+
+//line amounts and totals are always computed from the items and discount
+invoiceSchema.pre('validate', function(next){
+    if(this.items.length === 0){
+        this.invalidate('items', 'An invoice needs at least one item.');
+    }
+
+    this.items.forEach(item => {
+        item.amount = item.quantity * item.unitPrice;
+    });
+    this.subtotal = this.items.reduce((sum, item) => sum + item.amount, 0);
+
+    if(this.discountType === 'percent'){
+        if(this.discountValue > 100){
+            this.invalidate('discountValue', 'A percentage discount cannot be more than 100%.');
+        }
+        this.discountAmount = Math.round(this.subtotal * this.discountValue) / 100;
+    } else if(this.discountType === 'amount'){
+        if(this.discountValue > this.subtotal){
+            this.invalidate('discountValue', 'The discount cannot be more than the subtotal.');
+        }
+        this.discountAmount = this.discountValue;
+    } else {
+        this.discountAmount = 0;
+    }
+
+    this.total = this.subtotal - this.discountAmount;
+
+    next();
+});
+
+const Invoice = mongoose.model('Invoice', invoiceSchema);
+
+module.exports = Invoice;
@@ -1,10 +1,61 @@
 const mongoose = require('mongoose');
 
-const medicalHistorySchema = new mongoose.Schema({ //if no patientID found, don't display checked boxes
+// drugs and allergens are named as in the bundled dictionary (scripts/drugs.js) where possible,
+// so they can be checked against what the clinic prescribes
+const medicationSchema = new mongoose.Schema({
+    drug: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    dose: { //e.g. 5 mg
+        type: String,
+        trim: true
+    },
+    frequency: { //e.g. once daily
+        type: String,
+        trim: true
+    },
+    startDate: {
+        type: Date
+    },
+    stopDate: { //blank while the patient still takes it
+        type: Date
+    }
+}, {_id: false});
+
+const allergySeverities = ['unknown', 'mild', 'moderate', 'severe'];
+
+// a patient with no allergies has a single 'None' entry
+const allergySchema = new mongoose.Schema({
+    substance: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    reaction: { //e.g. hives, anaphylaxis
+        type: String,
+        trim: true
+    },
+    severity: {
+        type: String,
+        enum: allergySeverities,
+        default: 'unknown'
+    }
+}, {_id: false});
+
+// every update is saved as a new version, the highest version is the patient's current history.
+// if no patientID found, don't display checked boxes
+const medicalHistorySchema = new mongoose.Schema({
     patientID:{
         type: Number,
         required: true
     },
+    version:{
+        type: Number,
+        default: 1,
+        min: 1
+    },
     physicianName: {
         type: String
     },
@@ -17,9 +68,12 @@ const medicalHistorySchema = new mongoose.Schema({ //if no patientID found, don'
     physicianOfficeNumber: {
         type: Number
     },
-    prescription:{
+    prescription:{ //anything about the patient's medication that does not fit the medications list
         type: String
     },
+    medications:{
+        type: [medicationSchema]
+    },
     illnessOrSurgery:{
         type: String
     },
@@ -33,7 +87,7 @@ const medicalHistorySchema = new mongoose.Schema({ //if no patientID found, don'
         type: Boolean
     },
     allergies:{
-        type: [String]
+        type: [allergySchema]
     },
     isPregnant:{
         type: Boolean
@@ -46,9 +100,52 @@ const medicalHistorySchema = new mongoose.Schema({ //if no patientID found, don'
     },
     healthProblems:{
         type: [String]
+    },
+    reviewedBy:{ //staff who went through the history with the patient
+        type: String
+    },
+    reviewedAt:{ //empty when the version was saved without going through it with the patient
+        type: Date
+    },
+    lastReviewedAt:{ //latest review of this or an earlier version, for the review reminder
+        type: Date
+    },
+    patientAttested:{ //the patient confirmed the history is complete and correct
+        type: Boolean,
+        default: false
+    },
+    createdAt:{
+        type: Date,
+        default: Date.now
     }
 })
 
+medicalHistorySchema.index({patientID: 1, version: 1}, {unique: true});
+
+// alert flags raised by a medical history, see Functions.medicalAlerts. A flag is raised by any of its allergies
+// or health problems, or when its yes/no field is true. Services can be marked contraindicated for a flag
+const medicalAlertFlags = [
+    {key: 'penicillin-allergy', label: 'Penicillin allergy', severity: 'high', allergies: ['Penicillin']},
+    {key: 'antibiotic-allergy', label: 'Antibiotic allergy', severity: 'high', allergies: ['Antibiotics']},
+    {key: 'sulfa-allergy', label: 'Sulfa drug allergy', severity: 'high', allergies: ['Sulfa drugs']},
+    {key: 'anaesthetic-allergy', label: 'Local anaesthetic allergy', severity: 'high', allergies: ['Lidocaine']},
+    {key: 'aspirin-allergy', label: 'Aspirin allergy', severity: 'high', allergies: ['Aspirin']},
+    {key: 'latex-allergy', label: 'Latex allergy', severity: 'high', allergies: ['Latex']},
+    {key: 'bleeding-disorder', label: 'Bleeding disorder', severity: 'high', healthProblems: ['Bleeding Problems']},
+    {key: 'heart-condition', label: 'Heart condition', severity: 'high', healthProblems: ['Heart Disease', 'Heart Attack', 'Heart Surgery', 'Heart Murmur', 'Rheumatic Fever']},
+    {key: 'pregnant', label: 'Pregnant', severity: 'high', field: 'isPregnant'},
+    {key: 'diabetic', label: 'Diabetic', severity: 'caution', healthProblems: ['Diabetes']},
+    {key: 'hypertension', label: 'High blood pressure', severity: 'caution', healthProblems: ['High Blood Pressure']},
+    {key: 'seizures', label: 'Seizures', severity: 'caution', healthProblems: ['Epilepsy', 'Fainting Seizure']},
+    {key: 'joint-replacement', label: 'Joint replacement', severity: 'caution', healthProblems: ['Joint Replacement']},
+    {key: 'radiation-therapy', label: 'Radiation therapy', severity: 'caution', healthProblems: ['Radiation Therapy']},
+    {key: 'infectious-disease', label: 'Infectious disease', severity: 'caution', healthProblems: ['AIDS', 'Hepatitis / Liver Disease', 'Hepatitis / Jaundice', 'Tuberculosis']},
+    {key: 'nursing', label: 'Nursing', severity: 'caution', field: 'isNursing'},
+    {key: 'tobacco', label: 'Tobacco use', severity: 'caution', field: 'isUsingTobacco'}
+];
+
 const MedicalHistory = mongoose.model('Medical History', medicalHistorySchema);
 
-module.exports = MedicalHistory;
\ No newline at end of file
+module.exports = MedicalHistory;
+module.exports.medicalAlertFlags = medicalAlertFlags;
+module.exports.allergySeverities = allergySeverities;
\ No newline at end of file
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// one payment received from a patient. Payments are never edited or deleted, mistakes are voided
+const paymentSchema = new mongoose.Schema({
+    id: {
+        type: Number,
+        required: true,
+        unique: true
+    },
+    patientID: {
+        type: Number,
+        required: true
+    },
+    treatmentID: { //treatment, invoice and/or installment plan the payment is for
+        type: Number
+    },
+    invoiceID: {
+        type: Number
+    },
+    installmentPlanID: {
+        type: Number
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: 0.01
+    },
+    date: {
+        type: Date,
+        required: true,
+        default: Date.now
+    },
+    method: {
+        type: String,
+        required: true,
+        enum: ['cash', 'card', 'bank', 'e-wallet']
+    },
+    referenceNo: { //card slip, bank or e-wallet transaction number
+        type: String
+    },
+    receivedBy: { //name of the staff account that received it
+        type: String
+    },
+    receivedByID: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Account'
+    },
+    notes: {
+        type: String
+    },
+    status: {
+        type: String,
+        enum: ['recorded', 'void'],
+        default: 'recorded'
+    },
+    voidReason: {
+        type: String
+    }
+});
+
+// note on payments carried over from Treatment.amountPaid, see Functions.migratePaymentLedger
+const openingBalanceNote = 'Recorded before the payment ledger';
+
+paymentSchema.pre('validate', function(next){
+    if(this.method !== 'cash' && this.isNew && !this.referenceNo && this.notes !== openingBalanceNote){
+        this.invalidate('referenceNo', 'Card, bank and e-wallet payments need a reference number.');
+    }
+
+    next();
+});
+
+const Payment = mongoose.model('Payment', paymentSchema);
+
+module.exports = Payment;
+module.exports.openingBalanceNote = openingBalanceNote;
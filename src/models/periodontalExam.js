@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+const Teeth = require('../scripts/teeth.js');
+
+// six probing sites per tooth: distal, middle and mesial on the buccal side, then on the lingual side
+const perioSites = ['DB', 'B', 'MB', 'DL', 'L', 'ML'];
+
+// furcations are only probed on teeth with more than one root: molars and upper first premolars
+function hasFurcation(fdi){
+    const position = fdi % 10;
+
+    if(Teeth.isPrimary(fdi)){
+        return position >= 4;
+    }
+
+    return position >= 6 || (position === 4 && [1, 2].includes(Math.floor(fdi / 10)));
+}
+
+const perioSiteSchema = new mongoose.Schema({
+    site: {
+        type: String,
+        enum: perioSites,
+        required: true
+    },
+    probingDepth: { //mm
+        type: Number,
+        min: 0,
+        max: 15
+    },
+    recession: { //mm from the cemento-enamel junction, negative when the gum covers it
+        type: Number,
+        min: -5,
+        max: 15
+    },
+    bleeding: {
+        type: Boolean,
+        default: false
+    }
+}, {_id: false});
+
+const perioToothSchema = new mongoose.Schema({
+    tooth: { //FDI number
+        type: Number,
+        required: true,
+        validate: {
+            validator: Teeth.isValidTooth,
+            message: 'There is no tooth {VALUE}.'
+        }
+    },
+    sites: [perioSiteSchema],
+    mobility: { //Miller grade
+        type: Number,
+        min: 0,
+        max: 3,
+        default: 0
+    },
+    furcation: { //Glickman grade, worst furcation of the tooth
+        type: Number,
+        min: 0,
+        max: 4,
+        default: 0
+    }
+}, {_id: false});
+
+perioToothSchema.pre('validate', function(next){
+    if(this.furcation > 0 && !hasFurcation(this.tooth)){
+        this.invalidate('furcation', `Tooth ${this.tooth} has no furcation.`);
+    }
+
+    const sites = this.sites.map(site => site.site);
+    if(new Set(sites).size !== sites.length){
+        this.invalidate('sites', `Tooth ${this.tooth} has a site recorded twice.`);
+    }
+
+    next();
+});
+
+// one exam per visit. Teeth that were not probed (missing or skipped) are left out
+const periodontalExamSchema = new mongoose.Schema({
+    id: {
+        type: Number,
+        required: true,
+        unique: true
+    },
+    patientID: {
+        type: Number,
+        required: true
+    },
+    appointmentID: { //the visit the exam was done at, if booked
+        type: Number
+    },
+    date: {
+        type: Date,
+        required: true
+    },
+    examinedBy: {
+        type: String
+    },
+    notes: {
+        type: String
+    },
+    teeth: [perioToothSchema],
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+const PeriodontalExam = mongoose.model('Periodontal Exam', periodontalExamSchema);
+
+module.exports = PeriodontalExam;
+module.exports.perioSites = perioSites;
+module.exports.hasFurcation = hasFurcation;
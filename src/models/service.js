@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const MedicalHistory = require('./medicalHistory.js');
+const Drugs = require('../scripts/drugs.js');
 
 const serviceSchema = new mongoose.Schema ({
     service: {
@@ -15,6 +17,25 @@ const serviceSchema = new mongoose.Schema ({
         type: String,
         required: true,
         enum: ['Ortho', 'Non-Ortho']
+    },
+    duration: { //expected length of a visit in minutes
+        type: Number,
+        default: 30,
+        min: 5
+    },
+    contraindications: { //medical alert flags the service should not be given with, see MedicalHistory.medicalAlertFlags
+        type: [String],
+        enum: MedicalHistory.medicalAlertFlags.map(flag => flag.key)
+    },
+    noteTemplate: { //starting text of the clinical notes written for the service
+        subjective: {type: String},
+        objective: {type: String},
+        assessment: {type: String},
+        plan: {type: String}
+    },
+    drugs: { //anaesthetics and other drugs given during the service, checked against the patient's allergies and medications
+        type: [String],
+        enum: Drugs.drugNames()
     }
 
 });
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// correction or addition written after a record was signed. Addenda are only ever appended
+const addendumSchema = new mongoose.Schema({
+    text: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    author: {
+        type: String
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {_id: false});
+
+// fields of records a dentist signs (treatments and clinical notes). A signed record is read-only
+function signatureFields(){
+    return {
+        signedBy: {
+            type: String
+        },
+        signedAt: {
+            type: Date
+        },
+        addenda: [addendumSchema]
+    };
+}
+
+// rejects changes to the given fields of a record that was already signed. Only addenda can be added to it
+function lockWhenSigned(schema, fields){
+    schema.pre('validate', function(next){
+        if(!this.isNew && this.signedAt && !this.isModified('signedAt')){
+            fields.filter(field => this.isModified(field)).forEach(field => {
+                this.invalidate(field, 'Signed records cannot be changed. Add an addendum instead.');
+            });
+        }
+
+        next();
+    });
+}
+
+module.exports.signatureFields = signatureFields;
+module.exports.lockWhenSigned = lockWhenSigned;
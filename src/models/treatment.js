@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const Teeth = require('../scripts/teeth.js');
+const { signatureFields, lockWhenSigned } = require('./signature.js');
 
 const treatmentSchema = new mongoose.Schema({
     id: {
@@ -10,8 +12,17 @@ const treatmentSchema = new mongoose.Schema({
         type: Date,
         required: true
     },
-    teethAffected:{
+    teethAffected:{ //FDI numbers, see scripts/teeth.js
         type:[Number],
+        validate: {
+            validator: teeth => teeth.every(Teeth.isValidTooth),
+            message: 'Teeth must be valid FDI tooth numbers.'
+        }
+    },
+    teethNumbering:{ //records saved before FDI storage have no value until Functions.migrateToothNumbers runs.
+        //Set when a record is made rather than as a default, which would be written to old records on their next save
+        type: String,
+        enum: ['fdi']
     },
     procedure:{
         type: String
@@ -35,9 +46,22 @@ const treatmentSchema = new mongoose.Schema({
     patientID:{
         type: Number, 
         required: true
-    }
+    },
+    prescriptions:{ //drugs prescribed with the treatment, see scripts/drugs.js
+        type: [{
+            _id: false,
+            drug: {type: String, required: true, trim: true},
+            dose: {type: String, trim: true},
+            frequency: {type: String, trim: true},
+            days: {type: Number, min: 1}
+        }]
+    },
+    ...signatureFields()
 });
 
+//amountPaid and balance still follow the payment ledger after signing
+lockWhenSigned(treatmentSchema, ['date', 'teethAffected', 'procedure', 'dentist', 'amountCharged', 'status', 'patientID', 'prescriptions']);
+
 const Treatment = mongoose.model('Treatments', treatmentSchema);
 
 module.exports = Treatment;
\ No newline at end of file
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+const Teeth = require('../scripts/teeth.js');
+
+// most pressing first, see Functions.treatmentPlanProgress
+const planPriorities = ['urgent', 'high', 'routine', 'elective'];
+
+// whether an item is planned, scheduled or completed is worked out from its appointment and treatment,
+// see Functions.treatmentPlanProgress
+const planItemSchema = new mongoose.Schema({
+    service: {
+        type: String,
+        required: true
+    },
+    teeth: { //FDI numbers, see scripts/teeth.js
+        type: [Number],
+        validate: {
+            validator: teeth => teeth.every(Teeth.isValidTooth),
+            message: 'There is no tooth {VALUE}.'
+        }
+    },
+    estimatedCost: { //the service's price when the item was added, unless changed
+        type: Number,
+        required: true,
+        min: 0
+    },
+    phase: {
+        type: Number,
+        default: 1,
+        min: 1
+    },
+    priority: {
+        type: String,
+        enum: planPriorities,
+        default: 'routine'
+    },
+    notes: {
+        type: String
+    },
+    appointmentID: { //latest visit booked for the item
+        type: Number
+    },
+    treatmentID: {
+        type: Number
+    }
+});
+
+const treatmentPlanSchema = new mongoose.Schema({
+    id: {
+        type: Number,
+        required: true,
+        unique: true
+    },
+    patientID: {
+        type: Number,
+        required: true
+    },
+    title: {
+        type: String,
+        trim: true
+    },
+    items: [planItemSchema],
+    status: { //items can only be changed while the plan is proposed, and only booked once it is accepted
+        type: String,
+        enum: ['proposed', 'accepted', 'declined'],
+        default: 'proposed'
+    },
+    acceptedAt: { //date the patient accepted or declined the plan
+        type: Date
+    },
+    recordedBy: { //staff who recorded the patient's answer
+        type: String
+    },
+    createdBy: {
+        type: String
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+const TreatmentPlan = mongoose.model('Treatment Plan', treatmentPlanSchema);
+
+module.exports = TreatmentPlan;
+module.exports.planPriorities = planPriorities;
@@ -19,9 +19,22 @@ const MedicalHistory = require('../models/medicalHistory');
 const { TopologyDescription } = require('mongodb');
 const sampleTreatments = require('../scripts/sampleData/treatmentData');
 const NonPatient = require('../models/nonpatient.js');
+const AuditLog = require('../models/auditLog.js');
+const Appointment = require('../models/appointment.js');
+const AppointmentSeries = require('../models/appointmentSeries.js');
+const Invoice = require('../models/invoice.js');
+const Payment = require('../models/payment.js');
+const InstallmentPlan = require('../models/installmentPlan.js');
+const DentalChart = require('../models/dentalChart.js');
+const TreatmentPlan = require('../models/treatmentPlan.js');
+const PeriodontalExam = require('../models/periodontalExam.js');
+const ClinicalNote = require('../models/clinicalNote.js');
 
 
 const Functions = require('../scripts/functions');
+const Reminders = require('../scripts/reminders');
+const Teeth = require('../scripts/teeth');
+const Drugs = require('../scripts/drugs');
 
 const router = Router();
 router.use(express.json());
@@ -63,7 +76,7 @@ const upload = multer({ storage });
 app.use(express.urlencoded({ extended: true }));
 
 //upload picture
-router.post('/upload-pic', upload.single('file'), (req,res) => {
+router.post('/upload-pic', Functions.authorize('editPatients'), upload.single('file'), (req,res) => {
     try{
         const fileName = req.file.originalname;
         const fileDate = req.body.date;
@@ -95,11 +108,11 @@ router.post('/upload-pic', upload.single('file'), (req,res) => {
     
 });
 
-router.post('/deactivate-ortho', async function(req, res){
+router.post('/deactivate-ortho', Functions.authorize('editDentalRecords'), async function(req, res){
     try{
         let orthos = req.body.orthos;
 
-        await Promise.all(orthos.map(ortho => {
+        const cancelledVisits = await Promise.all(orthos.map(ortho => {
             let firstPart;
             let secondPart;
             const spaceIndex = ortho.indexOf(' ');
@@ -112,9 +125,11 @@ router.post('/deactivate-ortho', async function(req, res){
 
 
 
-            return Functions.setOrthoInactive(firstPart, secondPart);
+            return Functions.setOrthoInactive(firstPart, secondPart, req.account.accountOwnerName);
         }));
 
+        await auditVisitChanges(req, cancelledVisits.flat());
+
         let count = await Ortho.countDocuments({isActive: true});
 
         return res.status(200).json({message: "Orthodontic patients successfully marked as finished.", count: count});
@@ -125,9 +140,9 @@ router.post('/deactivate-ortho', async function(req, res){
     }
 });
 
-router.post('/create-patient', function(req, res){
+router.post('/create-patient', Functions.authorize('editPatients'), async function(req, res){
     try{
-        Functions.createPatient(
+        const patientID = await Functions.createPatient(
             req.body.firstName,
             req.body.lastName,
             req.body.middleName,
@@ -145,7 +160,7 @@ router.post('/create-patient', function(req, res){
             req.body.officeNo,
             req.body.faxNo,
             req.body.cellNo,
-            req.body.birthdate ? new Date(req.body.birthdate) : null, //temporary for effectiveDate
+            null, //bookings are appointments now, see /update-effective-date
             req.body.guardianName,
             req.body.guardianOccupation,
             req.body.referral,
@@ -153,10 +168,23 @@ router.post('/create-patient', function(req, res){
             req.body.previousDentist,
             req.body.lastVisit ? new Date(req.body.lastVisit) : null,
             "random pic" //placeholder for not sure pic
-        ).then(function(patientID){
-            console.log('Patient record created successfully with ID: ' + patientID);
-            return res.status(200).json({message: "Patient record created successfully.", patientID: patientID});
-        });
+        );
+
+        console.log('Patient record created successfully with ID: ' + patientID);
+        const createdPatient = await Patient.findOne({id: patientID}).lean();
+        await Functions.recordAudit(req, 'Patient', patientID, patientID, null, createdPatient);
+
+        //registering a walk-in moves their bookings over to the new record
+        if(req.body.walkInAppointmentID){
+            const changes = await Functions.convertWalkIn(req.body.walkInAppointmentID, patientID);
+
+            for(const change of changes){
+                await Functions.recordAudit(req, 'Treatment', change.treatment.id, patientID, null, change.treatment);
+                await Functions.recordAudit(req, 'Appointment', change.after.id, patientID, change.before, change.after);
+            }
+        }
+
+        return res.status(200).json({message: "Patient record created successfully.", patientID: patientID});
 
     } catch(error){
         console.error("Error creating patient record.", error);
@@ -164,7 +192,7 @@ router.post('/create-patient', function(req, res){
     }
 });
 
-router.post('/create-treatment', function(req, res){
+router.post('/create-treatment', Functions.authorize('editDentalRecords'), async function(req, res){
     try{
         let patientID = req.body.patientID;
         let procedureDate = req.body.procedureDate;
@@ -172,23 +200,48 @@ router.post('/create-treatment', function(req, res){
         let dentistName = req.body.dentistName;
         let amountCharged = req.body.amountCharged;
         let amountPaid = req.body.amountPaid;
-        let teethAffected = req.body.teethAffected;
+        //the form's checkboxes hold FDI numbers
+        const teeth = Teeth.parseTeeth(req.body.teethAffected, 'fdi');
+
+        if(teeth.invalid.length > 0){
+            return res.status(400).json({message: `There is no tooth ${teeth.invalid.join(', ')}.`});
+        }
+
+        if(req.body.prescriptions !== undefined && !Array.isArray(req.body.prescriptions)){
+            return res.status(400).json({message: "Prescriptions must be a list."});
+        }
+
+        //blank prescription rows are left out
+        const prescriptions = (req.body.prescriptions || []).filter(prescription => prescription && prescription.drug);
+
+        if(await rejectContraindications(req, res, patientID, procedureName, prescriptions)){
+            return;
+        }
 
-        Functions.createTreatment(
+        const treatmentID = await Functions.createTreatment(
             patientID,
             procedureDate,
-            teethAffected,
+            teeth.teeth,
             procedureName,
             dentistName,
             amountCharged,
-            amountPaid,
-            5000, //change balance
-            'ongoing'
-        ).then(function(treatmentID){
-            console.log("Treatment ID: " + treatmentID);
-            console.log('Treatment record created successfully.');
-            return res.status(200).send({id: treatmentID});
-        })
+            0, //paid amount and balance come from the payment ledger
+            amountCharged,
+            'ongoing',
+            prescriptions
+        );
+
+        //an amount paid when the treatment is recorded goes in the ledger as a cash payment
+        if(Number(amountPaid) > 0){
+            const payment = await Functions.recordPayment(patientID, Number(amountPaid), procedureDate, 'cash', undefined, req.account, treatmentID);
+            await Functions.recordAudit(req, 'Payment', payment.id, payment.patientID, null, payment.toObject());
+        }
+
+        const createdTreatment = await Treatment.findOne({id: treatmentID}).lean();
+        await Functions.recordAudit(req, 'Treatment', treatmentID, patientID, null, createdTreatment);
+        console.log("Treatment ID: " + treatmentID);
+        console.log('Treatment record created successfully.');
+        return res.status(200).send({id: treatmentID});
     } catch(error){
         console.error("Error creating treatment record.", error);
         res.status(500).send("Server error");
@@ -197,241 +250,209 @@ router.post('/create-treatment', function(req, res){
 
 
 
-router.get("/report", async (req, res) => {
-    try{
-        let orthodontics = await Ortho.aggregate([
-            { $match: { isActive: true } },  // Filter for active records
-            { $group: { 
-                _id: { patientID: "$patientID", service: "$service" },  // Group by patientID and service
-                doc: { $first: "$$ROOT" }  // Keep the first document in each group
-            }},
-            { $replaceRoot: { newRoot: "$doc" } }  // Replace the root with the document itself
-          ]);
+// years with treatments or payments, newest first, for the report year selects
+async function reportYears() {
+    const [firstTreatment] = await Treatment.find({ date: { $ne: null } }).sort({ date: 1 }).limit(1);
+    const [firstPayment] = await Payment.find().sort({ date: 1 }).limit(1);
+    const currentYear = new Date().getFullYear();
+    const firstYear = Math.min(
+        firstTreatment ? firstTreatment.date.getUTCFullYear() : currentYear,
+        firstPayment ? firstPayment.date.getUTCFullYear() : currentYear
+    );
 
-        for(let ortho of orthodontics){
-            let patient = await Patient.findOne({id: ortho.patientID });
+    let years = [];
+    for (let year = currentYear; year >= firstYear; year--) {
+        years.push(year);
+    }
+    return years;
+}
 
-            ortho.patientName = patient.firstName +" " +patient.lastName;
+// active orthodontic cases with the patient's name. With a dentist, only cases that dentist has treated
+async function activeOrthodontics(dentist) {
+    let orthodontics = await Ortho.aggregate([
+        { $match: { isActive: true } },  // Filter for active records
+        { $group: { 
+            _id: { patientID: "$patientID", service: "$service" },  // Group by patientID and service
+            doc: { $first: "$$ROOT" }  // Keep the first document in each group
+        }},
+        { $replaceRoot: { newRoot: "$doc" } }  // Replace the root with the document itself
+      ]);
+
+    let cases = [];
+
+    for(let ortho of orthodontics){
+        if (dentist && !await Treatment.exists({ patientID: ortho.patientID, procedure: ortho.service, dentist: dentist })) {
+            continue;
         }
 
-        const currentYear = new Date().getFullYear(); 
-        const startOfYear = new Date(currentYear, 0, 1); 
-        const startOfNextYear = new Date(currentYear + 1, 0, 1);
+        let patient = await Patient.findOne({id: ortho.patientID });
 
-        let monthlyAppointmentsCounts = [0,0,0,0,0,0,0,0,0,0,0,0];
-        
-        const treatmentsOfYear = await Treatment.find({
-            date: {
-                $gte: startOfYear, 
-                $lt: startOfNextYear
-            }
-        });
+        ortho.patientName = patient.firstName +" " +patient.lastName;
+        cases.push(ortho);
+    }
 
-        let yearlyUniqueProcedures = []; // array of jsons for unique procedures
-        let servicesByMonth = {};
-        const months = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
-        
-        months.forEach(month => {
-            servicesByMonth[month + "Services"] = [];
-        });
-        
-        treatmentsOfYear.forEach(treatment => {
-            let month = treatment.date.getMonth(); // get the month number
-            let procedure = treatment.procedure;
-        
-            // Handle unique procedures for the year
-            const uniqueProcedure = yearlyUniqueProcedures.find(p => p.name === procedure);
-            if (uniqueProcedure) {
-                uniqueProcedure.count++; // increment if procedure already exists
-            } else {
-                yearlyUniqueProcedures.push({ name: procedure, count: 1 }); // create new procedure entry if not found
-            }
+    return cases;
+}
 
+// range and filters of the report routes from ?year= or ?from=&to=, ?dentist= and ?serviceType=
+function reportQuery(query) {
+    return {
+        range: Functions.reportRange(query.year, query.from, query.to),
+        filters: {
+            dentist: query.dentist || undefined,
+            serviceType: Service.schema.path('type').enumValues.includes(query.serviceType) ? query.serviceType : undefined
+        }
+    };
+}
 
-            let procedureOfMonth;
-        
-            // Update monthly appointments count (e.g., total treatments for each month)
-            switch (month) {
-                case 0: // January
-                    monthlyAppointmentsCounts[0]++;
-                    
-                    // Check if procedure exists in January's services
-                    procedureOfMonth = servicesByMonth.JanServices.find(p => p.name === procedure);
-                    if (procedureOfMonth) {
-                        procedureOfMonth.count++;
-                    } else {
-                        servicesByMonth.JanServices.push({ name: procedure, count: 1 });
-                    }
-                    break;
-                
-                case 1: // February
-                    monthlyAppointmentsCounts[1]++;
-                    
-                    // Check if procedure exists in February's services
-                    procedureOfMonth = servicesByMonth.FebServices.find(p => p.name === procedure);
-                    if (procedureOfMonth) {
-                        procedureOfMonth.count++;
-                    } else {
-                        servicesByMonth.FebServices.push({ name: procedure, count: 1 });
-                    }
-                    break;
-        
-                case 2: // March
-                    monthlyAppointmentsCounts[2]++;
-                    
-                    // Check if procedure exists in March's services
-                    procedureOfMonth = servicesByMonth.MarServices.find(p => p.name === procedure);
-                    if (procedureOfMonth) {
-                        procedureOfMonth.count++;
-                    } else {
-                        servicesByMonth.MarServices.push({ name: procedure, count: 1 });
-                    }
-                    break;
-        
-                case 3: // April
-                    monthlyAppointmentsCounts[3]++;
-                    
-                    // Check if procedure exists in April's services
-                    procedureOfMonth = servicesByMonth.AprServices.find(p => p.name === procedure);
-                    if (procedureOfMonth) {
-                        procedureOfMonth.count++;
-                    } else {
-                        servicesByMonth.AprServices.push({ name: procedure, count: 1 });
-                    }
-                    break;
-        
-                case 4: // May
-                    monthlyAppointmentsCounts[4]++;
-                    
-                    // Check if procedure exists in May's services
-                    procedureOfMonth = servicesByMonth.MayServices.find(p => p.name === procedure);
-                    if (procedureOfMonth) {
-                        procedureOfMonth.count++;
-                    } else {
-                        servicesByMonth.MayServices.push({ name: procedure, count: 1 });
-                    }
-                    break;
-        
-                case 5: // June
-                    monthlyAppointmentsCounts[5]++;
-                    
-                    // Check if procedure exists in June's services
-                    procedureOfMonth = servicesByMonth.JunServices.find(p => p.name === procedure);
-                    if (procedureOfMonth) {
-                        procedureOfMonth.count++;
-                    } else {
-                        servicesByMonth.JunServices.push({ name: procedure, count: 1 });
-                    }
-                    break;
-        
-                case 6: // July
-                    monthlyAppointmentsCounts[6]++;
-                    
-                    // Check if procedure exists in July's services
-                    procedureOfMonth = servicesByMonth.JulServices.find(p => p.name === procedure);
-                    if (procedureOfMonth) {
-                        procedureOfMonth.count++;
-                    } else {
-                        servicesByMonth.JulServices.push({ name: procedure, count: 1 });
-                    }
-                    break;
-        
-                case 7: // August
-                    monthlyAppointmentsCounts[7]++;
-                    
-                    // Check if procedure exists in August's services
-                    procedureOfMonth = servicesByMonth.AugServices.find(p => p.name === procedure);
-                    if (procedureOfMonth) {
-                        procedureOfMonth.count++;
-                    } else {
-                        servicesByMonth.AugServices.push({ name: procedure, count: 1 });
-                    }
-                    break;
-        
-                case 8: // September
-                    monthlyAppointmentsCounts[8]++;
-                    
-                    // Check if procedure exists in September's services
-                    procedureOfMonth = servicesByMonth.SepServices.find(p => p.name === procedure);
-                    if (procedureOfMonth) {
-                        procedureOfMonth.count++;
-                    } else {
-                        servicesByMonth.SepServices.push({ name: procedure, count: 1 });
-                    }
-                    break;
-        
-                case 9: // October
-                    monthlyAppointmentsCounts[9]++;
-                    
-                    // Check if procedure exists in October's services
-                    procedureOfMonth = servicesByMonth.OctServices.find(p => p.name === procedure);
-                    if (procedureOfMonth) {
-                        procedureOfMonth.count++;
-                    } else {
-                        servicesByMonth.OctServices.push({ name: procedure, count: 1 });
-                    }
-                    break;
-        
-                case 10: // November
-                    monthlyAppointmentsCounts[10]++;
-                    
-                    // Check if procedure exists in November's services
-                    procedureOfMonth = servicesByMonth.NovServices.find(p => p.name === procedure);
-                    if (procedureOfMonth) {
-                        procedureOfMonth.count++;
-                    } else {
-                        servicesByMonth.NovServices.push({ name: procedure, count: 1 });
-                    }
-                    break;
-        
-                case 11: // December
-                    monthlyAppointmentsCounts[11]++;
-                    
-                    // Check if procedure exists in December's services
-                    procedureOfMonth = servicesByMonth.DecServices.find(p => p.name === procedure);
-                    if (procedureOfMonth) {
-                        procedureOfMonth.count++;
-                    } else {
-                        servicesByMonth.DecServices.push({ name: procedure, count: 1 });
-                    }
-                    break;
-        
-                default:
-                    console.log("Invalid month"); // Fallback for invalid months
-            }
+// the page only has the filter controls, the charts and tables load from /report/data and /report/revenue
+router.get("/report", Functions.authorize('viewReports'), async (req, res) => {
+    try{
+        res.render("E_Report", {
+            allServices: await Service.find(),
+            reportYears: await reportYears(),
+            currentYear: new Date().getFullYear(),
+            dentists: (await Treatment.distinct('dentist')).filter(name => name),
+            serviceTypes: Service.schema.path('type').enumValues
         });
-        
-        let allServices = await Service.find();
+    } catch (error) {
+        console.error("Error loading report page.", error);
+        res.status(500).send("Server error");
+    }
+});
 
-        res.render("E_Report", {
-            patients: orthodontics,
-            orthoCount: orthodontics.length,
-            monthlyCounts: monthlyAppointmentsCounts,
-            appointmentCount: treatmentsOfYear.length,
+// visits and active orthodontics for the report filters, shared by the charts and the exports. null for a bad range
+async function loadReportData(query) {
+    const { range, filters } = reportQuery(query);
+
+    if (!range) {
+        return null;
+    }
+
+    const orthodontics = await activeOrthodontics(filters.dentist);
+
+    return {
+        from: Functions.convertToDate(range.start),
+        to: Functions.convertToDate(new Date(range.end.getTime() - 24 * 60 * 60 * 1000)),
+        filters,
+        visits: await Functions.getVisitStats(range.start, range.end, filters),
+        orthodontics: orthodontics.map(ortho => ({ patientID: ortho.patientID, patientName: ortho.patientName, service: ortho.service }))
+    };
+}
+
+// visit counts, frequency distribution and active orthodontics for the report filters, as JSON for the charts
+router.get("/report/data", Functions.authorize('viewReports'), async (req, res) => {
+    try {
+        const data = await loadReportData(req.query);
+
+        if (!data) {
+            return res.status(400).json({ message: "Choose a valid year or date range." });
+        }
+
+        res.status(200).json(data);
+    } catch (error) {
+        console.error("Error loading report data:", error);
+        res.status(500).json({ message: "Error loading report data" });
+    }
+});
+
+// title, columns, rows and total row of each exportable report card
+const reportExports = {
+    frequency: (data) => ({
+        title: 'Frequency Distribution',
+        header: ['Service', 'Treatments'],
+        rows: data.visits.uniqueProcedures.map(procedure => [procedure.name, procedure.count]),
+        totals: ['Total', data.visits.total]
+    }),
+    monthly: (data) => ({
+        title: 'Monthly Appointments',
+        header: ['Month', 'Treatments'],
+        rows: data.visits.months.map(month => [month.label, month.count]),
+        totals: ['Total', data.visits.total]
+    }),
+    orthodontics: (data) => ({
+        title: 'Active Orthodontic Patients',
+        header: ['Patient ID', 'Patient', 'Service'],
+        rows: data.orthodontics.map(ortho => [ortho.patientID, ortho.patientName, ortho.service]),
+        totals: ['Total', `${data.orthodontics.length} patients`, '']
+    })
+};
+
+// a report card as CSV (?format=csv) or a print-ready page, for the same filters as /report/data
+router.get("/report/export/:report", Functions.authorize('viewReports'), async (req, res) => {
+    try {
+        const buildExport = reportExports[req.params.report];
+
+        if (!buildExport) {
+            return res.status(404).send("Report not found");
+        }
+
+        const data = await loadReportData(req.query);
+
+        if (!data) {
+            return res.status(400).send("Choose a valid year or date range.");
+        }
 
+        const report = buildExport(data);
+        const filterNotes = [
+            data.filters.dentist ? `Dentist: ${data.filters.dentist}` : null,
+            data.filters.serviceType ? `Service type: ${data.filters.serviceType}` : null
+        ].filter(note => note);
 
-            //for frequency distribution
-            yearlyUniqueProcedures: yearlyUniqueProcedures,
-            servicesByMonth: servicesByMonth,
-            allServices: allServices
+        if (req.query.format === 'csv') {
+            res.attachment(`${req.params.report}-${data.from}-to-${data.to}.csv`);
+            return res.type('text/csv').send(Functions.toCSV(report.header, report.rows.concat([report.totals])));
+        }
 
+        res.render("E_ReportPrint", {
+            layout: false,
+            clinic: Functions.getClinicDetails(),
+            report,
+            from: data.from,
+            to: data.to,
+            filterNotes,
+            printedBy: req.account.accountOwnerName,
+            printedAt: new Date().toLocaleString()
         });
+    } catch (error) {
+        console.error("Error exporting report:", error);
+        res.status(500).send("Server error");
+    }
+});
+
+// charged vs collected for the report filters, with the same range a year earlier
+router.get("/report/revenue", Functions.authorize('viewReports'), async (req, res) => {
+    try {
+        const { range, filters } = reportQuery(req.query);
+
+        if (!range) {
+            return res.status(400).json({ message: "Choose a valid year or date range." });
+        }
 
+        const revenue = await Functions.compareRevenueYearOverYear(range.start, range.end, filters);
 
+        res.status(200).json({
+            from: Functions.convertToDate(range.start),
+            to: Functions.convertToDate(new Date(range.end.getTime() - 24 * 60 * 60 * 1000)),
+            ...revenue
+        });
     } catch (error) {
-        console.error("Error loading report page.", error);
+        console.error("Error loading revenue report:", error);
+        res.status(500).json({ message: "Error loading revenue report" });
     }
 });
 
 ///SERVICE -Information
 
-router.post('/edit-footnote', async function(req, res){
+router.post('/edit-footnote', Functions.authorize('editDentalRecords'), async function(req, res){
     try{
         let patient = await Patient.findOne({id: req.body.patientID});
+        const before = patient.toObject();
 
         patient.footnote = req.body.footnote;
 
         await patient.save();
+        await Functions.recordAudit(req, 'Patient', patient.id, patient.id, before, patient.toObject());
 
         res.status(200).json({state: true, message: "Successfully updated footnote."});
     } catch(error){
@@ -440,22 +461,40 @@ router.post('/edit-footnote', async function(req, res){
 })
 
 
-router.post('/deactivate-patient', async(req, res) =>{
+router.post('/deactivate-patient', Functions.authorize('editPatients'), async(req, res) =>{
     try{
+        const before = await Patient.findOne({id: req.body.patientID}).lean();
         const isActive = await Functions.deactivatePatient(req.body.patientID);
+        const after = await Patient.findOne({id: req.body.patientID}).lean();
+
+        await Functions.recordAudit(req, 'Patient', req.body.patientID, req.body.patientID, before, after);
         res.status(200).json({state: isActive});
     } catch(error){
         res.status(400).json({state: null});
     }
 });
 
-router.post('/services', async (req, res) => {
-    const { serviceName, price, type } = req.body;
+router.post('/services', Functions.authorize('editServices'), async (req, res) => {
+    const { serviceName, price, type, duration, contraindications, drugs } = req.body;
 
     try {
+        const flags = MedicalHistory.medicalAlertFlags.map(flag => flag.key);
+        if (contraindications !== undefined && !Array.isArray(contraindications)) {
+            return res.status(400).json({ message: 'Contraindications must be a list.' });
+        }
+        if ((contraindications || []).some(flag => !flags.includes(flag))) {
+            return res.status(400).json({ message: 'Unknown medical alert in contraindications.' });
+        }
+        if (drugs !== undefined && !Array.isArray(drugs)) {
+            return res.status(400).json({ message: 'Drugs given must be a list.' });
+        }
+        if ((drugs || []).some(drug => !Drugs.findDrug(drug))) {
+            return res.status(400).json({ message: 'Unknown drug in drugs given.' });
+        }
+
         const result = await Service.findOneAndUpdate(
             { service: serviceName },
-            { $setOnInsert: { service: serviceName, price, type } },
+            { $setOnInsert: { service: serviceName, price, type, duration, contraindications, drugs } },
             { upsert: true, new: true }
         );
 
@@ -470,7 +509,7 @@ router.post('/services', async (req, res) => {
     }
 });
 
-router.get('/services/:id', async (req, res) => {
+router.get('/services/:id', Functions.authorize(), async (req, res) => {
     const { id } = req.params;
     try {
         const service = await Functions.readService(id);
@@ -480,7 +519,24 @@ router.get('/services/:id', async (req, res) => {
     }
 });
 
-router.put('/services/update-multiple', async (req, res) => {
+router.post('/services/:id/note-template', Functions.authorize('editServices'), async (req, res) => {
+    try {
+        const { subjective, objective, assessment, plan } = req.body;
+        const service = await Service.findByIdAndUpdate(req.params.id,
+            { noteTemplate: { subjective, objective, assessment, plan } }, { new: true });
+
+        if (!service) {
+            return res.status(404).json({ message: 'Service not found' });
+        }
+
+        res.status(200).json({ message: `Note template of ${service.service} saved` });
+    } catch (error) {
+        console.error('Error saving note template:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+router.put('/services/update-multiple', Functions.authorize('editServices'), async (req, res) => {
     const { updates } = req.body;
 
     try {
@@ -493,19 +549,48 @@ router.put('/services/update-multiple', async (req, res) => {
 });
 
 
-router.post("/update-treatments", async(req, res) => {
+router.post("/update-treatments", Functions.authorize('editDentalRecords'), async(req, res) => {
     try{
-        const promises = req.body.treatments.map(async(instance) => {
+        //teeth are typed in the account's numbering. Nothing is saved if any row has a tooth that does not exist
+        const numbering = Teeth.numberingFor(req.account);
+        const teethByRow = req.body.treatments.map(instance => Teeth.parseTeeth(instance.teethAffected, numbering));
+        const invalid = teethByRow.flatMap(teeth => teeth.invalid);
+
+        if(invalid.length > 0){
+            return res.status(400).json({message: `There is no tooth ${invalid.join(', ')} in ${Teeth.numberingSystems[numbering]} numbering.`});
+        }
+
+        //signed treatments are read-only, later changes are recorded as addenda
+        const signed = await Treatment.find({id: {$in: req.body.treatments.map(instance => instance.id)}, signedAt: {$exists: true}});
+
+        if(signed.length > 0){
+            return res.status(409).json({message: `Treatment ${signed.map(treatment => '#' + treatment.id).join(', ')} is signed and can no longer be changed. Add an addendum instead.`});
+        }
+
+        //a procedure changed to a service the patient's medical alerts contraindicate is only saved once confirmed
+        const current = await Treatment.find({id: {$in: req.body.treatments.map(instance => instance.id)}}).lean();
+
+        for(const instance of req.body.treatments){
+            const treatment = current.find(treatment => treatment.id === Number(instance.id));
+
+            if(treatment && instance.procedure !== treatment.procedure && await rejectContraindications(req, res, treatment.patientID, instance.procedure)){
+                return;
+            }
+        }
+
+        const promises = req.body.treatments.map(async(instance, index) => {
             const treatment = await Treatment.findOne({ id: instance.id });  
+            const before = treatment.toObject();
 
             treatment.date = instance.date;
-            treatment.teethAffected = instance.teethAffected;
+            treatment.teethAffected = teethByRow[index].teeth;
             treatment.procedure = instance.procedure;
             treatment.amountCharged = instance.amountCharged;
-            treatment.amountPaid = instance.amountPaid;
-        
+            //amountPaid is only changed through the payment ledger
         
             await treatment.save();
+            await Functions.syncTreatmentPayments(treatment.id);
+            await Functions.recordAudit(req, 'Treatment', treatment.id, treatment.patientID, before, treatment.toObject());
         });
 
         await Promise.all(promises);
@@ -516,14 +601,16 @@ router.post("/update-treatments", async(req, res) => {
     }
 });
 
-router.post("/fill-consent", async(req, res) => {
+router.post("/fill-consent", Functions.authorize('editPatients'), async(req, res) => {
     try{
         const patient = await Patient.findOne({id: req.body.patientID});
+        const before = patient.toObject();
 
         patient.consentName = req.body.consentName;
         patient.consentDate = new Date(req.body.consentDate);
 
         await patient.save();
+        await Functions.recordAudit(req, 'Patient', patient.id, patient.id, before, patient.toObject());
 
         res.status(200).json({message: "Consent form filled successfully."});
     } catch(error){
@@ -532,7 +619,7 @@ router.post("/fill-consent", async(req, res) => {
 });
 
 //PATIENT-INFORMATION
-router.get("/patient-information/:id", async (req, res) => {
+router.get("/patient-information/:id", Functions.authorize('viewPatients'), async (req, res) => {
     try {
         const patient = await Patient.findOne({id: req.params.id}).populate('treatments'); //unique id after the thing
         const fullName = `${patient.firstName} ${patient.middleName} ${patient.lastName}`;
@@ -562,7 +649,7 @@ router.get("/patient-information/:id", async (req, res) => {
             fullSex = "Female";
         }
 
-        const medicalHistory = await MedicalHistory.findOne({patientID: req.params.id});
+        const medicalHistory = await Functions.readMedicalHistory(req.params.id);
 
         if(medicalHistory){
             console.log('Medical history found.');
@@ -571,12 +658,18 @@ router.get("/patient-information/:id", async (req, res) => {
         }
 
         const patientTreatments = patient.treatments;
+        const numbering = Teeth.numberingFor(req.account);
         
         patientTreatments.forEach(treatment => {
-            treatment.teethAffected = treatment.teethAffected.join(', ');
+            treatment.teethString = Teeth.formatTeeth(treatment.teethAffected, numbering);
             treatment.dateString = Functions.convertToDate(treatment.date);
+            treatment.signature = Functions.signatureDetails(treatment);
+            treatment.prescriptionStrings = (treatment.prescriptions || []).map(Functions.formatPrescription);
         })
 
+        const latestPlan = await TreatmentPlan.findOne({patientID: patient.id, status: {$ne: 'declined'}}).sort({createdAt: -1});
+        const dentalChart = await Functions.getDentalChart(patient.id);
+
         const pictures = await Picture.find({patientID: req.params.id});
 
         pictures.forEach(picture => {
@@ -597,6 +690,26 @@ router.get("/patient-information/:id", async (req, res) => {
             hasTreatments = false;
         }
 
+        const now = new Date();
+        const upcomingAppointments = await Functions.describeAppointments(
+            await Appointment.find({patientID: patient.id, start: {$gte: now}}).sort({start: 1})
+        );
+        const upcomingSeries = await AppointmentSeries.find({
+            id: {$in: upcomingAppointments.filter(appointment => appointment.seriesID).map(appointment => appointment.seriesID)}
+        });
+        upcomingAppointments.forEach(appointment => {
+            appointment.dateString = appointment.start.toDateString();
+
+            const series = upcomingSeries.find(series => series.id === appointment.seriesID);
+            if (series) {
+                appointment.seriesLabel = `Every ${series.intervalWeeks} weeks`;
+            }
+        });
+
+        const history = Functions.formatAuditEntries(
+            await AuditLog.find({patientID: patient.id}).sort({timestamp: -1}).limit(100).lean()
+        );
+
 
         res.render("C_PatientInformation", {
             hasPictures: hasPictures,
@@ -642,7 +755,15 @@ router.get("/patient-information/:id", async (req, res) => {
             condition: medicalHistory ? medicalHistory.condition : "N/A",
             isUsingTobacco: medicalHistory ? medicalHistory.isUsingTobacco : "N/A",
             isAlcoholOrDrugs: medicalHistory ? medicalHistory.isAlcoholOrDrugs : "N/A",
-            allergies: medicalHistory ? medicalHistory.allergies : "N/A",
+            allergies: medicalHistory ? medicalHistory.allergies.map(allergy => allergy.toObject()) : "N/A",
+            medications: medicalHistory ? medicalHistory.medications.map(medication => ({
+                ...medication.toObject(),
+                startDateInput: Functions.convertToDate(medication.startDate),
+                stopDateInput: Functions.convertToDate(medication.stopDate)
+            })) : [],
+            allergySeverities: MedicalHistory.allergySeverities,
+            drugNames: Drugs.drugNames(),
+            allergenNames: Drugs.allergenNames(),
             isPregnant: medicalHistory ? medicalHistory.isPregnant : "N/A",
             isNursing: medicalHistory ? medicalHistory.isNursing : "N/A",
             isBirthControlPills: medicalHistory ? medicalHistory.isBirthControlPills : "N/A",
@@ -659,6 +780,77 @@ router.get("/patient-information/:id", async (req, res) => {
             //services
             services: services,
 
+            //appointments
+            appointments: upcomingAppointments,
+            dentists: await Functions.getDentists(),
+            chairs: Functions.getChairs(),
+            activeOrtho: !!await Ortho.exists({patientID: patient.id, isActive: true}),
+            noShowCount: await Appointment.countDocuments({patientID: patient.id, status: 'no-show'}),
+
+            //invoices
+            invoices: (await Invoice.find({patientID: patient.id}).sort({issuedAt: -1}).lean()).map(invoice => ({
+                ...invoice,
+                dateString: invoice.issuedAt.toDateString(),
+                totalString: Functions.formatMoney(invoice.total),
+                description: invoice.items.map(item => item.description.split(' - ')[0]).join(', ')
+            })),
+            invoiceableTreatments: await Functions.invoiceableTreatments(patient.id),
+            balanceString: Functions.formatMoney((await Functions.patientLedger(patient.id)).balance),
+
+            //odontogram
+            odontogram: Functions.buildOdontogram(dentalChart, numbering, patient.age),
+            teethRows: [false, true].flatMap(primary => Teeth.archRows(primary)).map(row => row.teeth.map(tooth => ({ tooth: tooth, label: Teeth.formatTooth(tooth, numbering) }))),
+            numberingName: Teeth.numberingSystems[numbering],
+
+            //flags from the medical history, shown as a banner
+            medicalAlerts: Functions.medicalAlerts(medicalHistory),
+
+            //medical history versions, newest first
+            medicalHistoryVersions: (await Functions.readMedicalHistoryVersions(patient.id)).map(version => ({
+                version: version.version,
+                dateString: Functions.convertToDate(version.createdAt),
+                reviewedBy: version.reviewedBy,
+                reviewedDateString: version.reviewedAt ? Functions.convertToDate(version.reviewedAt) : null,
+                patientAttested: version.patientAttested
+            })),
+            medicalHistoryReviewDue: Functions.isMedicalHistoryReviewDue(medicalHistory),
+            lastReviewedString: Functions.lastMedicalHistoryReview(medicalHistory) ? Functions.convertToDate(Functions.lastMedicalHistoryReview(medicalHistory)) : null,
+            reviewMonths: Functions.getMedicalHistoryReviewMonths(),
+            today: Functions.formatDateInput(new Date()),
+
+            //periodontal exams, newest first
+            perioExams: (await PeriodontalExam.find({patientID: patient.id}).sort({date: -1, id: -1}).lean()).map(exam => ({
+                id: exam.id,
+                dateString: Functions.formatDateInput(exam.date),
+                examinedBy: exam.examinedBy,
+                summary: Functions.perioSummary(exam)
+            })),
+            perioRows: Functions.perioEntryRows(dentalChart, numbering),
+            perioSites: PeriodontalExam.perioSites,
+
+            //clinical notes in visit order, and the treatments a note can be written for with their service's template
+            clinicalNotes: await Functions.patientClinicalNotes(patient.id),
+            noteTreatments: patientTreatments.slice().reverse().map(treatment => {
+                const service = services.find(service => service.service === treatment.procedure);
+
+                return {
+                    id: treatment.id,
+                    procedure: treatment.procedure,
+                    dateString: treatment.dateString,
+                    template: service && service.noteTemplate ? service.noteTemplate : {}
+                };
+            }),
+
+            //latest treatment plan the patient has not declined
+            treatmentPlan: latestPlan ? { status: latestPlan.status, progress: await Functions.treatmentPlanProgress(latestPlan, numbering) } : null,
+            toothStates: Object.keys(Functions.toothStateLabels).map(state => ({ value: state, label: Functions.toothStateLabels[state] })),
+            toothSurfaces: DentalChart.toothSurfaces,
+
+            cancelledCount: await Appointment.countDocuments({patientID: patient.id, status: 'cancelled'}),
+
+            //change history
+            history: history,
+
             //informed consent
             consentName: patient.consentName,
             consentDate: Functions.convertToDate(patient.consentDate)
@@ -669,7 +861,7 @@ router.get("/patient-information/:id", async (req, res) => {
     }
 });
 
-router.post("/update-patient", async function(req, resp){
+router.post("/update-patient", Functions.authorize('editPatients'), async function(req, resp){
 try{
     let patientSex;
     if(req.body.sex == "Male"){
@@ -680,6 +872,8 @@ try{
 
     console.log(patientSex);
 
+    const before = await Patient.findOne({id: req.body.patientID}).lean();
+
     await Functions.updatePatientInfo(
             req.body.patientID,
             req.body.nickname,
@@ -703,6 +897,10 @@ try{
             req.body.lastDentist,
             req.body.lastDentalVisit ? new Date(req.body.lastDentalVisit) : null,
         );
+
+        const after = await Patient.findOne({id: req.body.patientID}).lean();
+        await Functions.recordAudit(req, 'Patient', req.body.patientID, req.body.patientID, before, after);
+
         resp.status(200).send('Patient information updated successfully');
 } catch(error){
     console.error("Error updating patient info.", error);
@@ -710,9 +908,13 @@ try{
     
 });
 
-router.get("/deactivate-patient", (req, res) => {
+router.get("/deactivate-patient", Functions.authorize('editPatients'), (req, res) => {
     try{
-        Functions.deactivatePatient(req.body.patientID).then(function(){
+        Patient.findOne({id: req.body.patientID}).lean().then(async function(before){
+            await Functions.deactivatePatient(req.body.patientID);
+            const after = await Patient.findOne({id: req.body.patientID}).lean();
+            await Functions.recordAudit(req, 'Patient', req.body.patientID, req.body.patientID, before, after);
+
             return res.status(200).json({message: "Patient deactivated successfully."});
         });
     } catch (error) {
@@ -723,14 +925,10 @@ router.get("/deactivate-patient", (req, res) => {
 
 
 
-router.get("/to-do", async (req, res) => {
+router.get("/to-do", Functions.authorize('schedule'), async (req, res) => {
     
     const isAuthenticated = !!req.session.isAuthenticated;
 
-    if (!req.session.isAuthenticated) {
-        return res.redirect('/login'); //redirect to login if not authenticated
-    }
-    
     try {   
         const services = await Service.find({});
         const page = parseInt(req.query.page) || 0;
@@ -745,57 +943,24 @@ router.get("/to-do", async (req, res) => {
         const endOfDay = new Date(targetDate);
         endOfDay.setHours(23, 59, 59, 999);
 
-        //fetch from patient model given isActive and the effective date
-        const patients = await Patient.find({
-            isActive: true,
-            effectiveDate: { $gte: startOfDay, $lt: endOfDay },
-        }).populate({
-            path: "treatments",
-            options: { sort: { date: -1 }, limit: 1 },
-        });
-
-        //fetch non-patients with appointments target date
-        const nonPatients = await NonPatient.find({
-            effectiveDate: { $gte: startOfDay, $lt: endOfDay },
-        });
+        const appointments = await Appointment.find({
+            start: { $gte: startOfDay, $lte: endOfDay },
+        }).sort({ start: 1 });
 
-        
-        const formattedPatients = patients.map(patient => {
-            const latestTreatment = patient.treatments.length > 0 ? patient.treatments[0] : null;
-
-            return {
-                id: patient.id,
-                firstName: patient.firstName,
-                lastName: patient.lastName,
-                contact: patient.contact || "N/A",
-                email: patient.email || "N/A",
-                formattedTime: patient.effectiveDate
-                    ? `${patient.effectiveDate.getHours().toString().padStart(2, '0')}:${patient.effectiveDate.getMinutes().toString().padStart(2, '0')}`
-                    : "N/A",
-                latestProcedure: latestTreatment ? latestTreatment.procedure : req.query.services,
-            };
+        const allAppointments = await Functions.describeAppointments(appointments);
+        const histories = await Functions.latestMedicalHistories(allAppointments.filter(row => row.patientID).map(row => row.patientID));
+        allAppointments.forEach(row => {
+            row.medicalAlerts = Functions.medicalAlerts(histories[row.patientID]);
+            row.medicalHistoryReviewDue = row.patientID && Functions.isMedicalHistoryReviewDue(histories[row.patientID]);
         });
-        //format non-patient data to match the structure of patient data
-        const formattedNonPatients = nonPatients.map(nonPatient => ({
-            id: null, // Non-patients won't have an ID
-            firstName: nonPatient.name.split(' ')[0] || "N/A",
-            lastName: nonPatient.name.split(' ').slice(1).join(' ') || "N/A",
-            contact: nonPatient.contact || "N/A",
-            email: nonPatient.email,
-            formattedTime: nonPatient.startTime
-                ? `${new Date(nonPatient.startTime).getHours().toString().padStart(2, '0')}:${new Date(nonPatient.startTime).getMinutes().toString().padStart(2, '0')}`
-                : "N/A",
-            latestProcedure: nonPatient.service // service label
-        }));
-
-        //combine patients and non-patients
-        const allAppointments = [...formattedPatients, ...formattedNonPatients];
 
         res.render("B_Todo", {
             patients: allAppointments,
             appointmentCount: allAppointments.length,
             dateDisplay: startOfDay.toDateString(),
-            page, isAuthenticated, services
+            page, isAuthenticated, services,
+            dentists: await Functions.getDentists(),
+            chairs: Functions.getChairs()
         });
     } catch (error) {
         console.error("Error fetching appointments:", error);
@@ -803,38 +968,81 @@ router.get("/to-do", async (req, res) => {
     }
 });
 
-router.post("/remove-effective-dates", async (req, res) => {
+router.get("/calendar", Functions.authorize('schedule'), async (req, res) => {
     try {
-        const { patientIds } = req.body;
+        const view = req.query.view === 'month' ? 'month' : 'week';
+        const date = req.query.date ? new Date(`${req.query.date}T00:00`) : new Date();
 
-        if (!patientIds || patientIds.length === 0) {
-            return res.status(400).send({ success: false, message: "No patients selected for deletion." });
+        if (isNaN(date)) {
+            return res.status(400).send("Invalid date");
         }
 
-        
-        await Patient.updateMany(
-            { id: { $in: patientIds } },
-            { $unset: { effectiveDate: "" } }
-        );
+        const calendar = await Functions.buildCalendar(view, date, req.query.dentist);
 
-        await NonPatient.updateMany(
-            { id: { $in: patientIds } },
-            { $unset: { effectiveDate: "" } }
-        );
+        res.render("B_Calendar", {
+            calendar,
+            isWeek: view === 'week',
+            selectedDentist: req.query.dentist || "",
+            dentists: await Functions.getDentists()
+        });
+    } catch (error) {
+        console.error("Error building calendar:", error);
+        res.status(500).send("Server error");
+    }
+});
+
+// cancels the appointments ticked on the to-do list. Visits that are over or already cancelled are left as they are
+router.post("/appointments/cancel", Functions.authorize('schedule'), async (req, res) => {
+    try {
+        const { appointmentIds, reason } = req.body;
+
+        if (!Array.isArray(appointmentIds) || appointmentIds.length === 0) {
+            return res.status(400).json({ message: "No appointments selected." });
+        }
+
+        if (!reason || !reason.trim()) {
+            return res.status(400).json({ message: "A reason is required to cancel an appointment." });
+        }
+
+        const appointments = await Appointment.find({ id: { $in: appointmentIds } });
+        let changes = [];
 
-        res.status(200).send({ success: true, message: "Patients successfully removed from the To-Do list." });
+        for (const appointment of appointments.filter(appointment => Functions.canChangeStatus(appointment.status, 'cancelled'))) {
+            const before = appointment.toObject();
+            const treatment = await Functions.changeAppointmentStatus(appointment, 'cancelled', reason.trim(), req.account.accountOwnerName);
+            changes.push({ before, after: appointment.toObject(), treatment });
+        }
+
+        await auditVisitChanges(req, changes);
+
+        const skipped = appointments.length - changes.length;
+        res.status(200).json({ message: `${changes.length} appointment(s) cancelled.` + (skipped > 0 ? ` ${skipped} could not be cancelled because of their status.` : "") });
     } catch (error) {
-        console.error("Error removing effectiveDates:", error);
-        res.status(500).send({ success: false, message: "Failed to update patient data." });
+        console.error("Error cancelling appointments:", error);
+        res.status(500).json({ message: "Failed to cancel appointments." });
     }
 });
 
-router.get("/services",async (req,res) =>{
+router.get("/services", Functions.authorize(), async (req,res) =>{
     const isAuthenticated = !!req.session.isAuthenticated;
     try{
         let services = await Service.find();
         res.render("D_Services",{
-            services: services,
+            services: services.map(service => ({
+                ...service.toObject(),
+                alertOptions: MedicalHistory.medicalAlertFlags.map(flag => ({
+                    key: flag.key,
+                    label: flag.label,
+                    isSelected: (service.contraindications || []).includes(flag.key)
+                })),
+                drugOptions: Drugs.drugNames().map(name => ({
+                    name: name,
+                    isSelected: (service.drugs || []).includes(name)
+                })),
+                hasNoteTemplate: !!service.noteTemplate && ['subjective', 'objective', 'assessment', 'plan'].some(section => service.noteTemplate[section])
+            })),
+            alertFlags: MedicalHistory.medicalAlertFlags,
+            drugNames: Drugs.drugNames(),
             serviceCount: services.length, isAuthenticated
         });
 
@@ -844,7 +1052,7 @@ router.get("/services",async (req,res) =>{
     
 });
 
-router.get("/patient_list", async (req, res) => {
+router.get("/patient_list", Functions.authorize('viewPatients'), async (req, res) => {
     const isAuthenticated = !!req.session.isAuthenticated;
     try {
         const searchQuery = req.query.search || "";
@@ -898,13 +1106,22 @@ router.get("/patient_list", async (req, res) => {
             return populatedPatient;
         }));
 
+        const alerts = await Functions.medicalAlertsByPatient(updatedPatients.map(patient => patient.id));
+        updatedPatients.forEach(patient => {
+            patient.medicalAlerts = alerts[patient.id] || [];
+        });
+
         const totalPages = Math.ceil(totalPatients / limit);
 
+        //walk-in being registered as a patient from the to-do list, pre-fills the patient form
+        const walkIn = req.query.walkIn ? await Functions.walkInDetails(req.query.walkIn) : null;
+
         res.render("C_PatientList", {
             patients: updatedPatients,
             patientCount: totalPatients,
             currentPage: page,
             totalPages: totalPages,
+            walkIn: walkIn,
 
             services: services,
             isAuthenticated
@@ -915,154 +1132,367 @@ router.get("/patient_list", async (req, res) => {
     }
 });
 
-router.get("/", async (req, res) => {
-    try {
-        const page = parseInt(req.query.page) || 0; // Default to page 0 if no page is provided
-        console.log("Page parameter received:", page);
+router.get("/", Functions.authorize('schedule'), (req, res) => {
+    res.redirect("/to-do");
+});
 
-        const today = new Date();
-        today.setHours(0, 0, 0, 0); // Start of the current day
+// responds 409 with the overlapping appointments and the next free slot, unless the booking is forced.
+// returns true if the response was sent
+async function rejectConflicts(req, res, start, end, dentist, chair, excludeID) {
+    if (req.body.force === true || req.body.force === 'true') {
+        return false;
+    }
 
-        // Calculate target date by adding/subtracting days based on the page number
-        const targetDate = new Date(today);
-        targetDate.setDate(today.getDate() + page); // Offset by the page number
-        console.log("Target date for page:", targetDate);
+    const conflicts = await Functions.findAppointmentConflicts(start, end, dentist, chair, excludeID);
 
-        // Fetch patients for the specific target date
-        const patients = await Patient.find({
-            isActive: true,
-            effectiveDate: {
-                $gte: targetDate,
-                $lt: new Date(targetDate.getTime() + 24 * 60 * 60 * 1000) // End of the day
-            }
-        }).populate({
-            path: "treatments",
-            select: "procedure"
-        });
+    if (conflicts.length === 0) {
+        return false;
+    }
 
-        console.log("Number of patients found for target date:", patients.length);
+    const nextSlot = await Functions.findNextFreeSlot(start, end, dentist, chair, excludeID);
 
-        // Format times for display
-        patients.forEach(patient => {
-            if (patient.effectiveDate) {
-                const date = new Date(patient.effectiveDate);
-                const hours = String(date.getHours()).padStart(2, '0');
-                const minutes = String(date.getMinutes()).padStart(2, '0');
-                patient.formattedTime = `${hours}:${minutes}`;
-            } else {
-                patient.formattedTime = "N/A";
-            }
-        });
+    res.status(409).json({
+        message: 'This booking overlaps another appointment for the same dentist or chair.',
+        conflicts: await Functions.describeAppointments(conflicts),
+        nextFreeSlot: nextSlot ? {
+            date: Functions.formatDateInput(nextSlot.start),
+            startTime: Functions.formatTime(nextSlot.start),
+            endTime: Functions.formatTime(nextSlot.end)
+        } : null
+    });
+    return true;
+}
 
-        // Render the page with the filtered patients and target date
-        res.render("B_Todo", {
-            patients,
-            appointmentCount: patients.length,
-            dateDisplay: targetDate.toDateString(), // Displayed date
-            page // Pass the current page number
+// responds 409 with the patient's medical alerts the service is contraindicated for and warnings for the drugs
+// it involves, unless the staff confirmed going ahead with overrideAlerts. returns true if the response was sent
+async function rejectContraindications(req, res, patientID, service, prescriptions) {
+    const alerts = await Functions.contraindicatedAlerts(patientID, service);
+
+    //the service's anaesthetics and any drugs prescribed with it, against the patient's allergies and medications
+    const serviceDoc = await Service.findOne({ service: service }).lean();
+    const drugs = ((serviceDoc && serviceDoc.drugs) || []).concat((prescriptions || []).map(prescription => prescription.drug));
+    const drugWarnings = await Functions.drugWarningsFor(patientID, drugs);
+
+    if (alerts.length === 0 && drugWarnings.length === 0) {
+        return false;
+    }
+
+    //going ahead anyway is kept in the audit log with what was overridden
+    if (req.body.overrideAlerts === true || req.body.overrideAlerts === 'true') {
+        await Functions.recordAudit(req, 'Contraindication Override', service, Number(patientID), null, {
+            service: service,
+            alerts: alerts.map(alert => alert.label),
+            drugWarnings: drugWarnings.map(warning => warning.message)
         });
-    } catch (error) {
-        console.log("Error getting data:", error);
-        res.status(500).end("Error retrieving patient data");
+        return false;
     }
-});
 
-router.post('/update-effective-date', async (req, res) => {
-    const { id, effectiveDate, startTime, service} = req.body; // `id` is passed here
+    let message = [];
+    if (alerts.length > 0) {
+        message.push(`${service} is contraindicated for this patient: ${alerts.map(alert => alert.label).join(', ')}.`);
+    }
+    message = message.concat(drugWarnings.map(warning => warning.message));
+
+    res.status(409).json({
+        message: message.join('\n'),
+        alerts: alerts,
+        drugWarnings: drugWarnings
+    });
+    return true;
+}
+
+router.post('/update-effective-date', Functions.authorize('schedule'), async (req, res) => {
+    const { id, effectiveDate, startTime, endTime, service, dentist, chair } = req.body; // `id` is passed here
 
     try {
-        //combine date and time
-        const updatedEffectiveDate = new Date(`${effectiveDate}T${startTime}`);
-    
+        if (!effectiveDate || !startTime || !service) {
+            return res.status(400).json({ message: 'Date, start time and service are required.' });
+        }
 
-        // find the patient by their `id` and update `effectiveDate`
         const patient = await Patient.findOne({ id }); // Match the `id` field in MongoDB
         if (!patient) {
             return res.status(404).json({ message: 'Patient not found' });
         }
 
-        patient.effectiveDate = updatedEffectiveDate; // update the effective date
-        const newTreatment = new Treatment({
-            id: new Date().getTime(), 
-            date: updatedEffectiveDate,
-            procedure: service,
-            patientID: patient.id,
-            status: 'ongoing',
-        });
-        await newTreatment.save();
-        patient.treatments.push(newTreatment._id);
+        if (await rejectContraindications(req, res, patient.id, service)) {
+            return;
+        }
+
+        const { start, end } = await Functions.toAppointmentTimes(effectiveDate, startTime, endTime, service);
+        if (await rejectConflicts(req, res, start, end, dentist, chair)) {
+            return;
+        }
+
+        const appointment = await Functions.createAppointment(patient.id, null, dentist, chair, start, end, service);
 
-        await patient.save(); //save changes to the database
-        res.status(200).json({ message: 'Added to To-Do', effectiveDate: updatedEffectiveDate });
+        const treatment = await Treatment.findOne({ id: appointment.treatmentID }).lean();
+        await Functions.recordAudit(req, 'Treatment', treatment.id, patient.id, null, treatment);
+        await Functions.recordAudit(req, 'Appointment', appointment.id, patient.id, null, appointment.toObject());
+
+        res.status(200).json({ message: 'Added to To-Do', effectiveDate: start, appointmentID: appointment.id });
     } catch (error) {
-        console.error('Error updating effective date:', error);
-        res.status(500).json({ message: 'Error updating effective date' });
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: error.message });
+        }
+        console.error('Error booking appointment:', error);
+        res.status(500).json({ message: 'Error booking appointment' });
     }
 });
 
-router.post('/non-patient-appointment', async (req, res) => {
-    try {
-        const { name, email, contact, effectiveDate, startTime, service } = req.body;
+// audit entries for appointments whose status changed, and the treatments that changed with them
+async function auditVisitChanges(req, changes) {
+    for (const change of changes) {
+        await Functions.recordAudit(req, 'Appointment', change.after.id, change.after.patientID, change.before, change.after);
 
-        //validate required fields
-        if (!name || !email || !contact || !effectiveDate || !startTime || !service) {
-            return res.status(400).json({ message: 'All fields are required for a non-patient appointment.' });
+        if (change.treatment) {
+            const treatment = change.treatment.after || change.treatment.before;
+            await Functions.recordAudit(req, 'Treatment', treatment.id, treatment.patientID, change.treatment.before, change.treatment.after);
         }
+    }
+}
 
-        //create the appointment
-        const appointmentStart = new Date(`${effectiveDate}T${startTime}`);
-        const nonPatientAppointment = new NonPatient({
-            name,
-            contact,
-            email,
-            effectiveDate: appointmentStart,
-            startTime: appointmentStart,
-            service
-        });
-
-        await nonPatientAppointment.save();
+// 409 with the visits that overlap other bookings, unless forced. returns true if the response was sent
+async function rejectSeriesConflicts(req, res, visits) {
+    if (req.body.force === true || req.body.force === 'true') {
+        return false;
+    }
 
-        return res.status(201).json({ message: 'One-time patient appointment created successfully.' });
-    } catch (error) {
-        console.error('Error creating one-time patient appointment:', error);
-        return res.status(500).json({ message: 'Internal server error.' });
+    let conflicts = [];
+    for (const visit of visits) {
+        conflicts.push(...await Functions.findAppointmentConflicts(visit.start, visit.end, visit.dentist, visit.chair, visit.id));
     }
-});
 
-router.get('/api/unique-services', Functions.isAuthenticated, async (req, res) => {
-    try {
-        const services = await Service.distinct('service');
-        res.json(services);
-    } catch (error) {
-        console.error("Error fetching unique services:", error);
-        res.status(500).send('Error fetching unique services');
+    if (conflicts.length === 0) {
+        return false;
     }
-});
 
-router.get('/api/patients-by-service', Functions.isAuthenticated, async (req, res) => {
+    res.status(409).json({
+        message: `${conflicts.length} visit(s) of this series overlap another appointment for the same dentist or chair.`,
+        conflicts: await Functions.describeAppointments(conflicts),
+        nextFreeSlot: null
+    });
+    return true;
+}
+
+//RECURRING APPOINTMENTS
+router.post('/appointment-series', Functions.authorize('schedule'), async (req, res) => {
     try {
-        const { service, sortOrder, statusSort } = req.query;
+        const { patientID, date, startTime, endTime, service, dentist, chair } = req.body;
+        const intervalWeeks = parseInt(req.body.intervalWeeks);
+        const occurrences = req.body.occurrences ? parseInt(req.body.occurrences) : undefined;
+        const until = req.body.until ? new Date(`${req.body.until}T23:59`) : undefined;
 
-        let patients = await Patient.find().populate('treatments').exec();
+        if (!patientID || !date || !startTime || !service || !intervalWeeks) {
+            return res.status(400).json({ message: 'Date, start time, service and interval are required.' });
+        }
 
-        // filter patients by service if specified
-        if (service && service !== 'All') {
-            patients = patients.filter(patient => {
-                if (patient.treatments.length > 0) {
-                    const latestTreatment = patient.treatments.sort((a, b) => new Date(b.date) - new Date(a.date))[0];
-                    return latestTreatment.procedure === service;
-                }
-                return false;
-            });
+        const ortho = await Ortho.findOne({ patientID: patientID, isActive: true });
+        if (!ortho) {
+            return res.status(400).json({ message: 'Patient has no active orthodontic treatment.' });
+        }
+        if (await rejectContraindications(req, res, ortho.patientID, service)) {
+            return;
         }
 
-        //filter patients by status
-        if (statusSort) {
-            const isActiveFilter = statusSort === 'true';  
-            patients = patients.filter(patient => patient.isActive === isActiveFilter);
+        const { start, end } = await Functions.toAppointmentTimes(date, startTime, endTime, service);
+        const visits = Functions.seriesOccurrences(start, end, intervalWeeks, until, occurrences);
+
+        if (visits.length === 0) {
+            return res.status(400).json({ message: 'The series has no visits before its end date.' });
         }
 
-        // sort patients by name if specified
+        if (await rejectSeriesConflicts(req, res, visits.map(visit => ({ ...visit, dentist, chair })))) {
+            return;
+        }
+
+        const { series, appointments } = await Functions.createAppointmentSeries(ortho, service, dentist, chair, visits, intervalWeeks, until, occurrences);
+
+        const treatment = await Treatment.findOne({ id: appointments[0].treatmentID }).lean();
+        await Functions.recordAudit(req, 'Treatment', treatment.id, series.patientID, null, treatment);
+        await Functions.recordAudit(req, 'Appointment Series', series.id, series.patientID, null, series.toObject());
+        for (const appointment of appointments) {
+            await Functions.recordAudit(req, 'Appointment', appointment.id, series.patientID, null, appointment.toObject());
+        }
+
+        res.status(201).json({ message: `Booked ${appointments.length} visits`, seriesID: series.id });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: error.message });
+        }
+        console.error('Error booking appointment series:', error);
+        res.status(500).json({ message: 'Error booking appointment series' });
+    }
+});
+
+// changes the dentist, chair or time of day of a visit and every later booked visit of its series
+router.put('/appointment-series/:id', Functions.authorize('schedule'), async (req, res) => {
+    try {
+        const { fromAppointmentID, dentist, chair, startTime } = req.body;
+        const series = await AppointmentSeries.findOne({ id: req.params.id });
+        const from = await Appointment.findOne({ id: fromAppointmentID, seriesID: req.params.id });
+
+        if (!series || !from) {
+            return res.status(404).json({ message: 'Appointment series not found' });
+        }
+
+        if (startTime !== undefined && !/^\d{2}:\d{2}$/.test(startTime)) {
+            return res.status(400).json({ message: 'Start time must be HH:MM.' });
+        }
+
+        const visits = await Functions.upcomingSeriesVisits(series.id, from.start);
+        let changes = [];
+
+        for (const visit of visits) {
+            const before = visit.toObject();
+
+            if (dentist !== undefined) {
+                visit.dentist = dentist;
+            }
+            if (chair !== undefined) {
+                visit.chair = chair;
+            }
+            if (startTime) {
+                const length = visit.end.getTime() - visit.start.getTime();
+                const [hours, minutes] = startTime.split(':').map(Number);
+
+                visit.start = new Date(visit.start);
+                visit.start.setHours(hours, minutes, 0, 0);
+                visit.end = new Date(visit.start.getTime() + length);
+            }
+
+            await visit.validate();
+            changes.push({ visit, before });
+        }
+
+        if (await rejectSeriesConflicts(req, res, changes.map(change => change.visit))) {
+            return;
+        }
+
+        for (const { visit, before } of changes) {
+            await visit.save();
+            const treatment = await Functions.syncBookedTreatment(visit);
+            await auditVisitChanges(req, [{ before, after: visit.toObject(), treatment }]);
+        }
+
+        const seriesBefore = series.toObject();
+        if (dentist !== undefined) {
+            series.dentist = dentist;
+        }
+        if (chair !== undefined) {
+            series.chair = chair;
+        }
+        await series.save();
+        await Functions.recordAudit(req, 'Appointment Series', series.id, series.patientID, seriesBefore, series.toObject());
+
+        res.status(200).json({ message: `Updated ${changes.length} visits` });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: error.message });
+        }
+        console.error('Error updating appointment series:', error);
+        res.status(500).json({ message: 'Error updating appointment series' });
+    }
+});
+
+// cancels a visit and every later booked visit of its series, ending the series
+router.post('/appointment-series/:id/cancel', Functions.authorize('schedule'), async (req, res) => {
+    try {
+        const series = await AppointmentSeries.findOne({ id: req.params.id });
+        const from = await Appointment.findOne({ id: req.body.fromAppointmentID, seriesID: req.params.id });
+
+        if (!series || !from) {
+            return res.status(404).json({ message: 'Appointment series not found' });
+        }
+
+        const seriesBefore = series.toObject();
+        const changes = await Functions.endAppointmentSeries(series.id, from.start, req.account.accountOwnerName, req.body.reason);
+
+        await auditVisitChanges(req, changes);
+        await Functions.recordAudit(req, 'Appointment Series', series.id, series.patientID, seriesBefore,
+            (await AppointmentSeries.findOne({ id: series.id })).toObject());
+
+        res.status(200).json({ message: `Cancelled ${changes.length} visits` });
+    } catch (error) {
+        console.error('Error cancelling appointment series:', error);
+        res.status(500).json({ message: 'Error cancelling appointment series' });
+    }
+});
+
+router.post('/non-patient-appointment', Functions.authorize('schedule'), async (req, res) => {
+    try {
+        const { name, email, contact, effectiveDate, startTime, endTime, service, dentist, chair } = req.body;
+
+        //validate required fields
+        if (!name || !email || !contact || !effectiveDate || !startTime || !service) {
+            return res.status(400).json({ message: 'All fields are required for a non-patient appointment.' });
+        }
+
+        //create the walk-in and their appointment
+        const { start, end } = await Functions.toAppointmentTimes(effectiveDate, startTime, endTime, service);
+        if (await rejectConflicts(req, res, start, end, dentist, chair)) {
+            return;
+        }
+
+        const nonPatientAppointment = new NonPatient({
+            name,
+            contact,
+            email,
+            effectiveDate: start,
+            startTime: start,
+            service
+        });
+
+        await nonPatientAppointment.validate();
+
+        const appointment = await Functions.createAppointment(null, nonPatientAppointment._id, dentist, chair, start, end, service);
+        await nonPatientAppointment.save();
+
+        await Functions.recordAudit(req, 'Appointment', appointment.id, null, null, appointment.toObject());
+
+        return res.status(201).json({ message: 'One-time patient appointment created successfully.', appointmentID: appointment.id });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: error.message });
+        }
+        console.error('Error creating one-time patient appointment:', error);
+        return res.status(500).json({ message: 'Internal server error.' });
+    }
+});
+
+router.get('/api/unique-services', Functions.authorize(), async (req, res) => {
+    try {
+        const services = await Service.distinct('service');
+        res.json(services);
+    } catch (error) {
+        console.error("Error fetching unique services:", error);
+        res.status(500).send('Error fetching unique services');
+    }
+});
+
+router.get('/api/patients-by-service', Functions.authorize('viewPatients'), async (req, res) => {
+    try {
+        const { service, sortOrder, statusSort } = req.query;
+
+        let patients = await Patient.find().populate('treatments').exec();
+
+        // filter patients by service if specified
+        if (service && service !== 'All') {
+            patients = patients.filter(patient => {
+                if (patient.treatments.length > 0) {
+                    const latestTreatment = patient.treatments.sort((a, b) => new Date(b.date) - new Date(a.date))[0];
+                    return latestTreatment.procedure === service;
+                }
+                return false;
+            });
+        }
+
+        //filter patients by status
+        if (statusSort) {
+            const isActiveFilter = statusSort === 'true';  
+            patients = patients.filter(patient => patient.isActive === isActiveFilter);
+        }
+
+        // sort patients by name if specified
         if (sortOrder === 'A-Z') {
             patients.sort((a, b) => a.firstName.localeCompare(b.firstName));
         } else if (sortOrder === 'Z-A') {
@@ -1092,7 +1522,7 @@ router.get('/api/patients-by-service', Functions.isAuthenticated, async (req, re
     }
 });
 
-router.get('/patient/:id', Functions.isAuthenticated, async (req, res) => {
+router.get('/patient/:id', Functions.authorize('viewPatients'), async (req, res) => {
     
     try {
         const patientId = req.params.id;
@@ -1123,10 +1553,22 @@ router.get('/patient/:id', Functions.isAuthenticated, async (req, res) => {
     }
 });
 
-router.post("/update-medical-history", async function(req, res){
+router.post("/update-medical-history", Functions.authorize('editMedicalHistory'), async function(req, res){
     try{
+        //a review is only recorded when the staff filled in the date they went through the history with the patient
+        const reviewedAt = req.body.reviewedAt ? new Date(req.body.reviewedAt) : null;
+
+        if(reviewedAt && isNaN(reviewedAt)){
+            return res.status(400).send('Invalid review date');
+        }
 
-        await Functions.updateMedicalHistory(
+        if(reviewedAt && Functions.convertToDate(reviewedAt) > Functions.formatDateInput(new Date())){
+            return res.status(400).send('The review date cannot be in the future');
+        }
+
+        const before = await MedicalHistory.findOne({patientID: req.body.patientID}).sort({version: -1}).lean();
+
+        const after = await Functions.updateMedicalHistory(
             req.body.patientID,
             req.body.physicianName,
             req.body.physicianOfficeAddress,
@@ -1145,63 +1587,1378 @@ router.post("/update-medical-history", async function(req, res){
             req.body.isNursing,
             req.body.isBirthControl,
 
-            req.body.healthProblems
+            req.body.healthProblems,
+            req.body.medications,
+
+            reviewedAt ? req.account.accountOwnerName : null,
+            reviewedAt,
+            req.body.patientAttested === true || req.body.patientAttested === 'true'
         )
 
-        res.status(200).send('Updating medical history successful');
+        await Functions.recordAudit(req, 'Medical History', after._id, req.body.patientID, before, after.toObject());
+
+        res.status(200).send(`Medical history saved as version ${after.version}`);
     } catch(error){
+        if(error.name === 'ValidationError'){
+            return res.status(400).send(error.message);
+        }
         console.error("Error updating medical history. ", error);
         res.status(500).send('Error updating medical history');
     }
 });
 
-router.post("/appointments", async (req, res) => {
+// ?after= version (the current one by default) next to ?before= (the one before it by default)
+router.get("/patient-information/:id/medical-history/versions", Functions.authorize('viewPatients'), async (req, res) => {
+    try {
+        const patient = await Patient.findOne({ id: req.params.id }).lean();
+
+        if (!patient) {
+            return res.status(404).send("Patient not found");
+        }
+
+        const versions = await Functions.readMedicalHistoryVersions(patient.id);
+        const after = req.query.after ? versions.find(version => version.version === Number(req.query.after)) : versions[0];
+
+        if (!after) {
+            return res.status(404).send("Medical history version not found");
+        }
+
+        let before;
+        if (req.query.before !== undefined) {
+            before = req.query.before ? versions.find(version => version.version === Number(req.query.before)) : null;
+
+            if (req.query.before && !before) {
+                return res.status(404).send("Medical history version not found");
+            }
+        } else {
+            before = versions.find(version => version.version < after.version) || null;
+        }
+
+        const describe = version => ({
+            ...version,
+            dateString: Functions.convertToDate(version.createdAt),
+            reviewedDateString: version.reviewedAt ? Functions.convertToDate(version.reviewedAt) : null
+        });
+
+        res.render("C_MedicalHistoryVersions", {
+            patient,
+            versions: versions.map(describe),
+            before: before ? describe(before) : null,
+            after: describe(after),
+            comparison: Functions.compareMedicalHistories(before, after)
+        });
+    } catch (error) {
+        console.error("Error comparing medical history versions:", error);
+        res.status(500).send("Server error");
+    }
+});
+
+//APPOINTMENTS
+router.get("/appointments", Functions.authorize('schedule'), async (req, res) => {
+    try {
+        let filter = {};
+
+        if (req.query.from || req.query.to) {
+            filter.start = {};
+            if (req.query.from) {
+                filter.start.$gte = new Date(req.query.from);
+            }
+            if (req.query.to) {
+                filter.start.$lte = new Date(req.query.to);
+            }
+        }
+        if (req.query.patientID) {
+            filter.patientID = Number(req.query.patientID);
+        }
+        if (req.query.dentist) {
+            filter.dentist = req.query.dentist;
+        }
+        if (req.query.status) {
+            filter.status = req.query.status;
+        }
+
+        const appointments = await Appointment.find(filter).sort({ start: 1 });
+
+        res.status(200).json({ appointments: await Functions.describeAppointments(appointments) });
+    } catch (error) {
+        console.error("Error fetching appointments:", error);
+        res.status(500).json({ message: "Error fetching appointments" });
+    }
+});
+
+router.get("/appointments/:id", Functions.authorize('schedule'), async (req, res) => {
+    try {
+        const appointment = await Appointment.findOne({ id: req.params.id });
+
+        if (!appointment) {
+            return res.status(404).json({ message: "Appointment not found" });
+        }
+
+        const [described] = await Functions.describeAppointments([appointment]);
+        res.status(200).json({ appointment: described });
+    } catch (error) {
+        console.error("Error fetching appointment:", error);
+        res.status(500).json({ message: "Error fetching appointment" });
+    }
+});
+
+router.post("/appointments", Functions.authorize('schedule'), async (req, res) => {
     try {
-        const { patientID, date, startTime, endTime, procedure, dentist } = req.body;
+        const { patientID, date, startTime, endTime, procedure, dentist, chair } = req.body;
+
+        if (!patientID || !date || !startTime || !procedure) {
+            return res.status(400).json({ message: "Patient, date, start time and service are required." });
+        }
+
+        if (!await Patient.exists({ id: patientID })) {
+            return res.status(404).json({ message: "Patient not found" });
+        }
+
+        const { start, end } = await Functions.toAppointmentTimes(date, startTime, endTime, procedure);
+        if (await rejectConflicts(req, res, start, end, dentist, chair)) {
+            return;
+        }
 
-        // combine start and end 
-        const appointmentDate = new Date(date);
-        const startDateTime = new Date(appointmentDate.setHours(...startTime.split(':')));
-        const endDateTime = new Date(appointmentDate.setHours(...endTime.split(':')));
+        const appointment = await Functions.createAppointment(patientID, null, dentist, chair, start, end, procedure);
 
-        //call createAppointment function
-        await createAppointment(patientID, startDateTime, endDateTime, procedure, dentist);
+        const treatment = await Treatment.findOne({ id: appointment.treatmentID }).lean();
+        await Functions.recordAudit(req, 'Treatment', treatment.id, appointment.patientID, null, treatment);
+        await Functions.recordAudit(req, 'Appointment', appointment.id, appointment.patientID, null, appointment.toObject());
 
-        res.status(201).json({ message: "Appointment created successfully" });
+        res.status(201).json({ message: "Appointment created successfully", appointmentID: appointment.id });
     } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: error.message });
+        }
         console.error("Error creating appointment:", error);
         res.status(500).json({ message: "Error creating appointment" });
     }
 });
 
+// check in, seat, complete, no-show or cancel (with a reason), see Functions.appointmentTransitions
+router.post("/appointments/:id/status", Functions.authorize('schedule'), async (req, res) => {
+    try {
+        const { status, reason } = req.body;
+        const appointment = await Appointment.findOne({ id: req.params.id });
 
-router.get("/report", (req,res) =>{
-    const isAuthenticated = !!req.session.isAuthenticated;
-    res.render("E_Report", {isAuthenticated});
+        if (!appointment) {
+            return res.status(404).json({ message: "Appointment not found" });
+        }
+
+        if (!Functions.canChangeStatus(appointment.status, status)) {
+            return res.status(400).json({ message: `A ${appointment.status} appointment cannot be marked ${status}.` });
+        }
+
+        if (status === 'cancelled' && (!reason || !reason.trim())) {
+            return res.status(400).json({ message: "A reason is required to cancel an appointment." });
+        }
+
+        const before = appointment.toObject();
+        const treatment = await Functions.changeAppointmentStatus(appointment, status, reason && reason.trim(), req.account.accountOwnerName);
+
+        await auditVisitChanges(req, [{ before, after: appointment.toObject(), treatment }]);
+
+        res.status(200).json({ message: `Appointment marked ${status}`, status: status, actions: Functions.statusActions(status) });
+    } catch (error) {
+        console.error("Error changing appointment status:", error);
+        res.status(500).json({ message: "Error changing appointment status" });
+    }
 });
 
+// recipient and text of an appointment's 24h or 2h reminder, with the reminders sent so far
+router.get("/appointments/:id/reminder", Functions.authorize('schedule'), async (req, res) => {
+    try {
+        const kind = req.query.kind || '24h';
+        const appointment = await Appointment.findOne({ id: req.params.id });
 
-router.get('/login', (req, res) => {
-    const isAuthenticated = !!req.session.isAuthenticated;
-    if (req.session.isAuthenticated) {
-        return res.redirect('/to-do');
+        if (!appointment) {
+            return res.status(404).json({ message: "Appointment not found" });
+        }
+        if (!Reminders.reminderKinds[kind]) {
+            return res.status(400).json({ message: "Unknown reminder" });
+        }
+
+        res.status(200).json({
+            preview: await Reminders.previewReminder(appointment, kind),
+            reminders: appointment.reminders
+        });
+    } catch (error) {
+        console.error("Error previewing reminder:", error);
+        res.status(500).json({ message: "Error previewing reminder" });
     }
-    res.render('A_LoginPage', { isAuthenticated });
 });
 
-router.post('/login', async (req, res) => {
-    const { password } = req.body;
+// sends the reminder now, whether or not it was sent before
+router.post("/appointments/:id/reminder", Functions.authorize('schedule'), async (req, res) => {
+    try {
+        const kind = req.body.kind || '24h';
+        const appointment = await Appointment.findOne({ id: req.params.id });
 
+        if (!appointment) {
+            return res.status(404).json({ message: "Appointment not found" });
+        }
+        if (!Reminders.reminderKinds[kind]) {
+            return res.status(400).json({ message: "Unknown reminder" });
+        }
+
+        const record = await Reminders.sendReminder(appointment, kind, req.account.accountOwnerName);
+
+        if (record.status === 'failed') {
+            return res.status(502).json({ message: `Reminder could not be sent: ${record.error}` });
+        }
+
+        res.status(200).json({ message: `Reminder sent to ${record.to}` });
+    } catch (error) {
+        console.error("Error sending reminder:", error);
+        res.status(500).json({ message: "Error sending reminder" });
+    }
+});
+
+// moves a booked appointment to another date/time (and optionally dentist), keeping its length
+router.put("/appointments/:id/reschedule", Functions.authorize('schedule'), async (req, res) => {
+    try {
+        const { date, startTime, dentist } = req.body;
+        const appointment = await Appointment.findOne({ id: req.params.id });
+
+        if (!appointment) {
+            return res.status(404).json({ message: "Appointment not found" });
+        }
+
+        if (appointment.status !== 'booked') {
+            return res.status(400).json({ message: "Only booked appointments can be rescheduled." });
+        }
+
+        const start = new Date(`${date}T${startTime}`);
+        if (!date || !startTime || isNaN(start)) {
+            return res.status(400).json({ message: "A valid date and start time are required." });
+        }
+
+        const before = appointment.toObject();
+        const length = appointment.end.getTime() - appointment.start.getTime();
+
+        appointment.start = start;
+        appointment.end = new Date(start.getTime() + length);
+        if (dentist !== undefined) {
+            appointment.dentist = dentist;
+        }
+
+        await appointment.validate();
+
+        if (await rejectConflicts(req, res, appointment.start, appointment.end, appointment.dentist, appointment.chair, appointment.id)) {
+            return;
+        }
+
+        await appointment.save();
+        const treatment = await Functions.syncBookedTreatment(appointment);
+        await auditVisitChanges(req, [{ before, after: appointment.toObject(), treatment }]);
+
+        res.status(200).json({ message: "Appointment rescheduled successfully" });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: error.message });
+        }
+        console.error("Error rescheduling appointment:", error);
+        res.status(500).json({ message: "Error rescheduling appointment" });
+    }
+});
+
+router.put("/appointments/:id", Functions.authorize('schedule'), async (req, res) => {
+    try {
+        const appointment = await Appointment.findOne({ id: req.params.id });
+
+        if (!appointment) {
+            return res.status(404).json({ message: "Appointment not found" });
+        }
+
+        const before = appointment.toObject();
+        //status changes go through POST /appointments/:id/status
+        const editableFields = ['dentist', 'chair', 'start', 'end', 'service', 'notes'];
+
+        editableFields.forEach(field => {
+            if (req.body[field] !== undefined) {
+                appointment[field] = req.body[field];
+            }
+        });
+
+        await appointment.validate();
+
+        const isActive = !['cancelled', 'no-show', 'done'].includes(appointment.status);
+        if (isActive && await rejectConflicts(req, res, appointment.start, appointment.end, appointment.dentist, appointment.chair, appointment.id)) {
+            return;
+        }
+
+        await appointment.save();
+        const treatment = await Functions.syncBookedTreatment(appointment);
+        await auditVisitChanges(req, [{ before, after: appointment.toObject(), treatment }]);
+
+        res.status(200).json({ message: "Appointment updated successfully" });
+    } catch (error) {
+        if (error.name === 'ValidationError' || error.name === 'CastError') {
+            return res.status(400).json({ message: error.message });
+        }
+        console.error("Error updating appointment:", error);
+        res.status(500).json({ message: "Error updating appointment" });
+    }
+});
+
+//INVOICES
+router.post("/invoices", Functions.authorize('billing'), async (req, res) => {
+    try {
+        const { patientID, items, discountType, discountValue, discountReason } = req.body;
+
+        if (!patientID || !Array.isArray(items) || items.length === 0) {
+            return res.status(400).json({ message: "Choose at least one treatment to invoice." });
+        }
+
+        const invoiceable = await Functions.invoiceableTreatments(patientID);
+        const unknown = items.filter(item => !invoiceable.some(treatment => treatment.id === Number(item.treatmentID)));
+
+        if (unknown.length > 0) {
+            return res.status(400).json({ message: "Some treatments do not belong to this patient or are already invoiced." });
+        }
+
+        const invoice = await Functions.createInvoice(patientID, items, discountType, discountValue, discountReason, req.account.accountOwnerName);
+        await Functions.recordAudit(req, 'Invoice', invoice.id, invoice.patientID, null, invoice.toObject());
+
+        res.status(201).json({ message: `Invoice ${invoice.receiptNumber} issued`, invoiceID: invoice.id, receiptNumber: invoice.receiptNumber });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: error.message });
+        }
+        console.error("Error creating invoice:", error);
+        res.status(500).json({ message: "Error creating invoice" });
+    }
+});
+
+// voided receipts keep their number, and their treatments can be invoiced again
+router.post("/invoices/:id/void", Functions.authorize('billing'), async (req, res) => {
     try {
-        const sharedHash = process.env.SHARED_PASSWORD_HASH;
+        const invoice = await Invoice.findOne({ id: req.params.id });
+
+        if (!invoice) {
+            return res.status(404).json({ message: "Invoice not found" });
+        }
+        if (invoice.status === 'void') {
+            return res.status(400).json({ message: "Invoice is already void" });
+        }
+        if (!req.body.reason || !req.body.reason.trim()) {
+            return res.status(400).json({ message: "A reason is required to void an invoice." });
+        }
+
+        const before = invoice.toObject();
+        invoice.status = 'void';
+        invoice.voidReason = req.body.reason.trim();
+        await invoice.save();
+        await Functions.recordAudit(req, 'Invoice', invoice.id, invoice.patientID, before, invoice.toObject());
+
+        res.status(200).json({ message: `Invoice ${invoice.receiptNumber} voided` });
+    } catch (error) {
+        console.error("Error voiding invoice:", error);
+        res.status(500).json({ message: "Error voiding invoice" });
+    }
+});
+
+// printable official receipt
+router.get("/invoices/:id/receipt", Functions.authorize('viewPatients'), async (req, res) => {
+    try {
+        const invoice = await Invoice.findOne({ id: req.params.id }).lean();
+
+        if (!invoice) {
+            return res.status(404).send("Invoice not found");
+        }
+
+        const patient = await Patient.findOne({ id: invoice.patientID }).lean();
+
+        res.render("C_Receipt", {
+            layout: false,
+            clinic: Functions.getClinicDetails(),
+            invoice: {
+                ...invoice,
+                dateString: invoice.issuedAt.toDateString(),
+                isVoid: invoice.status === 'void',
+                subtotalString: Functions.formatMoney(invoice.subtotal),
+                discountString: Functions.formatMoney(invoice.discountAmount),
+                totalString: Functions.formatMoney(invoice.total),
+                items: invoice.items.map(item => ({
+                    ...item,
+                    unitPriceString: Functions.formatMoney(item.unitPrice),
+                    amountString: Functions.formatMoney(item.amount)
+                }))
+            },
+            patient
+        });
+    } catch (error) {
+        console.error("Error printing receipt:", error);
+        res.status(500).send("Server error");
+    }
+});
+
+
+//DENTAL CHART
+// current state and history of one tooth
+router.get("/patient-information/:id/dental-chart/:tooth", Functions.authorize('viewPatients'), async (req, res) => {
+    try {
+        const chart = await Functions.getDentalChart(Number(req.params.id));
+        const entry = chart.teeth.find(entry => entry.tooth === Number(req.params.tooth));
+
+        res.status(200).json(entry ? entry.toObject() : { tooth: Number(req.params.tooth), state: 'present', surfaces: [], history: [] });
+    } catch (error) {
+        console.error("Error fetching tooth:", error);
+        res.status(500).json({ message: "Error fetching tooth" });
+    }
+});
+
+router.post("/patient-information/:id/dental-chart/:tooth", Functions.authorize('editDentalRecords'), async (req, res) => {
+    try {
+        const patientID = Number(req.params.id);
+        const { state, notes, treatmentID } = req.body;
+        const surfaces = [].concat(req.body.surfaces || []);
+
+        if (!await Patient.exists({ id: patientID })) {
+            return res.status(404).json({ message: "Patient not found" });
+        }
+        if (treatmentID && !await Treatment.exists({ id: treatmentID, patientID: patientID })) {
+            return res.status(400).json({ message: "The treatment does not belong to this patient." });
+        }
+
+        const { before, after } = await Functions.setToothState(patientID, Number(req.params.tooth), state, surfaces, notes, treatmentID, req.account.accountOwnerName);
+        await Functions.recordAudit(req, 'Dental Chart', patientID, patientID, before, after);
+
+        res.status(200).json({ message: `Tooth ${Teeth.formatTooth(Number(req.params.tooth), Teeth.numberingFor(req.account))} charted as ${Functions.toothStateLabels[state]}` });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: error.message });
+        }
+        console.error("Error charting tooth:", error);
+        res.status(500).json({ message: "Error charting tooth" });
+    }
+});
+
+
+//PAYMENTS
+router.post("/payments", Functions.authorize('billing'), async (req, res) => {
+    try {
+        const { patientID, amount, date, method, referenceNo, treatmentID, invoiceID, installmentPlanID, notes } = req.body;
+
+        if (!await Patient.exists({ id: patientID })) {
+            return res.status(404).json({ message: "Patient not found" });
+        }
+        if (treatmentID && !await Treatment.exists({ id: treatmentID, patientID: patientID })) {
+            return res.status(400).json({ message: "The treatment does not belong to this patient." });
+        }
+        if (invoiceID && !await Invoice.exists({ id: invoiceID, patientID: patientID, status: 'issued' })) {
+            return res.status(400).json({ message: "The invoice does not belong to this patient or is void." });
+        }
+        if (installmentPlanID && !await InstallmentPlan.exists({ id: installmentPlanID, patientID: patientID })) {
+            return res.status(400).json({ message: "The installment plan does not belong to this patient." });
+        }
+
+        const payment = await Functions.recordPayment(patientID, Number(amount), date, method, referenceNo, req.account,
+            treatmentID, invoiceID, installmentPlanID, notes);
+        await Functions.recordAudit(req, 'Payment', payment.id, payment.patientID, null, payment.toObject());
+
+        res.status(201).json({ message: `Payment of ${Functions.formatMoney(payment.amount)} recorded`, paymentID: payment.id });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: error.message });
+        }
+        console.error("Error recording payment:", error);
+        res.status(500).json({ message: "Error recording payment" });
+    }
+});
+
+// voided payments stay in the ledger but no longer count towards the balance
+router.post("/payments/:id/void", Functions.authorize('billing'), async (req, res) => {
+    try {
+        const payment = await Payment.findOne({ id: req.params.id });
+
+        if (!payment) {
+            return res.status(404).json({ message: "Payment not found" });
+        }
+        if (payment.status === 'void') {
+            return res.status(400).json({ message: "Payment is already void" });
+        }
+        if (!req.body.reason || !req.body.reason.trim()) {
+            return res.status(400).json({ message: "A reason is required to void a payment." });
+        }
+
+        const before = payment.toObject();
+        payment.status = 'void';
+        payment.voidReason = req.body.reason.trim();
+        await payment.save();
+
+        if (payment.treatmentID) {
+            await Functions.syncTreatmentPayments(payment.treatmentID);
+        }
+        await Functions.recordAudit(req, 'Payment', payment.id, payment.patientID, before, payment.toObject());
+
+        res.status(200).json({ message: `Payment #${payment.id} voided` });
+    } catch (error) {
+        console.error("Error voiding payment:", error);
+        res.status(500).json({ message: "Error voiding payment" });
+    }
+});
+
+// installment plans are for orthodontic cases, one active plan per case
+router.post("/installment-plans", Functions.authorize('billing'), async (req, res) => {
+    try {
+        const { patientID, orthoID, totalAmount, downPayment, count, firstDueDate, intervalMonths } = req.body;
+        const ortho = await Ortho.findOne({ _id: orthoID, patientID: patientID });
+
+        if (!ortho) {
+            return res.status(404).json({ message: "Orthodontic case not found for this patient." });
+        }
+        if (await InstallmentPlan.exists({ orthoID: ortho._id, isActive: true })) {
+            return res.status(409).json({ message: "This orthodontic case already has an active installment plan." });
+        }
+
+        const total = Number(totalAmount);
+        const down = Number(downPayment) || 0;
+        const installments = parseInt(count);
+
+        if (!(total > 0) || down < 0 || down > total) {
+            return res.status(400).json({ message: "The down payment must be between 0 and the total amount." });
+        }
+        if (!(installments >= 1 && installments <= 60) || !firstDueDate) {
+            return res.status(400).json({ message: "Choose 1 to 60 installments and the first due date." });
+        }
+
+        const treatment = await Treatment.findOne({ patientID: patientID, procedure: ortho.service, status: 'ongoing' }).sort({ date: -1 });
+
+        const plan = await Functions.createInstallmentPlan(patientID, ortho._id, treatment ? treatment.id : undefined, total, down,
+            installments, new Date(firstDueDate), parseInt(intervalMonths) || 1, req.account.accountOwnerName);
+        await Functions.recordAudit(req, 'Installment Plan', plan.id, plan.patientID, null, plan.toObject());
+
+        res.status(201).json({ message: "Installment plan created", planID: plan.id });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: error.message });
+        }
+        console.error("Error creating installment plan:", error);
+        res.status(500).json({ message: "Error creating installment plan" });
+    }
+});
+
+// charges, payments and running balance of one patient, with their installment plans
+router.get("/patient-information/:id/ledger", Functions.authorize('viewPatients'), async (req, res) => {
+    try {
+        const patient = await Patient.findOne({ id: req.params.id }).lean();
+
+        if (!patient) {
+            return res.status(404).send("Patient not found");
+        }
+
+        const ledger = await Functions.patientLedger(patient.id);
+        const plans = await InstallmentPlan.find({ patientID: patient.id }).sort({ createdAt: -1 });
+        const orthos = await Ortho.find({ patientID: patient.id }).lean();
+
+        res.render("C_Ledger", {
+            patient,
+            ledger: {
+                ...ledger,
+                totalChargedString: Functions.formatMoney(ledger.totalCharged),
+                totalPaidString: Functions.formatMoney(ledger.totalPaid),
+                balanceString: Functions.formatMoney(ledger.balance)
+            },
+            plans: await Promise.all(plans.map(async plan => ({
+                ...plan.toObject(),
+                service: (orthos.find(ortho => String(ortho._id) === String(plan.orthoID)) || {}).service,
+                totalString: Functions.formatMoney(plan.totalAmount),
+                schedule: await Functions.installmentSchedule(plan)
+            }))),
+            activeOrthos: orthos.filter(ortho => ortho.isActive && !plans.some(plan => plan.isActive && String(plan.orthoID) === String(ortho._id))),
+            treatments: await Treatment.find({ patientID: patient.id }).sort({ date: -1 }).lean(),
+            invoices: await Invoice.find({ patientID: patient.id, status: 'issued' }).sort({ issuedAt: -1 }).lean(),
+            paymentMethods: Payment.schema.path('method').enumValues,
+            today: Functions.formatDateInput(new Date())
+        });
+    } catch (error) {
+        console.error("Error fetching patient ledger:", error);
+        res.status(500).send("Server error");
+    }
+});
+
+
+//PERIODONTAL EXAMS
+// teeth are sent as [{tooth, sites: [{site, probingDepth, recession, bleeding}], mobility, furcation}], leaving out
+// teeth that were not probed. The exam is linked to the patient's visit on the same day, if any
+router.post("/patient-information/:id/periodontal-exams", Functions.authorize('editDentalRecords'), async (req, res) => {
+    try {
+        const patientID = Number(req.params.id);
+        const { date, notes, teeth } = req.body;
+
+        if (!await Patient.exists({ id: patientID })) {
+            return res.status(404).json({ message: "Patient not found" });
+        }
+        if (!date || !Array.isArray(teeth) || teeth.length === 0) {
+            return res.status(400).json({ message: "Enter the exam date and probe at least one tooth." });
+        }
+
+        //the exam is dated at local midnight, the same day the visit lookup uses
+        const dayStart = new Date(`${date}T00:00`);
+        if (isNaN(dayStart)) {
+            return res.status(400).json({ message: "Enter a valid exam date." });
+        }
+        const dayEnd = new Date(dayStart.getTime() + 24 * 60 * 60 * 1000);
+        const visit = await Appointment.findOne({ patientID: patientID, start: { $gte: dayStart, $lt: dayEnd }, status: { $nin: ['cancelled', 'no-show'] } });
+
+        const exam = await Functions.createPeriodontalExam(patientID, dayStart, visit ? visit.id : undefined, teeth, notes, req.account.accountOwnerName);
+        await Functions.recordAudit(req, 'Periodontal Exam', exam.id, patientID, null, exam.toObject());
+
+        res.status(201).json({ message: "Periodontal exam saved", examID: exam.id });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: error.message });
+        }
+        console.error("Error saving periodontal exam:", error);
+        res.status(500).json({ message: "Error saving periodontal exam" });
+    }
+});
+
+router.post("/patient-information/:id/notes", Functions.authorize('editDentalRecords'), async (req, res) => {
+    try {
+        const patientID = Number(req.params.id);
+        const { treatmentID, date, subjective, objective, assessment, plan } = req.body;
+
+        const treatment = await Treatment.findOne({ id: treatmentID, patientID: patientID });
+
+        if (!treatment) {
+            return res.status(404).json({ message: "Treatment not found" });
+        }
+
+        const note = await Functions.createClinicalNote(patientID, treatment.id, date ? new Date(date) : treatment.date,
+            req.account.accountOwnerName, subjective, objective, assessment, plan);
+        await Functions.recordAudit(req, 'Clinical Note', note.id, patientID, null, note.toObject());
+
+        res.status(201).json({ message: "Clinical note saved", noteID: note.id });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: error.message });
+        }
+        console.error("Error saving clinical note:", error);
+        res.status(500).json({ message: "Server error" });
+    }
+});
+
+// unsigned notes can still be corrected by anyone who writes dental records
+router.post("/notes/:id", Functions.authorize('editDentalRecords'), async (req, res) => {
+    try {
+        const note = await ClinicalNote.findOne({ id: req.params.id });
+
+        if (!note) {
+            return res.status(404).json({ message: "Clinical note not found" });
+        }
+
+        if (note.signedAt) {
+            return res.status(409).json({ message: `Clinical note #${note.id} is signed and can no longer be changed. Add an addendum instead.` });
+        }
+
+        const before = note.toObject();
+        const { date, subjective, objective, assessment, plan } = req.body;
+
+        if (date) {
+            note.date = new Date(date);
+        }
+        note.subjective = subjective;
+        note.objective = objective;
+        note.assessment = assessment;
+        note.plan = plan;
+
+        await note.save();
+        await Functions.recordAudit(req, 'Clinical Note', note.id, note.patientID, before, note.toObject());
+
+        res.status(200).json({ message: "Clinical note saved" });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: error.message });
+        }
+        console.error("Error saving clinical note:", error);
+        res.status(500).json({ message: "Server error" });
+    }
+});
+
+// signs a treatment or clinical note as the logged in dentist. It is read-only from then on
+async function signRecord(req, res, Model, recordName) {
+    try {
+        const record = await Model.findOne({ id: req.params.id });
+
+        if (!record) {
+            return res.status(404).json({ message: `${recordName} not found` });
+        }
+
+        if (record.signedAt) {
+            return res.status(409).json({ message: `${recordName} #${record.id} was already signed by ${record.signedBy}` });
+        }
+
+        const before = record.toObject();
+
+        record.signedBy = req.account.accountOwnerName;
+        record.signedAt = new Date();
+        await record.save();
+        await Functions.recordAudit(req, recordName, record.id, record.patientID, before, record.toObject());
+
+        res.status(200).json({ message: `${recordName} #${record.id} signed` });
+    } catch (error) {
+        console.error(`Error signing ${recordName}:`, error);
+        res.status(500).json({ message: "Server error" });
+    }
+}
+
+// dated addendum with its author, the only way to add to a signed record. Unsigned records are edited instead
+async function addAddendum(req, res, Model, recordName) {
+    try {
+        const record = await Model.findOne({ id: req.params.id });
+
+        if (!record) {
+            return res.status(404).json({ message: `${recordName} not found` });
+        }
+
+        if (!record.signedAt) {
+            return res.status(409).json({ message: `${recordName} #${record.id} is not signed yet, change it directly` });
+        }
+
+        const before = record.toObject();
+
+        record.addenda.push({ text: req.body.text, author: req.account.accountOwnerName });
+        await record.save();
+        await Functions.recordAudit(req, recordName, record.id, record.patientID, before, record.toObject());
+
+        res.status(201).json({ message: `Addendum added to ${recordName.toLowerCase()} #${record.id}` });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: error.message });
+        }
+        console.error(`Error adding addendum to ${recordName}:`, error);
+        res.status(500).json({ message: "Server error" });
+    }
+}
+
+router.post("/treatments/:id/sign", Functions.authorize('signRecords'), (req, res) => signRecord(req, res, Treatment, 'Treatment'));
+router.post("/treatments/:id/addenda", Functions.authorize('editDentalRecords'), (req, res) => addAddendum(req, res, Treatment, 'Treatment'));
+router.post("/notes/:id/sign", Functions.authorize('signRecords'), (req, res) => signRecord(req, res, ClinicalNote, 'Clinical Note'));
+router.post("/notes/:id/addenda", Functions.authorize('editDentalRecords'), (req, res) => addAddendum(req, res, ClinicalNote, 'Clinical Note'));
+
+// ?after= exam (the latest by default) side by side with ?before=, or on its own without one
+router.get("/patient-information/:id/periodontal-exams/compare", Functions.authorize('viewPatients'), async (req, res) => {
+    try {
+        const patient = await Patient.findOne({ id: req.params.id }).lean();
+
+        if (!patient) {
+            return res.status(404).send("Patient not found");
+        }
+
+        const exams = await PeriodontalExam.find({ patientID: patient.id }).sort({ date: -1, id: -1 }).lean();
+        const after = req.query.after ? exams.find(exam => exam.id === Number(req.query.after)) : exams[0];
+        const before = req.query.before ? exams.find(exam => exam.id === Number(req.query.before)) : null;
+
+        if (!after || (req.query.before && !before)) {
+            return res.status(404).send("Periodontal exam not found");
+        }
+
+        res.render("C_PerioComparison", {
+            patient,
+            exams: exams.map(exam => ({ id: exam.id, dateString: Functions.formatDateInput(exam.date) })),
+            before: before ? { ...before, dateString: Functions.formatDateInput(before.date) } : null,
+            after: { ...after, dateString: Functions.formatDateInput(after.date) },
+            comparison: Functions.comparePeriodontalExams(before, after, Teeth.numberingFor(req.account)),
+            perioSites: PeriodontalExam.perioSites
+        });
+    } catch (error) {
+        console.error("Error comparing periodontal exams:", error);
+        res.status(500).send("Server error");
+    }
+});
+
+
+//TREATMENT PLANS
+// the plan and item named in the url, or a 404 response. Returns null if the response was sent
+async function findTreatmentPlan(req, res) {
+    const plan = await TreatmentPlan.findOne({ id: req.params.id });
+    const item = plan && req.params.itemID ? plan.items.id(req.params.itemID) : null;
+
+    if (!plan || (req.params.itemID && !item)) {
+        res.status(404).json({ message: "Treatment plan item not found" });
+        return null;
+    }
+
+    return { plan, item };
+}
+
+router.get("/patient-information/:id/treatment-plans", Functions.authorize('viewPatients'), async (req, res) => {
+    try {
+        const patient = await Patient.findOne({ id: req.params.id }).lean();
+
+        if (!patient) {
+            return res.status(404).send("Patient not found");
+        }
+
+        const numbering = Teeth.numberingFor(req.account);
+        const plans = await TreatmentPlan.find({ patientID: patient.id }).sort({ createdAt: -1 });
+
+        res.render("C_TreatmentPlan", {
+            patient,
+            plans: await Promise.all(plans.map(async plan => ({
+                ...plan.toObject(),
+                isProposed: plan.status === 'proposed',
+                isAccepted: plan.status === 'accepted',
+                acceptedDateString: plan.acceptedAt ? Functions.convertToDate(plan.acceptedAt) : '',
+                createdDateString: plan.createdAt.toDateString(),
+                progress: await Functions.treatmentPlanProgress(plan, numbering)
+            }))),
+            services: await Service.find().sort({ service: 1 }).lean(),
+            priorities: TreatmentPlan.planPriorities,
+            dentists: await Functions.getDentists(),
+            chairs: Functions.getChairs(),
+            numberingName: Teeth.numberingSystems[numbering],
+            today: Functions.formatDateInput(new Date())
+        });
+    } catch (error) {
+        console.error("Error fetching treatment plans:", error);
+        res.status(500).send("Server error");
+    }
+});
+
+router.post("/treatment-plans", Functions.authorize('editDentalRecords'), async (req, res) => {
+    try {
+        const { patientID, title } = req.body;
+
+        if (!await Patient.exists({ id: patientID })) {
+            return res.status(404).json({ message: "Patient not found" });
+        }
+
+        const plan = await Functions.createTreatmentPlan(patientID, title, req.account.accountOwnerName);
+        await Functions.recordAudit(req, 'Treatment Plan', plan.id, plan.patientID, null, plan.toObject());
+
+        res.status(201).json({ message: "Treatment plan created", planID: plan.id });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: error.message });
+        }
+        console.error("Error creating treatment plan:", error);
+        res.status(500).json({ message: "Error creating treatment plan" });
+    }
+});
+
+// teeth are typed in the account's numbering
+router.post("/treatment-plans/:id/items", Functions.authorize('editDentalRecords'), async (req, res) => {
+    try {
+        const found = await findTreatmentPlan(req, res);
+        if (!found) return;
+
+        const { plan } = found;
+        const { phase, priority, estimatedCost, notes } = req.body;
+
+        if (plan.status !== 'proposed') {
+            return res.status(400).json({ message: "Only proposed plans can be changed." });
+        }
+
+        const service = await Service.findOne({ service: req.body.service }).lean();
+        if (!service) {
+            return res.status(404).json({ message: "Service not found" });
+        }
+
+        const numbering = Teeth.numberingFor(req.account);
+        const teeth = Teeth.parseTeeth(req.body.teeth, numbering);
+        if (teeth.invalid.length > 0) {
+            return res.status(400).json({ message: `There is no tooth ${teeth.invalid.join(', ')} in ${Teeth.numberingSystems[numbering]} numbering.` });
+        }
+
+        const before = plan.toObject();
+        await Functions.addTreatmentPlanItem(plan, service, teeth.teeth, parseInt(phase) || 1, priority || undefined, estimatedCost, notes);
+        await Functions.recordAudit(req, 'Treatment Plan', plan.id, plan.patientID, before, plan.toObject());
+
+        res.status(201).json({ message: `${service.service} added to phase ${parseInt(phase) || 1}` });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: error.message });
+        }
+        console.error("Error adding treatment plan item:", error);
+        res.status(500).json({ message: "Error adding treatment plan item" });
+    }
+});
+
+router.post("/treatment-plans/:id/items/:itemID/remove", Functions.authorize('editDentalRecords'), async (req, res) => {
+    try {
+        const found = await findTreatmentPlan(req, res);
+        if (!found) return;
+
+        const { plan, item } = found;
+
+        if (plan.status !== 'proposed') {
+            return res.status(400).json({ message: "Only proposed plans can be changed." });
+        }
+
+        const before = plan.toObject();
+        item.deleteOne();
+        await plan.save();
+        await Functions.recordAudit(req, 'Treatment Plan', plan.id, plan.patientID, before, plan.toObject());
+
+        res.status(200).json({ message: `${item.service} removed from the plan` });
+    } catch (error) {
+        console.error("Error removing treatment plan item:", error);
+        res.status(500).json({ message: "Error removing treatment plan item" });
+    }
+});
+
+// the patient's answer to a proposed plan, with the date they gave it
+router.post("/treatment-plans/:id/acceptance", Functions.authorize('editDentalRecords'), async (req, res) => {
+    try {
+        const found = await findTreatmentPlan(req, res);
+        if (!found) return;
+
+        const { plan } = found;
+        const { status, date } = req.body;
+
+        if (plan.status !== 'proposed') {
+            return res.status(400).json({ message: `This plan was already ${plan.status}.` });
+        }
+        if (!['accepted', 'declined'].includes(status) || !date) {
+            return res.status(400).json({ message: "Choose whether the patient accepted or declined the plan, and the date." });
+        }
+        if (status === 'accepted' && plan.items.length === 0) {
+            return res.status(400).json({ message: "Add procedures to the plan before it is accepted." });
+        }
+
+        const before = plan.toObject();
+        plan.status = status;
+        plan.acceptedAt = new Date(date);
+        plan.recordedBy = req.account.accountOwnerName;
+        await plan.save();
+        await Functions.recordAudit(req, 'Treatment Plan', plan.id, plan.patientID, before, plan.toObject());
+
+        res.status(200).json({ message: `Treatment plan ${status}` });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: error.message });
+        }
+        console.error("Error recording treatment plan acceptance:", error);
+        res.status(500).json({ message: "Error recording treatment plan acceptance" });
+    }
+});
+
+// books a visit for an accepted item, with the same conflict check as other bookings
+router.post("/treatment-plans/:id/items/:itemID/appointment", Functions.authorize('schedule'), async (req, res) => {
+    try {
+        const found = await findTreatmentPlan(req, res);
+        if (!found) return;
+
+        const { plan, item } = found;
+        const { date, startTime, endTime, dentist, chair } = req.body;
+        const status = (await Functions.treatmentPlanProgress(plan)).items.find(entry => entry.id === String(item._id)).status;
+
+        if (plan.status !== 'accepted') {
+            return res.status(400).json({ message: "Only items of accepted plans can be booked." });
+        }
+        if (status !== 'planned') {
+            return res.status(400).json({ message: `${item.service} is already ${status}.` });
+        }
+        if (!date || !startTime) {
+            return res.status(400).json({ message: 'Date and start time are required.' });
+        }
+        if (await rejectContraindications(req, res, plan.patientID, item.service)) {
+            return;
+        }
+
+        const { start, end } = await Functions.toAppointmentTimes(date, startTime, endTime, item.service);
+        if (await rejectConflicts(req, res, start, end, dentist, chair)) {
+            return;
+        }
+
+        const before = plan.toObject();
+        const booking = await Functions.bookTreatmentPlanItem(plan, item, dentist, chair, start, end);
+        await Functions.recordAudit(req, 'Treatment', booking.treatment.after.id, plan.patientID, booking.treatment.before, booking.treatment.after);
+        await Functions.recordAudit(req, 'Appointment', booking.appointment.id, plan.patientID, null, booking.appointment.toObject());
+        await Functions.recordAudit(req, 'Treatment Plan', plan.id, plan.patientID, before, plan.toObject());
+
+        res.status(200).json({ message: `${item.service} booked for ${start.toDateString()}`, appointmentID: booking.appointment.id });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: error.message });
+        }
+        console.error("Error booking treatment plan item:", error);
+        res.status(500).json({ message: "Error booking treatment plan item" });
+    }
+});
+
+// records an accepted item done without a booked visit. Booked items are completed from the to-do list
+router.post("/treatment-plans/:id/items/:itemID/treatment", Functions.authorize('editDentalRecords'), async (req, res) => {
+    try {
+        const found = await findTreatmentPlan(req, res);
+        if (!found) return;
+
+        const { plan, item } = found;
+        const status = (await Functions.treatmentPlanProgress(plan)).items.find(entry => entry.id === String(item._id)).status;
+
+        if (plan.status !== 'accepted') {
+            return res.status(400).json({ message: "Only items of accepted plans can be recorded." });
+        }
+        if (status === 'scheduled') {
+            return res.status(400).json({ message: `${item.service} has a booked visit. Complete the visit from the to-do list.` });
+        }
+        if (status === 'completed') {
+            return res.status(400).json({ message: `${item.service} is already completed.` });
+        }
+        if (!req.body.date) {
+            return res.status(400).json({ message: "The date of the procedure is required." });
+        }
+        if (await rejectContraindications(req, res, plan.patientID, item.service)) {
+            return;
+        }
+
+        const before = plan.toObject();
+        const change = await Functions.recordTreatmentPlanItem(plan, item, new Date(req.body.date), req.body.dentist);
+        await Functions.recordAudit(req, 'Treatment', change.after.id, plan.patientID, change.before, change.after);
+        await Functions.recordAudit(req, 'Treatment Plan', plan.id, plan.patientID, before, plan.toObject());
+
+        res.status(200).json({ message: `${item.service} recorded as treatment #${change.after.id}` });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: error.message });
+        }
+        console.error("Error recording treatment plan item:", error);
+        res.status(500).json({ message: "Error recording treatment plan item" });
+    }
+});
+
+
+//RECEIVABLES
+const receivableSorts = ['name', 'total', 'oldestDays'].concat(Functions.receivableBuckets.map(bucket => bucket.key));
+
+// patients who owe the clinic, filtered by ?dentist= and ?service= and sorted by ?sort= and ?order=
+router.get("/receivables", Functions.authorize('billing'), async (req, res) => {
+    try {
+        const { dentist, service } = req.query;
+        const sort = receivableSorts.includes(req.query.sort) ? req.query.sort : 'total';
+        const order = req.query.order === 'asc' ? 'asc' : 'desc';
+
+        const rows = (await Functions.accountsReceivable(dentist, service)).sort((a, b) => {
+            const compared = sort === 'name' ? a.name.localeCompare(b.name) : a[sort] - b[sort];
+            return order === 'asc' ? compared : -compared;
+        });
+
+        if (req.query.format === 'csv') {
+            const csv = Functions.toCSV(
+                ['Patient ID', 'Patient', 'Contact'].concat(Functions.receivableBuckets.map(bucket => `${bucket.label} days`), ['Total', 'Oldest (days)']),
+                rows.map(row => [row.patientID, row.name, row.contact]
+                    .concat(Functions.receivableBuckets.map(bucket => row[bucket.key].toFixed(2)), [row.total.toFixed(2), row.oldestDays]))
+            );
+
+            res.attachment(`receivables-${Functions.formatDateInput(new Date())}.csv`);
+            return res.type('text/csv').send(csv);
+        }
+
+        let totals = { total: 0 };
+        Functions.receivableBuckets.forEach(bucket => totals[bucket.key] = 0);
+        rows.forEach(row => Object.keys(totals).forEach(key => totals[key] += row[key]));
+
+        //query string without the sort, for the column header links
+        const filterQuery = new URLSearchParams(
+            Object.entries({ dentist, service }).filter(([, value]) => value)
+        ).toString();
+
+        res.render("E_Receivables", {
+            rows: rows.map(row => ({
+                ...row,
+                amounts: Functions.receivableBuckets.map(bucket => Functions.formatMoney(row[bucket.key])),
+                totalString: Functions.formatMoney(row.total)
+            })),
+            patientCount: rows.length,
+            buckets: Functions.receivableBuckets.map(bucket => ({
+                ...bucket,
+                totalString: Functions.formatMoney(totals[bucket.key]),
+                order: sort === bucket.key && order === 'desc' ? 'asc' : 'desc'
+            })),
+            totalString: Functions.formatMoney(totals.total),
+            sort,
+            order,
+            nextOrder: order === 'desc' ? 'asc' : 'desc',
+            filters: { dentist, service },
+            filterQuery,
+            dentists: (await Treatment.distinct('dentist')).filter(name => name),
+            services: await Treatment.distinct('procedure')
+        });
+    } catch (error) {
+        console.error("Error loading receivables:", error);
+        res.status(500).send("Server error");
+    }
+});
+
+
+router.get("/report", Functions.authorize('viewReports'), (req,res) =>{
+    const isAuthenticated = !!req.session.isAuthenticated;
+    res.render("E_Report", {isAuthenticated});
+});
+
+
+//AUDIT LOG
+router.get("/audit-log", Functions.authorize('viewAuditLog'), async (req, res) => {
+    try {
+        const { patientID, actor, collectionName, from, to } = req.query;
+        const page = parseInt(req.query.page) || 1;
+        const limit = 20;
+
+        let filter = {};
+
+        if (patientID) {
+            filter.patientID = Number(patientID);
+        }
+        if (actor) {
+            filter.actorName = { $regex: Functions.escapeRegex(actor), $options: 'i' };
+        }
+        if (collectionName) {
+            filter.collectionName = collectionName;
+        }
+        if (from || to) {
+            filter.timestamp = {};
+            if (from) {
+                filter.timestamp.$gte = new Date(from);
+            }
+            if (to) {
+                const endOfDay = new Date(to);
+                endOfDay.setHours(23, 59, 59, 999);
+                filter.timestamp.$lte = endOfDay;
+            }
+        }
+
+        const entries = await AuditLog.find(filter)
+            .sort({ timestamp: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .lean();
+        const totalEntries = await AuditLog.countDocuments(filter);
+
+        //query string without the page, for the pagination links
+        const filterQuery = new URLSearchParams(
+            Object.entries({ patientID, actor, collectionName, from, to }).filter(([, value]) => value)
+        ).toString();
+
+        res.render("F_AuditLog", {
+            history: Functions.formatAuditEntries(entries),
+            entryCount: totalEntries,
+            currentPage: page,
+            totalPages: Math.max(Math.ceil(totalEntries / limit), 1),
+            filters: { patientID, actor, collectionName, from, to },
+            filterQuery: filterQuery,
+            collectionNames: await AuditLog.distinct('collectionName')
+        });
+    } catch (error) {
+        console.error("Error loading audit log.", error);
+        res.status(500).send("Server error");
+    }
+});
+
+//ACCOUNTS
+router.get("/accounts", Functions.authorize('manageAccounts'), async (req, res) => {
+    try {
+        const accounts = await Account.find().sort({ accountID: 1 });
+
+        res.render("F_Accounts", {
+            accounts: accounts,
+            accountCount: accounts.filter(account => account.isActive).length,
+            accountTypes: Account.schema.path('accountType').enumValues
+        });
+    } catch (error) {
+        console.error("Error loading accounts page.", error);
+        res.status(500).send("Server error");
+    }
+});
+
+router.post("/accounts", Functions.authorize('manageAccounts'), async (req, res) => {
+    try {
+        const { accountOwnerName, accountUserName, accountType } = req.body;
+
+        if (!accountOwnerName || !accountUserName || !accountType) {
+            return res.status(400).json({ message: 'Name, username and account type are required.' });
+        }
+
+        if (!Account.schema.path('accountType').enumValues.includes(accountType)) {
+            return res.status(400).json({ message: 'Invalid account type.' });
+        }
+
+        if (await Account.exists({ accountUserName: accountUserName.trim() })) {
+            return res.status(400).json({ message: 'That username is already taken.' });
+        }
+
+        const temporaryPassword = Functions.generateTemporaryPassword();
+        const account = await Functions.createAccount(accountType, accountOwnerName.trim(), accountUserName.trim(), temporaryPassword);
+
+        res.status(201).json({
+            message: `Account created for ${account.accountOwnerName}.`,
+            temporaryPassword: temporaryPassword
+        });
+    } catch (error) {
+        console.error("Error creating account.", error);
+        res.status(500).json({ message: 'Error creating account.' });
+    }
+});
+
+router.post("/accounts/:id/type", Functions.authorize('manageAccounts'), async (req, res) => {
+    try {
+        const account = await Account.findOne({ accountID: req.params.id });
+
+        if (!account) {
+            return res.status(404).json({ message: 'Account not found.' });
+        }
+
+        if (account.accountID === req.account.accountID) {
+            return res.status(400).json({ message: 'You cannot change the type of your own account.' });
+        }
+
+        if (!Account.schema.path('accountType').enumValues.includes(req.body.accountType)) {
+            return res.status(400).json({ message: 'Invalid account type.' });
+        }
+
+        account.accountType = req.body.accountType;
+        await account.save();
+
+        res.status(200).json({ message: `${account.accountOwnerName} is now ${account.accountType}.` });
+    } catch (error) {
+        console.error("Error changing account type.", error);
+        res.status(500).json({ message: 'Error changing account type.' });
+    }
+});
+
+router.post("/accounts/:id/reset-password", Functions.authorize('manageAccounts'), async (req, res) => {
+    try {
+        if (!await Account.exists({ accountID: req.params.id })) {
+            return res.status(404).json({ message: 'Account not found.' });
+        }
+
+        const temporaryPassword = Functions.generateTemporaryPassword();
+        await Functions.setAccountPassword(req.params.id, temporaryPassword, true);
+
+        res.status(200).json({ message: 'Password reset.', temporaryPassword: temporaryPassword });
+    } catch (error) {
+        console.error("Error resetting password.", error);
+        res.status(500).json({ message: 'Error resetting password.' });
+    }
+});
+
+router.post("/accounts/:id/require-password-change", Functions.authorize('manageAccounts'), async (req, res) => {
+    try {
+        const account = await Account.findOneAndUpdate(
+            { accountID: req.params.id },
+            { mustChangePassword: true },
+            { new: true }
+        );
+
+        if (!account) {
+            return res.status(404).json({ message: 'Account not found.' });
+        }
+
+        res.status(200).json({ message: `${account.accountOwnerName} must change their password on the next page they open.` });
+    } catch (error) {
+        console.error("Error requiring password change.", error);
+        res.status(500).json({ message: 'Error requiring password change.' });
+    }
+});
+
+router.post("/accounts/:id/deactivate", Functions.authorize('manageAccounts'), async (req, res) => {
+    try {
+        const account = await Account.findOne({ accountID: req.params.id });
+
+        if (!account) {
+            return res.status(404).json({ state: null, message: 'Account not found.' });
+        }
+
+        if (account.accountID === req.account.accountID) {
+            return res.status(400).json({ state: null, message: 'You cannot deactivate your own account.' });
+        }
+
+        account.isActive = !account.isActive;
+        await account.save();
+
+        res.status(200).json({
+            state: account.isActive,
+            message: `${account.accountOwnerName} has been ${account.isActive ? 'reactivated' : 'deactivated'}.`
+        });
+    } catch (error) {
+        console.error("Error deactivating account.", error);
+        res.status(500).json({ state: null, message: 'Error deactivating account.' });
+    }
+});
+
+router.get("/change-password", Functions.authorize(), (req, res) => {
+    res.render("A_ChangePassword", {
+        mustChangePassword: req.account.mustChangePassword,
+        numberingSystems: Object.keys(Teeth.numberingSystems).map(system => ({ value: system, label: Teeth.numberingSystems[system] })),
+        toothNumbering: req.account.toothNumbering,
+        clinicNumbering: Teeth.numberingSystems[Teeth.clinicNumbering()]
+    });
+});
+
+//blank goes back to the clinic's numbering
+router.post("/preferences/tooth-numbering", Functions.authorize(), async (req, res) => {
+    try {
+        const { toothNumbering } = req.body;
+
+        if (toothNumbering && !Teeth.numberingSystems[toothNumbering]) {
+            return res.status(400).json({ message: 'Unknown tooth numbering.' });
+        }
+
+        req.account.toothNumbering = toothNumbering || undefined;
+        await req.account.save();
+
+        res.status(200).json({ message: `Teeth are shown in ${Teeth.numberingSystems[Teeth.numberingFor(req.account)]} numbering.` });
+    } catch (error) {
+        console.error("Error saving tooth numbering.", error);
+        res.status(500).json({ message: 'Error saving tooth numbering.' });
+    }
+});
+
+router.post("/change-password", Functions.authorize(), async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+
+        if (!await bcrypt.compare(currentPassword || '', req.account.accountPass)) {
+            return res.status(400).json({ message: 'Current password is incorrect.' });
+        }
+
+        const weakness = Functions.checkPasswordStrength(newPassword);
+        if (weakness) {
+            return res.status(400).json({ message: weakness });
+        }
+
+        if (newPassword === currentPassword) {
+            return res.status(400).json({ message: 'New password must be different from the current one.' });
+        }
+
+        await Functions.setAccountPassword(req.account.accountID, newPassword, false);
+
+        res.status(200).json({ message: 'Password changed successfully.' });
+    } catch (error) {
+        console.error("Error changing password.", error);
+        res.status(500).json({ message: 'Error changing password.' });
+    }
+});
+
+router.get('/login', (req, res) => {
+    const isAuthenticated = !!req.session.isAuthenticated;
+    if (req.session.isAuthenticated) {
+        return res.redirect('/to-do');
+    }
+    res.render('A_LoginPage', { isAuthenticated });
+});
+
+router.post('/login', async (req, res) => {
+    const { username, password } = req.body;
+
+    try {
+        if (!username || !password) {
+            return res.status(400).send('Please enter your username and password.');
+        }
+
+        const account = await Account.findOne({ accountUserName: username.trim() });
+        const isMatch = account ? await bcrypt.compare(password, account.accountPass) : false;
 
-        const isMatch = await bcrypt.compare(password, sharedHash);
-        console.log(isMatch);
-        if (isMatch) {
+        if (isMatch && !account.isActive) {
+            res.status(400).send('This account has been deactivated.');
+        } else if (isMatch) {
             req.session.isAuthenticated = true;
+            req.session.account = Functions.sessionAccount(account);
             res.redirect("/");
         } else {
-            res.status(400).send('Invalid password');
+            res.status(400).send('Invalid username or password');
         }
     } catch (error) {
         console.error('Error during login:', error);
@@ -0,0 +1,213 @@
+// bundled drug and allergen dictionary, so warnings work without a connection to an outside drug database.
+// Drugs belong to classes; allergies and interactions are matched on the classes rather than on names.
+// Dental prescriptions and anaesthetics come first, then medications patients commonly take.
+
+const drugs = [
+    // antibiotics
+    {name: 'Amoxicillin', classes: ['penicillin', 'beta-lactam', 'antibiotic']},
+    {name: 'Amoxicillin with clavulanate', classes: ['penicillin', 'beta-lactam', 'antibiotic']},
+    {name: 'Penicillin V', classes: ['penicillin', 'beta-lactam', 'antibiotic']},
+    {name: 'Cephalexin', classes: ['cephalosporin', 'beta-lactam', 'antibiotic']},
+    {name: 'Cefuroxime', classes: ['cephalosporin', 'beta-lactam', 'antibiotic']},
+    {name: 'Clindamycin', classes: ['lincosamide', 'antibiotic']},
+    {name: 'Azithromycin', classes: ['macrolide', 'antibiotic']},
+    {name: 'Clarithromycin', classes: ['macrolide', 'antibiotic', 'cyp3a4-inhibitor']},
+    {name: 'Erythromycin', classes: ['macrolide', 'antibiotic', 'cyp3a4-inhibitor']},
+    {name: 'Metronidazole', classes: ['nitroimidazole', 'antibiotic']},
+    {name: 'Doxycycline', classes: ['tetracycline', 'antibiotic']},
+    {name: 'Co-trimoxazole', classes: ['sulfonamide', 'antibiotic']},
+
+    // pain relief
+    {name: 'Ibuprofen', classes: ['nsaid']},
+    {name: 'Naproxen', classes: ['nsaid']},
+    {name: 'Mefenamic acid', classes: ['nsaid']},
+    {name: 'Diclofenac', classes: ['nsaid']},
+    {name: 'Aspirin', classes: ['salicylate', 'nsaid', 'antiplatelet']},
+    {name: 'Celecoxib', classes: ['cox-2-inhibitor', 'sulfonamide']},
+    {name: 'Paracetamol', classes: ['analgesic']},
+    {name: 'Codeine', classes: ['opioid']},
+    {name: 'Tramadol', classes: ['opioid', 'tramadol']},
+
+    // local anaesthetics
+    {name: 'Lidocaine', classes: ['amide-anaesthetic', 'local-anaesthetic']},
+    {name: 'Lidocaine with epinephrine', classes: ['amide-anaesthetic', 'local-anaesthetic', 'vasoconstrictor']},
+    {name: 'Articaine with epinephrine', classes: ['amide-anaesthetic', 'local-anaesthetic', 'vasoconstrictor']},
+    {name: 'Mepivacaine', classes: ['amide-anaesthetic', 'local-anaesthetic']},
+    {name: 'Bupivacaine with epinephrine', classes: ['amide-anaesthetic', 'local-anaesthetic', 'vasoconstrictor']},
+    {name: 'Prilocaine with felypressin', classes: ['amide-anaesthetic', 'local-anaesthetic']},
+    {name: 'Benzocaine gel', classes: ['ester-anaesthetic', 'local-anaesthetic']},
+
+    // other dental drugs
+    {name: 'Chlorhexidine mouthwash', classes: ['chlorhexidine']},
+    {name: 'Fluconazole', classes: ['azole-antifungal', 'cyp3a4-inhibitor']},
+    {name: 'Miconazole oral gel', classes: ['azole-antifungal', 'cyp3a4-inhibitor']},
+    {name: 'Nystatin', classes: ['antifungal']},
+    {name: 'Aciclovir', classes: ['antiviral']},
+    {name: 'Diazepam', classes: ['benzodiazepine']},
+    {name: 'Midazolam', classes: ['benzodiazepine']},
+
+    // medications patients commonly take
+    {name: 'Warfarin', classes: ['vitamin-k-antagonist', 'anticoagulant']},
+    {name: 'Apixaban', classes: ['anticoagulant']},
+    {name: 'Rivaroxaban', classes: ['anticoagulant']},
+    {name: 'Clopidogrel', classes: ['antiplatelet']},
+    {name: 'Methotrexate', classes: ['methotrexate']},
+    {name: 'Lithium', classes: ['lithium']},
+    {name: 'Propranolol', classes: ['non-selective-beta-blocker', 'beta-blocker']},
+    {name: 'Metoprolol', classes: ['beta-blocker']},
+    {name: 'Atenolol', classes: ['beta-blocker']},
+    {name: 'Amlodipine', classes: ['calcium-channel-blocker']},
+    {name: 'Lisinopril', classes: ['ace-inhibitor']},
+    {name: 'Losartan', classes: ['angiotensin-receptor-blocker']},
+    {name: 'Simvastatin', classes: ['cyp3a4-statin', 'statin']},
+    {name: 'Atorvastatin', classes: ['cyp3a4-statin', 'statin']},
+    {name: 'Rosuvastatin', classes: ['statin']},
+    {name: 'Metformin', classes: ['antidiabetic']},
+    {name: 'Insulin', classes: ['antidiabetic']},
+    {name: 'Sertraline', classes: ['ssri']},
+    {name: 'Fluoxetine', classes: ['ssri']},
+    {name: 'Amitriptyline', classes: ['tricyclic-antidepressant']},
+    {name: 'Phenelzine', classes: ['maoi']},
+    {name: 'Alendronate', classes: ['bisphosphonate']},
+    {name: 'Prednisolone', classes: ['corticosteroid']},
+    {name: 'Phenytoin', classes: ['phenytoin']},
+    {name: 'Levothyroxine', classes: ['thyroid-hormone']},
+    {name: 'Salbutamol inhaler', classes: ['bronchodilator']}
+];
+
+// substances patients report allergies to. A reaction is expected to every drug in classes,
+// and possible (cross-reactivity) for drugs in crossClasses
+const allergens = [
+    {name: 'Penicillin', classes: ['penicillin'], crossClasses: ['cephalosporin']},
+    {name: 'Cephalosporins', classes: ['cephalosporin'], crossClasses: ['penicillin']},
+    {name: 'Antibiotics', classes: ['antibiotic'], crossClasses: []},
+    {name: 'Sulfa drugs', classes: ['sulfonamide'], crossClasses: []},
+    {name: 'Lidocaine', classes: ['amide-anaesthetic'], crossClasses: []},
+    {name: 'Ester anaesthetics', classes: ['ester-anaesthetic'], crossClasses: []},
+    {name: 'Aspirin', classes: ['salicylate'], crossClasses: ['nsaid']},
+    {name: 'NSAIDs', classes: ['nsaid'], crossClasses: ['cox-2-inhibitor']},
+    {name: 'Codeine', classes: ['opioid'], crossClasses: []},
+    {name: 'Macrolides', classes: ['macrolide'], crossClasses: []},
+    {name: 'Tetracyclines', classes: ['tetracycline'], crossClasses: []},
+    {name: 'Chlorhexidine', classes: ['chlorhexidine'], crossClasses: []},
+    {name: 'Epinephrine', classes: ['vasoconstrictor'], crossClasses: []},
+    {name: 'Latex', classes: [], crossClasses: []}
+];
+
+// pairs of classes that should not be given together, either way round
+const interactions = [
+    {classes: ['anticoagulant', 'nsaid'], severity: 'high', message: 'raises the risk of bleeding'},
+    {classes: ['antiplatelet', 'nsaid'], severity: 'caution', message: 'raises the risk of bleeding'},
+    {classes: ['ssri', 'nsaid'], severity: 'caution', message: 'raises the risk of bleeding'},
+    {classes: ['corticosteroid', 'nsaid'], severity: 'caution', message: 'raises the risk of stomach bleeding'},
+    {classes: ['vitamin-k-antagonist', 'nitroimidazole'], severity: 'high', message: 'raises the INR and the risk of bleeding'},
+    {classes: ['vitamin-k-antagonist', 'azole-antifungal'], severity: 'high', message: 'raises the INR and the risk of bleeding'},
+    {classes: ['vitamin-k-antagonist', 'macrolide'], severity: 'caution', message: 'can raise the INR'},
+    {classes: ['vitamin-k-antagonist', 'penicillin'], severity: 'caution', message: 'can raise the INR'},
+    {classes: ['methotrexate', 'nsaid'], severity: 'high', message: 'raises methotrexate to toxic levels'},
+    {classes: ['methotrexate', 'penicillin'], severity: 'caution', message: 'raises methotrexate levels'},
+    {classes: ['lithium', 'nsaid'], severity: 'high', message: 'raises lithium to toxic levels'},
+    {classes: ['lithium', 'nitroimidazole'], severity: 'caution', message: 'raises lithium levels'},
+    {classes: ['ace-inhibitor', 'nsaid'], severity: 'caution', message: 'weakens blood pressure control and strains the kidneys'},
+    {classes: ['angiotensin-receptor-blocker', 'nsaid'], severity: 'caution', message: 'weakens blood pressure control and strains the kidneys'},
+    {classes: ['non-selective-beta-blocker', 'vasoconstrictor'], severity: 'caution', message: 'can sharply raise blood pressure, keep epinephrine to a minimum'},
+    {classes: ['tricyclic-antidepressant', 'vasoconstrictor'], severity: 'caution', message: 'can raise blood pressure, keep epinephrine to a minimum'},
+    {classes: ['cyp3a4-statin', 'cyp3a4-inhibitor'], severity: 'high', message: 'raises statin levels and the risk of muscle damage'},
+    {classes: ['ssri', 'tramadol'], severity: 'caution', message: 'raises the risk of serotonin syndrome and seizures'},
+    {classes: ['maoi', 'tramadol'], severity: 'high', message: 'can cause serotonin syndrome'},
+    {classes: ['benzodiazepine', 'opioid'], severity: 'high', message: 'deepens sedation and slows breathing'},
+    {classes: ['phenytoin', 'nitroimidazole'], severity: 'caution', message: 'raises phenytoin levels'},
+    {classes: ['phenytoin', 'azole-antifungal'], severity: 'caution', message: 'raises phenytoin levels'}
+];
+
+function sameName(a, b){
+    return String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+}
+
+// the dictionary entry of a drug, matched without regard to case. Undefined for drugs not in the dictionary
+function findDrug(name){
+    return drugs.find(drug => sameName(drug.name, name));
+}
+
+function findAllergen(name){
+    return allergens.find(allergen => sameName(allergen.name, name));
+}
+
+function drugNames(){
+    return drugs.map(drug => drug.name);
+}
+
+// allergens first, then drugs a patient can be allergic to by name
+function allergenNames(){
+    return [...new Set(allergens.map(allergen => allergen.name).concat(drugNames()))];
+}
+
+// a medication counts until the day it was stopped
+function isCurrentMedication(medication, date = new Date()){
+    return !medication.stopDate || new Date(medication.stopDate) >= date;
+}
+
+function sharesClass(drug, classes){
+    return drug.classes.some(drugClass => classes.includes(drugClass));
+}
+
+// warnings for a drug about to be given, against the patient's allergies ({substance, reaction, severity})
+// and current medications ({drug, ...}). Drugs not in the dictionary are only matched on their name
+function drugWarnings(drugName, allergies, medications){
+    const drug = findDrug(drugName) || {name: drugName, classes: []};
+    let warnings = [];
+
+    (allergies || []).forEach(allergy => {
+        if(!allergy.substance || allergy.substance === 'None'){
+            return;
+        }
+
+        const allergen = findAllergen(allergy.substance);
+        const allergicDrug = findDrug(allergy.substance);
+        const reaction = [allergy.reaction, allergy.severity].filter(detail => detail && detail !== 'unknown').join(', ');
+        const recorded = `the recorded ${allergy.substance} allergy${reaction ? ` (${reaction})` : ''}`;
+
+        if(sameName(allergy.substance, drug.name)
+            || (allergen && sharesClass(drug, allergen.classes))
+            || (allergicDrug && drug.classes.length > 0 && allergicDrug.classes[0] === drug.classes[0])){
+            warnings.push({drug: drug.name, severity: 'high', message: `${drug.name} conflicts with ${recorded}.`});
+        } else if(allergen && sharesClass(drug, allergen.crossClasses)){
+            warnings.push({drug: drug.name, severity: 'caution', message: `${drug.name} can cross-react with ${recorded}.`});
+        }
+    });
+
+    (medications || []).forEach(medication => {
+        const taken = findDrug(medication.drug);
+
+        if(!taken){
+            return;
+        }
+
+        interactions.forEach(interaction => {
+            const [first, second] = interaction.classes;
+
+            if((drug.classes.includes(first) && taken.classes.includes(second))
+                || (drug.classes.includes(second) && taken.classes.includes(first))){
+                warnings.push({
+                    drug: drug.name,
+                    severity: interaction.severity,
+                    message: `${drug.name} with ${taken.name} ${interaction.message}.`
+                });
+            }
+        });
+    });
+
+    return warnings;
+}
+
+module.exports = {
+    drugs,
+    allergens,
+    interactions,
+    findDrug,
+    findAllergen,
+    drugNames,
+    allergenNames,
+    isCurrentMedication,
+    drugWarnings
+};
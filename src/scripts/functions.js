@@ -3,6 +3,24 @@ const medicalHistoryModel = require('../models/medicalHistory.js');
 const treatmentModel = require('../models/treatment.js');
 const orthoModel = require('../models/orthodontics.js');
 const serviceModel = require('../models/service.js');
+const accountModel = require('../models/accounts.js');
+const auditLogModel = require('../models/auditLog.js');
+const appointmentModel = require('../models/appointment.js');
+const nonPatientModel = require('../models/nonpatient.js');
+const appointmentSeriesModel = require('../models/appointmentSeries.js');
+const invoiceModel = require('../models/invoice.js');
+const paymentModel = require('../models/payment.js');
+const installmentPlanModel = require('../models/installmentPlan.js');
+const dentalChartModel = require('../models/dentalChart.js');
+const treatmentPlanModel = require('../models/treatmentPlan.js');
+const periodontalExamModel = require('../models/periodontalExam.js');
+const clinicalNoteModel = require('../models/clinicalNote.js');
+const Teeth = require('./teeth.js');
+const Drugs = require('./drugs.js');
+const bcrypt = require('bcrypt');
+const crypto = require('crypto');
+
+const saltRounds = 10;
 
 
 function convertToDate(birthdate){
@@ -43,7 +61,7 @@ async function createOrtho(patientID, service){
     }
 }
 
-async function setOrthoInactive(patientID, service){
+async function setOrthoInactive(patientID, service, changedBy){
     try{
         console.log("id: " + patientID);
         console.log("service: " + service);
@@ -58,9 +76,19 @@ async function setOrthoInactive(patientID, service){
 
         await Promise.all(promises);
 
+        //recurring visits of a finished case are no longer needed
+        const series = await appointmentSeriesModel.find({orthoID: {$in: orth.map(orthoInstance => orthoInstance._id)}, isActive: true});
+        let cancelled = [];
+
+        for(const instance of series){
+            cancelled.push(...await endAppointmentSeries(instance.id, new Date(), changedBy, 'Orthodontic treatment finished'));
+        }
+
         console.log("Successfully inactivated orthodontics.");
+        return cancelled;
     } catch (error) {
         console.error("Error setting orthodontics inactive.", error);
+        return [];
     }
 }
 
@@ -70,33 +98,208 @@ async function readPatient(patientID) {
     return patient;
 }
 
-async function getMonthlyStats(year, month){
-    try{
-        let totalEarned = 0;
-        let numOfAppointments = 0;
-
-        const treatmentsThisMonth = await treatmentModel.find({
-            $expr: {
-                $and: [
-                    {$eq: [{ $month: "$date"}, month]},
-                    {$eq: [{ $year: "$date"}, year]}
-                ]   
-            }
+const monthNames = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+// start and end (exclusive) of a report: custom from/to dates (YYYY-MM-DD), otherwise the whole year.
+// Dates are stored as UTC midnight, so the range is in UTC too
+function reportRange(year, from, to){
+    year = parseInt(year) || new Date().getFullYear();
+
+    const start = from ? new Date(from) : new Date(Date.UTC(year, 0, 1));
+    let end = to ? new Date(to) : new Date(Date.UTC(year + 1, 0, 1));
+
+    if(to){
+        end.setUTCDate(end.getUTCDate() + 1);
+    }
+
+    if(isNaN(start) || isNaN(end) || end <= start){
+        return null;
+    }
+
+    return {start: start, end: end, year: year, isCustom: !!(from || to)};
+}
+
+// YYYY-MM keys and labels of every month a range touches
+function rangeMonths(start, end){
+    let months = [];
+    let month = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), 1));
+
+    while(month < end){
+        months.push({
+            key: `${month.getUTCFullYear()}-${(month.getUTCMonth() + 1).toString().padStart(2, '0')}`,
+            label: `${monthNames[month.getUTCMonth()]} ${month.getUTCFullYear()}`
         });
+        month.setUTCMonth(month.getUTCMonth() + 1);
+    }
 
-        if(treatmentsThisMonth.length != 0){
-            treatmentsThisMonth.forEach(function(treatment){
-                totalEarned += treatment.amountPaid;
-                numOfAppointments++;
-            })
+    return months;
+}
+
+// treatment conditions of the report filters: filters.dentist and filters.serviceType (Ortho or Non-Ortho, from Service.type).
+// prefix is the path of the treatment fields, for treatments joined onto other documents
+async function reportTreatmentMatch(filters, prefix){
+    prefix = prefix || '';
+    let match = {};
+
+    if(filters && filters.dentist){
+        match[prefix + 'dentist'] = filters.dentist;
+    }
+    if(filters && filters.serviceType){
+        match[prefix + 'procedure'] = {$in: await serviceModel.distinct('service', {type: filters.serviceType})};
+    }
+
+    return match;
+}
+
+// charged (treatments) and collected (recorded payments) between start and end, per month, service and dentist.
+// Payments take the service and dentist of their treatment, payments not linked to one are "Unassigned"
+// and left out when the report is filtered
+async function getRevenueStats(start, end, filters){
+    const groups = (key) => ({
+        byMonth: [{$group: {_id: {$dateToString: {format: '%Y-%m', date: '$date'}}, amount: {$sum: key}, count: {$sum: 1}}}],
+        byService: [{$group: {_id: '$service', amount: {$sum: key}, count: {$sum: 1}}}],
+        byDentist: [{$group: {_id: '$dentist', amount: {$sum: key}, count: {$sum: 1}}}]
+    });
+
+    const [charged] = await treatmentModel.aggregate([
+        {$match: {date: {$gte: start, $lt: end}, ...await reportTreatmentMatch(filters)}},
+        {$project: {date: 1, amountCharged: {$ifNull: ['$amountCharged', 0]}, service: '$procedure', dentist: {$ifNull: ['$dentist', '']}}},
+        {$facet: groups('$amountCharged')}
+    ]);
+
+    const [collected] = await paymentModel.aggregate([
+        {$match: {status: 'recorded', date: {$gte: start, $lt: end}}},
+        {$lookup: {from: treatmentModel.collection.name, localField: 'treatmentID', foreignField: 'id', as: 'treatment'}},
+        {$unwind: {path: '$treatment', preserveNullAndEmptyArrays: true}},
+        {$match: await reportTreatmentMatch(filters, 'treatment.')},
+        {$project: {
+            date: 1,
+            amount: 1,
+            service: {$ifNull: ['$treatment.procedure', 'Unassigned']},
+            dentist: {$ifNull: ['$treatment.dentist', '']}
+        }},
+        {$facet: groups('$amount')}
+    ]);
+
+    //charged and collected side by side, one row per month, service or dentist
+    function combine(facet, names){
+        names = names.concat([...charged[facet], ...collected[facet]].map(group => group._id))
+            .filter((name, index, all) => all.indexOf(name) === index);
+
+        return names.map(name => {
+            const chargedGroup = charged[facet].find(group => group._id === name);
+            const collectedGroup = collected[facet].find(group => group._id === name);
+
+            return {
+                name: name,
+                charged: chargedGroup ? chargedGroup.amount : 0,
+                collected: collectedGroup ? collectedGroup.amount : 0,
+                treatments: chargedGroup ? chargedGroup.count : 0
+            };
+        });
+    }
+
+    const months = rangeMonths(start, end);
+    const byMonth = combine('byMonth', months.map(month => month.key)).map(row => ({
+        ...row,
+        label: (months.find(month => month.key === row.name) || {label: row.name}).label
+    }));
+
+    return {
+        byMonth: byMonth,
+        byService: combine('byService', []).sort((a, b) => b.charged - a.charged),
+        byDentist: combine('byDentist', []).map(row => ({...row, name: row.name || 'Unassigned'})).sort((a, b) => b.charged - a.charged),
+        totals: {
+            charged: byMonth.reduce((sum, row) => sum + row.charged, 0),
+            collected: byMonth.reduce((sum, row) => sum + row.collected, 0),
+            treatments: byMonth.reduce((sum, row) => sum + row.treatments, 0)
         }
+    };
+}
+
+// revenue of a range next to the same range one year earlier, month by month
+async function compareRevenueYearOverYear(start, end, filters){
+    const yearEarlier = (date) => {
+        date = new Date(date);
+        date.setUTCFullYear(date.getUTCFullYear() - 1);
+        return date;
+    };
+
+    const current = await getRevenueStats(start, end, filters);
+    const previous = await getRevenueStats(yearEarlier(start), yearEarlier(end), filters);
+
+    //percent change, null when there is nothing to compare with
+    const change = (now, before) => before ? Math.round((now - before) / before * 1000) / 10 : null;
+
+    return {
+        current: current,
+        previous: previous,
+        byMonth: current.byMonth.map((row, index) => {
+            const before = previous.byMonth[index] || {charged: 0, collected: 0, label: ''};
+
+            return {
+                label: row.label,
+                previousLabel: before.label,
+                charged: row.charged,
+                collected: row.collected,
+                previousCharged: before.charged,
+                previousCollected: before.collected,
+                chargedChange: change(row.charged, before.charged),
+                collectedChange: change(row.collected, before.collected)
+            };
+        }),
+        chargedChange: change(current.totals.charged, previous.totals.charged),
+        collectedChange: change(current.totals.collected, previous.totals.collected)
+    };
+}
+
+// total collected, number of treatments and the treatments of one month (1-12)
+async function getMonthlyStats(year, month){
+    try{
+        const start = new Date(Date.UTC(year, month - 1, 1));
+        const end = new Date(Date.UTC(year, month, 1));
 
-        return [totalEarned, numOfAppointments, treatmentsThisMonth];
+        const stats = await getRevenueStats(start, end);
+        const treatmentsThisMonth = await treatmentModel.find({date: {$gte: start, $lt: end}});
+
+        return [stats.totals.collected, stats.totals.treatments, treatmentsThisMonth];
     }catch(error){
         console.error('Error getting monthly stats. ', error);
     }
 }
 
+// treatments per month and per service for the visit charts of the report page
+async function getVisitStats(start, end, filters){
+    const groups = await treatmentModel.aggregate([
+        {$match: {date: {$gte: start, $lt: end}, ...await reportTreatmentMatch(filters)}},
+        {$group: {_id: {month: {$dateToString: {format: '%Y-%m', date: '$date'}}, procedure: '$procedure'}, count: {$sum: 1}}},
+        {$sort: {count: -1}}
+    ]);
+
+    const months = rangeMonths(start, end);
+    let uniqueProcedures = [];
+
+    groups.forEach(group => {
+        const procedure = uniqueProcedures.find(procedure => procedure.name === group._id.procedure);
+
+        if(procedure){
+            procedure.count += group.count;
+        } else {
+            uniqueProcedures.push({name: group._id.procedure, count: group.count});
+        }
+    });
+
+    return {
+        months: months.map(month => ({
+            ...month,
+            count: groups.filter(group => group._id.month === month.key).reduce((sum, group) => sum + group.count, 0),
+            services: groups.filter(group => group._id.month === month.key).map(group => ({name: group._id.procedure, count: group.count}))
+        })),
+        uniqueProcedures: uniqueProcedures.sort((a, b) => b.count - a.count),
+        total: groups.reduce((sum, group) => sum + group.count, 0)
+    };
+}
+
 async function createPatient(firstName, lastName, middleName, nickname, 
     homeAddress, birthdate, age, sex, religion, nationality, email, homeNo, 
     occupation, dentalInsurance, officeNo, faxNo, contact, effectiveDate, 
@@ -168,7 +371,7 @@ async function updatePatientInfo(patientID, nickname,
     guardianName, guardianOccupation, referralName, consultationReason, lastDentist, lastDentalVisit){
 
         
-        patientModel.findOne({id: patientID}).then(function(patient){
+        return patientModel.findOne({id: patientID}).then(function(patient){
 
             // patient.firstName = firstName;
             // patient.lastName = lastName;
@@ -196,7 +399,7 @@ async function updatePatientInfo(patientID, nickname,
             patient.lastDentalVisit = lastDentalVisit;
             //patient.pic = pic
 
-            patient.save().then(function(){
+            return patient.save().then(function(){
                 console.log("patient updated");
             });
         });
@@ -213,11 +416,13 @@ async function deactivatePatient(patientID){
     })
 }
 
+// saves the history as the patient's next version
 async function createMedicalHistory(patientID, physicianName, physicianOfficeAddress, physicianSpecialty
                                     , physicianOfficeNumber, prescription, illnessOrSurgery, condition
                                     , isUsingTobacco, isAlcoholOrDrugs, allergies, isPregnant, isNursing
-                                    , isBirthControlPills, healthProblems){
+                                    , isBirthControlPills, healthProblems, medications, reviewedBy, reviewedAt, patientAttested){
          
+        const latest = await readMedicalHistory(patientID);
         let medicalHistory;
         if(isPregnant === "None" || isNursing === "None" || isBirthControlPills === "None"){
              medicalHistory = new medicalHistoryModel(
@@ -256,63 +461,277 @@ async function createMedicalHistory(patientID, physicianName, physicianOfficeAdd
                 });            
         }
 
+        medicalHistory.medications = medications;
+        medicalHistory.version = latest && latest.version ? latest.version + 1 : 1;
+        medicalHistory.reviewedBy = reviewedBy;
+        medicalHistory.reviewedAt = reviewedAt;
+        medicalHistory.lastReviewedAt = reviewedAt || lastMedicalHistoryReview(latest);
+        medicalHistory.patientAttested = patientAttested;
 
         await medicalHistory.save();
-        console.log('medical history created');
+        console.log('medical history version ' + medicalHistory.version + ' created');
+        return medicalHistory;
     }
 
+// earlier versions are kept so what the patient declared at each visit can be looked up later
 async function updateMedicalHistory(patientID, physicianName, physicianOfficeAddress, physicianSpecialty
                                     , physicianOfficeNumber, prescription, illnessOrSurgery, condition
                                     , isUsingTobacco, isAlcoholOrDrugs, allergies, isPregnant, isNursing
-                                    , isBirthControlPills, healthProblems){
-    const medicalHistory = await medicalHistoryModel.findOne({patientID: patientID});
-
-
-    if(medicalHistory){
-        console.log("updating med history found.");
-        medicalHistory.physicianName = physicianName;
-        medicalHistory.physicianOfficeAddress = physicianOfficeAddress;
-        medicalHistory.physicianSpecialty = physicianSpecialty;
-        medicalHistory.physicianOfficeNumber = physicianOfficeNumber;
-        medicalHistory.prescription = prescription;
-        medicalHistory.illnessOrSurgery = illnessOrSurgery;
-        medicalHistory.condition = condition;
-        medicalHistory.isUsingTobacco = isUsingTobacco;
-        medicalHistory.isAlcoholOrDrugs = isAlcoholOrDrugs;
-        medicalHistory.allergies = allergies;
-
-        if(isPregnant !== "None"){
-            medicalHistory.isPregnant = isPregnant;
-        }
-            
-        if(isNursing !== "None"){
-            medicalHistory.isNursing = isNursing;
+                                    , isBirthControlPills, healthProblems, medications, reviewedBy, reviewedAt, patientAttested){
+    const latest = await readMedicalHistory(patientID);
+
+    //questions left unanswered keep the previous version's answers
+    if(latest){
+        if(isPregnant === "None"){
+            isPregnant = latest.isPregnant;
         }
-            
-        if(isBirthControlPills !== "None"){
-            medicalHistory.isBirthControlPills = isBirthControlPills;
+
+        if(isNursing === "None"){
+            isNursing = latest.isNursing;
         }
-            
-        medicalHistory.healthProblems = healthProblems;
 
-        await medicalHistory.save();
-    } else {
-        console.log("updating mes history not found.");
-        await createMedicalHistory(patientID, physicianName, physicianOfficeAddress, physicianSpecialty
-            , physicianOfficeNumber, prescription, illnessOrSurgery, condition
-            , isUsingTobacco, isAlcoholOrDrugs, allergies, isPregnant, isNursing
-            , isBirthControlPills, healthProblems);
+        if(isBirthControlPills === "None"){
+            isBirthControlPills = latest.isBirthControlPills;
+        }
     }
+
+    return createMedicalHistory(patientID, physicianName, physicianOfficeAddress, physicianSpecialty
+        , physicianOfficeNumber, prescription, illnessOrSurgery, condition
+        , isUsingTobacco, isAlcoholOrDrugs, allergies, isPregnant, isNursing
+        , isBirthControlPills, healthProblems, medications, reviewedBy, reviewedAt, patientAttested);
 }
 
+// the patient's current version
 async function readMedicalHistory(patientID){
-    const medicalHistory = await medicalHistoryModel.findOne({patientID: patientID});
+    const medicalHistory = await medicalHistoryModel.findOne({patientID: patientID}).sort({version: -1});
 
     return medicalHistory;
 }
 
+// every version of the patient's history, newest first
+async function readMedicalHistoryVersions(patientID){
+    return medicalHistoryModel.find({patientID: patientID}).sort({version: -1}).lean();
+}
+
+// current versions of several patients at once, keyed by patient id
+async function latestMedicalHistories(patientIDs){
+    const histories = await medicalHistoryModel.find({patientID: {$in: patientIDs}}).sort({version: 1}).lean();
+    let latest = {};
+
+    histories.forEach(medicalHistory => {
+        latest[medicalHistory.patientID] = medicalHistory;
+    });
+
+    return latest;
+}
+
+// months after which a history has to be reviewed with the patient again, MEDICAL_HISTORY_REVIEW_MONTHS in .env
+function getMedicalHistoryReviewMonths(){
+    return parseInt(process.env.MEDICAL_HISTORY_REVIEW_MONTHS) || 12;
+}
+
+// date the history was last gone through with the patient, in this or an earlier version
+function lastMedicalHistoryReview(medicalHistory){
+    if(!medicalHistory){
+        return null;
+    }
+
+    return medicalHistory.lastReviewedAt || medicalHistory.reviewedAt || null;
+}
+
+// a history is due for review when it was never reviewed or the last review is older than the review interval
+function isMedicalHistoryReviewDue(medicalHistory, now = new Date()){
+    const lastReview = lastMedicalHistoryReview(medicalHistory);
+
+    if(!lastReview){
+        return true;
+    }
+
+    const dueDate = new Date(lastReview);
+    dueDate.setMonth(dueDate.getMonth() + getMedicalHistoryReviewMonths());
+
+    return dueDate <= now;
+}
+
+// labels of the fields compared between versions, in the order of the medical history form
+const medicalHistoryFieldLabels = {
+    physicianName: 'Physician',
+    physicianSpecialty: 'Specialty',
+    physicianOfficeAddress: 'Office address',
+    physicianOfficeNumber: 'Office number',
+    condition: 'Under medical treatment',
+    illnessOrSurgery: 'Serious illness or surgery',
+    prescription: 'Medication notes',
+    medications: 'Medications',
+    isUsingTobacco: 'Uses tobacco',
+    isAlcoholOrDrugs: 'Uses alcohol or drugs',
+    allergies: 'Allergies',
+    isPregnant: 'Pregnant',
+    isNursing: 'Nursing',
+    isBirthControlPills: 'Taking birth control pills',
+    healthProblems: 'Conditions'
+};
+
+// e.g. Latex (hives, severe)
+function formatAllergy(allergy){
+    const details = [allergy.reaction, allergy.severity].filter(detail => detail && detail !== 'unknown');
+
+    return details.length ? `${allergy.substance} (${details.join(', ')})` : allergy.substance;
+}
+
+// e.g. Warfarin 5 mg once daily, 2024-01-05 to 2024-03-01
+function formatMedication(medication){
+    let text = [medication.drug, medication.dose, medication.frequency].filter(detail => detail).join(' ');
+
+    if(medication.startDate || medication.stopDate){
+        text += `, ${medication.startDate ? convertToDate(new Date(medication.startDate)) : '?'} to ${medication.stopDate ? convertToDate(new Date(medication.stopDate)) : 'now'}`;
+    }
+
+    return text;
+}
+
+// e.g. Amoxicillin 500 mg 3 times a day for 5 days
+function formatPrescription(prescription){
+    const text = [prescription.drug, prescription.dose, prescription.frequency].filter(detail => detail).join(' ');
+
+    return prescription.days ? `${text} for ${prescription.days} day${prescription.days === 1 ? '' : 's'}` : text;
+}
+
+function formatMedicalHistoryValue(value){
+    if(value === undefined || value === null || (Array.isArray(value) && value.length === 0)){
+        return '';
+    }
+
+    if(Array.isArray(value) && typeof value[0] === 'object'){
+        return value.map(entry => entry.drug ? formatMedication(entry) : formatAllergy(entry)).join('; ');
+    }
+
+    if(typeof value === 'boolean'){
+        return value ? 'Yes' : 'No';
+    }
+
+    return Array.isArray(value) ? value.join(', ') : String(value);
+}
+
+// the compared fields of a version, without its version and review details
+function medicalHistoryFields(medicalHistory){
+    let fields = {};
+
+    Object.keys(medicalHistoryFieldLabels).forEach(field => {
+        fields[field] = medicalHistory[field];
+    });
+
+    return fields;
+}
+
+// field by field comparison of two versions. before is null when after is looked at on its own
+function compareMedicalHistories(before, after){
+    const changes = diffFields(before ? medicalHistoryFields(before) : null, medicalHistoryFields(after));
+    const changedFields = before ? changes.map(change => change.field) : [];
+
+    const rows = Object.keys(medicalHistoryFieldLabels).map(field => ({
+        label: medicalHistoryFieldLabels[field],
+        before: before ? formatMedicalHistoryValue(before[field]) : '',
+        after: formatMedicalHistoryValue(after[field]),
+        isChanged: changedFields.includes(field)
+    }));
+
+    return {
+        rows: rows,
+        changedCount: changedFields.length
+    };
+}
+
+// one time conversion of allergies saved as plain names to allergy entries
+async function migrateStructuredAllergies(){
+    try{
+        const histories = await medicalHistoryModel.collection.find({allergies: {$type: 'string'}}).toArray();
+
+        for(const medicalHistory of histories){
+            const allergies = medicalHistory.allergies.map(allergy => typeof allergy === 'string' ? {substance: allergy, severity: 'unknown'} : allergy);
+            await medicalHistoryModel.collection.updateOne({_id: medicalHistory._id}, {$set: {allergies: allergies}});
+        }
+    } catch(error){
+        console.error("Error converting allergies to allergy entries.", error);
+    }
+}
+
+// one time numbering of histories saved before they were versioned
+async function migrateMedicalHistoryVersions(){
+    try{
+        await medicalHistoryModel.collection.updateMany({version: {$exists: false}}, {$set: {version: 1}});
+    } catch(error){
+        console.error("Error numbering medical history versions.", error);
+    }
+}
+
+// alert flags raised by a medical history, most serious first. Allergies that have no flag of their own
+// are flagged as they were written
+function medicalAlerts(medicalHistory){
+    if(!medicalHistory){
+        return [];
+    }
+
+    const allergies = (medicalHistory.allergies || [])
+        .map(allergy => allergy.substance)
+        .filter(substance => substance && substance !== 'None');
+    const isRecorded = allergen => allergies.some(allergy => allergy.toLowerCase() === allergen.toLowerCase());
+    const healthProblems = medicalHistory.healthProblems || [];
+
+    const alerts = medicalHistoryModel.medicalAlertFlags
+        .filter(flag => (flag.allergies || []).some(isRecorded)
+            || (flag.healthProblems || []).some(problem => healthProblems.includes(problem))
+            || (flag.field && medicalHistory[flag.field] === true))
+        .map(flag => ({key: flag.key, label: flag.label, severity: flag.severity}));
+
+    const flaggedAllergies = medicalHistoryModel.medicalAlertFlags.flatMap(flag => flag.allergies || []).map(allergen => allergen.toLowerCase());
+    allergies.filter(allergy => !flaggedAllergies.includes(allergy.toLowerCase())).forEach(allergy => {
+        alerts.push({key: 'other-allergy', label: `Allergy: ${allergy}`, severity: 'high'});
+    });
+
+    return alerts.sort((a, b) => (a.severity === 'high' ? 0 : 1) - (b.severity === 'high' ? 0 : 1));
+}
+
+// alert flags of several patients at once, keyed by patient id
+async function medicalAlertsByPatient(patientIDs){
+    const histories = await latestMedicalHistories(patientIDs);
+    let alerts = {};
+
+    Object.values(histories).forEach(medicalHistory => {
+        alerts[medicalHistory.patientID] = medicalAlerts(medicalHistory);
+    });
+
+    return alerts;
+}
+
+// the patient's alert flags that the service is marked contraindicated for
+async function contraindicatedAlerts(patientID, serviceName){
+    const service = await serviceModel.findOne({service: serviceName}).lean();
+
+    if(!service || !service.contraindications || service.contraindications.length === 0){
+        return [];
+    }
+
+    const alerts = medicalAlerts(await medicalHistoryModel.findOne({patientID: patientID}).sort({version: -1}).lean());
+    return alerts.filter(alert => service.contraindications.includes(alert.key));
+}
+
+// warnings for drugs about to be given to the patient, against the allergies and current medications
+// of their medical history, see scripts/drugs.js
+async function drugWarningsFor(patientID, drugNames){
+    const medicalHistory = await medicalHistoryModel.findOne({patientID: patientID}).sort({version: -1}).lean();
+
+    if(!medicalHistory){
+        return [];
+    }
+
+    const medications = (medicalHistory.medications || []).filter(medication => Drugs.isCurrentMedication(medication));
+
+    return [...new Set(drugNames)].flatMap(drugName => Drugs.drugWarnings(drugName, medicalHistory.allergies, medications));
+}
+
 async function createTreatment(patientID, date, teethAffected, procedure, dentist, amountCharged
-                                , amountPaid, balance, status
+                                , amountPaid, balance, status, prescriptions
 ){
     const lastTreatment = await treatmentModel.findOne().sort({id: -1});
     var treatmentID = 1;
@@ -325,13 +744,15 @@ async function createTreatment(patientID, date, teethAffected, procedure, dentis
         id: treatmentID,
         date: date,
         teethAffected: teethAffected,
+        teethNumbering: 'fdi',
         procedure: procedure,
         dentist: dentist,
         amountCharged: amountCharged,
         amountPaid: amountPaid,
         balance: balance,
         status: status,
-        patientID: patientID
+        patientID: patientID,
+        prescriptions: prescriptions
     })
 
     await treatment.save();
@@ -450,11 +871,1718 @@ async function updateMultipleServices(updates) {
     }
 }
 
-async function isAuthenticated(req, res, next) {
-    if (req.session.isAuthenticated) {
-        return next(); // User is authenticated
+// account types allowed to do each protected action. Admin accounts are allowed everything.
+const permissions = {
+    schedule: ['Dentist', 'Assistant', 'Front Desk'],
+    viewPatients: ['Dentist', 'Assistant', 'Front Desk'],
+    editPatients: ['Dentist', 'Assistant', 'Front Desk'],
+    editMedicalHistory: ['Dentist', 'Assistant'],
+    editDentalRecords: ['Dentist', 'Assistant'],
+    editServices: ['Dentist'],
+    signRecords: ['Dentist'],
+    billing: ['Dentist', 'Front Desk'],
+    viewReports: ['Dentist'],
+    manageAccounts: [],
+    viewAuditLog: []
+};
+
+function can(accountType, permission){
+    if(accountType === 'Admin'){
+        return true;
+    }
+
+    return !!permissions[permission] && permissions[permission].includes(accountType);
+}
+
+// flags for the views, e.g. {{#if can.editServices}}
+function permissionsFor(accountType){
+    let flags = {};
+
+    Object.keys(permissions).forEach(permission => {
+        flags[permission] = can(accountType, permission);
+    });
+
+    return flags;
+}
+
+// what is kept in req.session.account, never the password hash
+function sessionAccount(account){
+    return {
+        accountID: account.accountID,
+        accountType: account.accountType,
+        accountOwnerName: account.accountOwnerName,
+        accountUserName: account.accountUserName
+    };
+}
+
+// middleware: requires a logged in account, and if a permission is given, an account type allowed to do it
+function authorize(permission){
+    return async function(req, res, next){
+        if(!req.session.isAuthenticated || !req.session.account){
+            return res.redirect('/login');
+        }
+
+        try{
+            const account = await accountModel.findOne({accountID: req.session.account.accountID});
+
+            if(!account || !account.isActive){
+                return req.session.destroy(() => res.redirect('/login'));
+            }
+
+            //reload the account so changes to its type apply without logging out
+            req.account = account;
+            req.session.account = sessionAccount(account);
+            res.locals.account = req.session.account;
+            res.locals.can = permissionsFor(account.accountType);
+            res.locals.toothNumbering = Teeth.numberingFor(account);
+
+            if(account.mustChangePassword && req.path !== '/change-password'){
+                if(req.method === 'GET'){
+                    return res.redirect('/change-password');
+                }
+                return res.status(403).json({message: 'Please change your password first.'});
+            }
+
+            if(permission && !can(account.accountType, permission)){
+                if(req.method === 'GET'){
+                    return res.status(403).send('Your account does not have access to this page.');
+                }
+                return res.status(403).json({message: 'Your account is not allowed to do this.'});
+            }
+
+            return next();
+        } catch(error){
+            console.error('Error checking account access.', error);
+            return res.status(500).send('Server error');
+        }
+    };
+}
+
+// returns what is wrong with the password, or null if it is strong enough
+function checkPasswordStrength(password){
+    if(!password || password.length < 8){
+        return 'Password must be at least 8 characters long.';
+    }
+
+    if(!/[a-z]/.test(password) || !/[A-Z]/.test(password)){
+        return 'Password must have both uppercase and lowercase letters.';
+    }
+
+    if(!/[0-9]/.test(password)){
+        return 'Password must have at least one number.';
+    }
+
+    return null;
+}
+
+// temporary passwords always pass checkPasswordStrength
+function generateTemporaryPassword(){
+    return 'Db' + crypto.randomInt(1000, 10000) + crypto.randomBytes(3).toString('hex');
+}
+
+async function createAccount(accountType, accountOwnerName, accountUserName, password){
+    const lastAccount = await accountModel.findOne().sort({accountID: -1});
+    var accountID = 1;
+
+    if(lastAccount && lastAccount.accountID){
+        accountID = lastAccount.accountID + 1;
+    }
+
+    const account = new accountModel({
+        accountID: accountID,
+        accountType: accountType,
+        accountOwnerName: accountOwnerName,
+        accountUserName: accountUserName,
+        accountPass: await bcrypt.hash(password, saltRounds),
+        mustChangePassword: true
+    });
+
+    await account.save();
+    return account;
+}
+
+async function setAccountPassword(accountID, password, mustChangePassword){
+    const account = await accountModel.findOne({accountID: accountID});
+
+    account.accountPass = await bcrypt.hash(password, saltRounds);
+    account.mustChangePassword = mustChangePassword;
+
+    await account.save();
+    return account;
+}
+
+// makes dates, ids and subdocuments comparable and storable in the audit log
+function normalizeAuditValue(value){
+    if(value === undefined || value === null){
+        return null;
+    }
+
+    if(value instanceof Date){
+        return value.toISOString();
+    }
+
+    if(Array.isArray(value)){
+        return value.map(normalizeAuditValue);
+    }
+
+    if(typeof value === 'object'){
+        if(value._bsontype){
+            return value.toString();
+        }
+        return JSON.parse(JSON.stringify(value));
+    }
+
+    return value;
+}
+
+// field-level differences between two plain objects, e.g. doc.toObject() before and after saving
+function diffFields(before, after){
+    const ignoredFields = ['_id', '__v'];
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    let changes = [];
+
+    fields.forEach(field => {
+        if(ignoredFields.includes(field)){
+            return;
+        }
+
+        const oldValue = normalizeAuditValue(before ? before[field] : null);
+        const newValue = normalizeAuditValue(after ? after[field] : null);
+
+        if(JSON.stringify(oldValue) !== JSON.stringify(newValue)){
+            changes.push({field: field, before: oldValue, after: newValue});
+        }
+    });
+
+    return changes;
+}
+
+// before is null for created records, after is null for deleted ones. Throws if the entry cannot be saved
+async function recordAudit(req, collectionName, documentID, patientID, before, after){
+    try{
+        const changes = diffFields(before, after);
+
+        if(changes.length === 0){
+            return;
+        }
+
+        let action = 'update';
+        if(!before){
+            action = 'create';
+        } else if(!after){
+            action = 'delete';
+        }
+
+        const entry = new auditLogModel({
+            actorID: req.account ? req.account.accountID : null,
+            actorName: req.account ? req.account.accountOwnerName : 'Unknown',
+            route: req.path,
+            collectionName: collectionName,
+            documentID: String(documentID),
+            patientID: patientID,
+            action: action,
+            changes: changes
+        });
+
+        await entry.save();
+    } catch(error){
+        //the change must not pass as done without its audit entry, so the route answers with its error
+        console.error('Error recording audit log.', error);
+        throw error;
+    }
+}
+
+// text typed into a search, matched literally inside a $regex
+function escapeRegex(text){
+    return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function formatAuditValue(value){
+    if(value === null || value === undefined || value === ''){
+        return '(empty)';
+    }
+
+    if(Array.isArray(value)){
+        return value.join(', ');
+    }
+
+    if(typeof value === 'object'){
+        return JSON.stringify(value);
+    }
+
+    return String(value);
+}
+
+// adds display strings to audit log entries read with .lean()
+function formatAuditEntries(entries){
+    entries.forEach(entry => {
+        entry.timestampString = entry.timestamp.toLocaleString();
+        entry.changes.forEach(change => {
+            change.beforeString = formatAuditValue(change.before);
+            change.afterString = formatAuditValue(change.after);
+        });
+    });
+
+    return entries;
+}
+
+// chairs/rooms that can be booked, set with CLINIC_CHAIRS in .env as a comma separated list
+function getChairs(){
+    return (process.env.CLINIC_CHAIRS || 'Chair 1,Chair 2')
+        .split(',')
+        .map(chair => chair.trim())
+        .filter(chair => chair);
+}
+
+// clinic details printed on receipts and reports, set with CLINIC_NAME, CLINIC_ADDRESS, CLINIC_CONTACT and CLINIC_TIN in .env
+function getClinicDetails(){
+    return {
+        name: process.env.CLINIC_NAME || 'Better Smiles Dental Clinic',
+        address: process.env.CLINIC_ADDRESS || '',
+        contact: process.env.CLINIC_CONTACT || '',
+        tin: process.env.CLINIC_TIN || ''
+    };
+}
+
+// opening and closing hour shown on the calendar, set with CLINIC_HOURS in .env (e.g. 08:00-18:00)
+function getClinicHours(){
+    const [open, close] = (process.env.CLINIC_HOURS || '08:00-18:00').split('-').map(time => parseInt(time));
+
+    return {open: open, close: close};
+}
+
+async function getDentists(){
+    return accountModel.find({accountType: 'Dentist', isActive: true}).sort({accountOwnerName: 1});
+}
+
+// YYYY-MM-DD in local time, for date inputs
+function formatDateInput(date){
+    date = new Date(date);
+    return `${date.getFullYear()}-${(date.getMonth() + 1).toString().padStart(2, '0')}-${date.getDate().toString().padStart(2, '0')}`;
+}
+
+function formatTime(date){
+    if(!date){
+        return "N/A";
+    }
+
+    date = new Date(date);
+    return `${date.getHours().toString().padStart(2, '0')}:${date.getMinutes().toString().padStart(2, '0')}`;
+}
+
+// expected length of a service in minutes, 30 for unknown services
+async function serviceDuration(serviceName){
+    const service = await serviceModel.findOne({service: serviceName});
+
+    return service && service.duration ? service.duration : 30;
+}
+
+// date (YYYY-MM-DD) and times (HH:MM) from the booking forms.
+// Without an end time the booking lasts the service's expected duration.
+// Throws a ValidationError, which the booking routes answer with 400, for times that cannot be booked
+async function toAppointmentTimes(date, startTime, endTime, serviceName){
+    const start = new Date(`${date}T${startTime}`);
+    let end;
+
+    if(endTime){
+        end = new Date(`${date}T${endTime}`);
+    } else {
+        end = new Date(start.getTime() + await serviceDuration(serviceName) * 60 * 1000);
+    }
+
+    let message = null;
+    if(!date || !startTime || isNaN(start)){
+        message = 'A valid date and start time are required.';
+    } else if(isNaN(end)){
+        message = 'The end time is not valid.';
+    } else if(end <= start){
+        message = 'Appointment must end after it starts.';
+    }
+
+    if(message){
+        const error = new Error(message);
+        error.name = 'ValidationError';
+        throw error;
+    }
+
+    return {start: start, end: end};
+}
+
+// active appointments overlapping start-end with the same dentist or the same chair
+async function findAppointmentConflicts(start, end, dentist, chair, excludeID){
+    let sameResource = [];
+
+    if(dentist){
+        sameResource.push({dentist: dentist});
+    }
+    if(chair){
+        sameResource.push({chair: chair});
+    }
+    if(sameResource.length === 0){
+        return [];
+    }
+
+    let filter = {
+        start: {$lt: end},
+        end: {$gt: start},
+        status: {$nin: ['cancelled', 'no-show']},
+        $or: sameResource
+    };
+
+    if(excludeID){
+        filter.id = {$ne: excludeID};
+    }
+
+    return appointmentModel.find(filter).sort({start: 1});
+}
+
+// earliest start at or after the requested one where a booking of the same length has no conflicts
+async function findNextFreeSlot(start, end, dentist, chair, excludeID){
+    const length = end.getTime() - start.getTime();
+    let candidate = new Date(start);
+
+    for(let tries = 0; tries < 50; tries++){
+        const conflicts = await findAppointmentConflicts(candidate, new Date(candidate.getTime() + length), dentist, chair, excludeID);
+
+        if(conflicts.length === 0){
+            return {start: candidate, end: new Date(candidate.getTime() + length)};
+        }
+
+        candidate = new Date(Math.max(...conflicts.map(conflict => conflict.end.getTime())));
+    }
+
+    return null;
+}
+
+// books a registered patient (patientID) or a walk-in (nonPatientID).
+// Patients also get an ongoing treatment record for the booked service, unless an existing treatmentID is given.
+async function createAppointment(patientID, nonPatientID, dentist, chair, start, end, service, treatmentID){
+    const lastAppointment = await appointmentModel.findOne().sort({id: -1});
+    var appointmentID = 1;
+
+    if(lastAppointment && lastAppointment.id){
+        appointmentID = lastAppointment.id + 1;
+    }
+
+    const appointment = new appointmentModel({
+        id: appointmentID,
+        patientID: patientID,
+        nonPatient: nonPatientID,
+        dentist: dentist,
+        chair: chair,
+        start: start,
+        end: end,
+        service: service
+    });
+
+    //validate before creating the treatment so a bad booking leaves nothing behind
+    await appointment.validate();
+
+    if(patientID && treatmentID){
+        appointment.treatmentID = treatmentID;
+    } else if(patientID){
+        const treatment = await createBookedTreatment(patientID, start, service, dentist);
+        appointment.treatmentID = treatment.id;
+    }
+
+    await appointment.save();
+    return appointment;
+}
+
+// statuses an appointment can move to from each status, with the label of the action on the to-do list
+const appointmentTransitions = {
+    'booked': ['arrived', 'no-show', 'cancelled'],
+    'arrived': ['in-chair', 'cancelled'],
+    'in-chair': ['done'],
+    'done': [],
+    'no-show': [],
+    'cancelled': []
+};
+
+const statusActionLabels = {
+    'arrived': 'Check in',
+    'in-chair': 'Seat',
+    'done': 'Complete',
+    'no-show': 'No-show',
+    'cancelled': 'Cancel'
+};
+
+function canChangeStatus(from, to){
+    return !!appointmentTransitions[from] && appointmentTransitions[from].includes(to);
+}
+
+function statusActions(status){
+    return (appointmentTransitions[status] || []).map(next => ({status: next, label: statusActionLabels[next]}));
+}
+
+// moves an appointment to its next status (check canChangeStatus first) and updates its treatment record:
+// completing the last open visit of a treatment completes it, and cancelling or missing a visit removes
+// the placeholder treatment made when it was booked if nothing else uses it or was recorded on it.
+// Returns the treatment's before/after for the audit log (after is null when removed), or null if untouched.
+async function changeAppointmentStatus(appointment, status, reason, changedBy){
+    appointment.status = status;
+    appointment.statusHistory.push({status: status, changedBy: changedBy});
+    if(status === 'cancelled'){
+        appointment.cancelReason = reason;
+    }
+    await appointment.save();
+
+    if(!appointment.treatmentID || !['done', 'no-show', 'cancelled'].includes(status)){
+        return null;
+    }
+
+    const treatment = await treatmentModel.findOne({id: appointment.treatmentID});
+    const otherVisits = await appointmentModel.countDocuments({
+        treatmentID: appointment.treatmentID,
+        id: {$ne: appointment.id},
+        status: {$in: status === 'done' ? ['booked', 'arrived', 'in-chair'] : ['booked', 'arrived', 'in-chair', 'done']}
+    });
+
+    //a signed treatment is left as the dentist signed it
+    if(!treatment || treatment.signedAt || treatment.status !== 'ongoing' || otherVisits > 0){
+        return null;
+    }
+
+    const before = treatment.toObject();
+
+    if(status === 'done'){
+        treatment.status = 'completed';
+        await treatment.save();
+        return {before: before, after: treatment.toObject()};
+    }
+
+    //a clinical note written for the visit keeps its treatment record
+    const untouched = !treatment.amountCharged && !treatment.amountPaid && treatment.teethAffected.length === 0
+        && !await clinicalNoteModel.exists({treatmentID: treatment.id});
+    if(!untouched){
+        return null;
+    }
+
+    await treatmentModel.deleteOne({_id: treatment._id});
+    await patientModel.updateOne({id: treatment.patientID}, {$pull: {treatments: treatment._id}});
+    appointment.treatmentID = undefined;
+    await appointment.save();
+
+    return {before: before, after: null};
+}
+
+// keeps the treatment record a booked visit made in step with the visit after it was moved or edited.
+// Only an unsigned ongoing treatment with no other active visits belongs to the visit alone.
+// Returns the treatment's before/after for the audit log, or null if nothing changed
+async function syncBookedTreatment(appointment){
+    if(!appointment.treatmentID){
+        return null;
+    }
+
+    const treatment = await treatmentModel.findOne({id: appointment.treatmentID, status: 'ongoing', signedAt: {$exists: false}});
+    const otherVisits = await appointmentModel.countDocuments({
+        treatmentID: appointment.treatmentID,
+        id: {$ne: appointment.id},
+        status: {$in: ['booked', 'arrived', 'in-chair', 'done']}
+    });
+
+    if(!treatment || otherVisits > 0){
+        return null;
+    }
+
+    const before = treatment.toObject();
+
+    treatment.date = appointment.start;
+    treatment.dentist = appointment.dentist;
+    treatment.procedure = appointment.service;
+
+    if(!treatment.isModified()){
+        return null;
+    }
+
+    await treatment.save();
+    return {before: before, after: treatment.toObject()};
+}
+
+// ongoing treatment record for a booked visit, added to the patient's treatments
+async function createBookedTreatment(patientID, date, service, dentist){
+    const patient = await patientModel.findOne({id: patientID});
+    const lastTreatment = await treatmentModel.findOne().sort({id: -1});
+
+    const treatment = new treatmentModel({
+        id: lastTreatment && lastTreatment.id ? lastTreatment.id + 1 : 1,
+        date: date,
+        teethNumbering: 'fdi',
+        procedure: service,
+        dentist: dentist,
+        patientID: patientID,
+        status: 'ongoing'
+    });
+
+    await treatment.save();
+    patient.treatments.push(treatment._id);
+    await patient.save();
+
+    return treatment;
+}
+
+// name and contact details of a walk-in appointment, to pre-fill the patient form
+async function walkInDetails(appointmentID){
+    const appointment = await appointmentModel.findOne({id: appointmentID, patientID: null}).populate('nonPatient');
+
+    if(!appointment || !appointment.nonPatient){
+        return null;
+    }
+
+    const [row] = await describeAppointments([appointment]);
+
+    return {
+        appointmentID: appointment.id,
+        firstName: row.firstName,
+        lastName: row.lastName === "N/A" ? "" : row.lastName,
+        email: appointment.nonPatient.email,
+        contact: appointment.nonPatient.contact,
+        service: appointment.service
+    };
+}
+
+// moves every appointment of a walk-in over to the patient created from it, giving each a treatment record,
+// and removes the walk-in. Returns the before/after of each appointment and the new treatments for the audit log.
+async function convertWalkIn(appointmentID, patientID){
+    const appointment = await appointmentModel.findOne({id: appointmentID, patientID: null});
+
+    if(!appointment || !appointment.nonPatient){
+        return [];
+    }
+
+    const nonPatientID = appointment.nonPatient;
+    const appointments = await appointmentModel.find({nonPatient: nonPatientID});
+    let changes = [];
+
+    for(const walkIn of appointments){
+        const before = walkIn.toObject();
+        const treatment = await createBookedTreatment(patientID, walkIn.start, walkIn.service, walkIn.dentist);
+
+        walkIn.patientID = patientID;
+        walkIn.nonPatient = undefined;
+        walkIn.treatmentID = treatment.id;
+        await walkIn.save();
+
+        changes.push({before: before, after: walkIn.toObject(), treatment: treatment.toObject()});
+    }
+
+    await nonPatientModel.deleteOne({_id: nonPatientID});
+
+    return changes;
+}
+
+// display rows for a list of appointments, with the patient or walk-in details filled in
+async function describeAppointments(appointments){
+    const patientIDs = appointments.filter(appointment => appointment.patientID).map(appointment => appointment.patientID);
+    const patients = await patientModel.find({id: {$in: patientIDs}});
+
+    await appointmentModel.populate(appointments, {path: 'nonPatient'});
+
+    return appointments.map(appointment => {
+        const patient = patients.find(patient => patient.id === appointment.patientID);
+        let row = {
+            id: appointment.id,
+            patientID: appointment.patientID || null,
+            start: appointment.start,
+            end: appointment.end,
+            formattedTime: formatTime(appointment.start),
+            formattedEndTime: formatTime(appointment.end),
+            latestProcedure: appointment.service,
+            service: appointment.service,
+            dentist: appointment.dentist || "N/A",
+            chair: appointment.chair || "N/A",
+            status: appointment.status,
+            seriesID: appointment.seriesID || null,
+            cancelReason: appointment.cancelReason || "",
+            actions: statusActions(appointment.status)
+        };
+
+        const currentReminders = (appointment.reminders || []).filter(reminder => !reminder.superseded);
+        const lastReminder = currentReminders[currentReminders.length - 1];
+        row.reminderStatus = lastReminder ? `${lastReminder.kind} ${lastReminder.status}` : "";
+
+        if(patient){
+            row.firstName = patient.firstName;
+            row.lastName = patient.lastName;
+            row.contact = patient.contact || "N/A";
+            row.email = patient.email || "N/A";
+        } else if(appointment.nonPatient){
+            row.firstName = appointment.nonPatient.name.split(' ')[0] || "N/A";
+            row.lastName = appointment.nonPatient.name.split(' ').slice(1).join(' ') || "N/A";
+            row.contact = appointment.nonPatient.contact || "N/A";
+            row.email = appointment.nonPatient.email || "N/A";
+        } else {
+            row.firstName = "Unknown";
+            row.lastName = "";
+            row.contact = "N/A";
+            row.email = "N/A";
+        }
+
+        return row;
+    });
+}
+
+// first day (inclusive) and last day (exclusive) of the calendar around date.
+// Weeks run Monday to Sunday, and the month view covers whole weeks.
+function calendarRange(view, date){
+    const start = new Date(date);
+    start.setHours(0, 0, 0, 0);
+
+    if(view === 'month'){
+        start.setDate(1);
+    }
+
+    const lastDay = view === 'month' ? new Date(start.getFullYear(), start.getMonth() + 1, 1) : null;
+    start.setDate(start.getDate() - (start.getDay() + 6) % 7);
+
+    const end = new Date(start);
+    do {
+        end.setDate(end.getDate() + 7);
+    } while(lastDay && end < lastDay);
+
+    return {start: start, end: end};
+}
+
+// start and end of each visit of a series: the first one, then every intervalWeeks until the date or the number of occurrences
+function seriesOccurrences(start, end, intervalWeeks, until, occurrences){
+    const length = end.getTime() - start.getTime();
+    const limit = Math.min(occurrences || 52, 52);
+    let visits = [];
+    let visitStart = new Date(start);
+
+    while(visits.length < limit && (!until || visitStart <= until)){
+        visits.push({start: new Date(visitStart), end: new Date(visitStart.getTime() + length)});
+        visitStart.setDate(visitStart.getDate() + intervalWeeks * 7);
+    }
+
+    return visits;
+}
+
+// books every visit of a recurring series for an active orthodontics record.
+// The visits share the case's ongoing treatment record, created with the first visit if there is none.
+async function createAppointmentSeries(ortho, service, dentist, chair, visits, intervalWeeks, until, occurrences){
+    const lastSeries = await appointmentSeriesModel.findOne().sort({id: -1});
+
+    const series = new appointmentSeriesModel({
+        id: lastSeries && lastSeries.id ? lastSeries.id + 1 : 1,
+        patientID: ortho.patientID,
+        orthoID: ortho._id,
+        service: service,
+        dentist: dentist,
+        chair: chair,
+        intervalWeeks: intervalWeeks,
+        until: until,
+        occurrences: occurrences
+    });
+
+    await series.validate();
+
+    const treatment = await treatmentModel.findOne({patientID: ortho.patientID, procedure: ortho.service, status: 'ongoing'}).sort({date: -1});
+    let treatmentID = treatment ? treatment.id : undefined;
+    let appointments = [];
+
+    for(const visit of visits){
+        const appointment = await createAppointment(ortho.patientID, null, dentist, chair, visit.start, visit.end, service, treatmentID);
+
+        treatmentID = appointment.treatmentID;
+        appointment.seriesID = series.id;
+        await appointment.save();
+        appointments.push(appointment);
+    }
+
+    await series.save();
+    return {series: series, appointments: appointments};
+}
+
+// booked visits of a series from a date on
+async function upcomingSeriesVisits(seriesID, from){
+    return appointmentModel.find({seriesID: seriesID, start: {$gte: from}, status: 'booked'}).sort({start: 1});
+}
+
+// cancels the booked visits of a series from a date on and ends the series there.
+// Returns the before/after of each cancelled visit (and its treatment, if changed) for the audit log.
+async function endAppointmentSeries(seriesID, from, changedBy, reason){
+    const visits = await upcomingSeriesVisits(seriesID, from);
+    let changes = [];
+
+    for(const visit of visits){
+        const before = visit.toObject();
+        const treatment = await changeAppointmentStatus(visit, 'cancelled', reason || 'Series ended', changedBy);
+
+        changes.push({before: before, after: visit.toObject(), treatment: treatment});
+    }
+
+    await appointmentSeriesModel.updateOne({id: seriesID}, {isActive: false, endedOn: from});
+
+    return changes;
+}
+
+function formatReceiptNumber(invoiceID){
+    return `OR-${invoiceID.toString().padStart(6, '0')}`;
+}
+
+function formatMoney(amount){
+    return (amount || 0).toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2});
+}
+
+// patient's treatments that are not on an issued invoice yet, with the catalog price of their service
+async function invoiceableTreatments(patientID){
+    const invoices = await invoiceModel.find({patientID: patientID, status: 'issued'});
+    const invoiced = invoices.flatMap(invoice => invoice.items.map(item => item.treatmentID));
+    const treatments = await treatmentModel.find({patientID: patientID, id: {$nin: invoiced}}).sort({date: 1});
+    const services = await serviceModel.find({service: {$in: treatments.map(treatment => treatment.procedure)}});
+
+    return treatments.map(treatment => {
+        const service = services.find(service => service.service === treatment.procedure);
+
+        return {
+            id: treatment.id,
+            date: treatment.date,
+            dateString: treatment.date.toDateString(),
+            procedure: treatment.procedure,
+            teethAffected: treatment.teethAffected,
+            catalogPrice: service ? service.price : (treatment.amountCharged || 0)
+        };
+    });
+}
+
+// issues an invoice with the next receipt number. items are {treatmentID, unitPrice} for invoiceable treatments;
+// prices left out use the service catalog
+async function createInvoice(patientID, items, discountType, discountValue, discountReason, issuedBy){
+    const treatments = await invoiceableTreatments(patientID);
+    const lastInvoice = await invoiceModel.findOne().sort({id: -1});
+    const invoiceID = lastInvoice && lastInvoice.id ? lastInvoice.id + 1 : 1;
+
+    const invoice = new invoiceModel({
+        id: invoiceID,
+        receiptNumber: formatReceiptNumber(invoiceID),
+        patientID: patientID,
+        items: items.map(item => {
+            const treatment = treatments.find(treatment => treatment.id === Number(item.treatmentID));
+            const teeth = treatment.teethAffected.length ? ` (teeth ${Teeth.formatTeeth(treatment.teethAffected, Teeth.clinicNumbering())})` : '';
+
+            return {
+                treatmentID: treatment.id,
+                description: `${treatment.procedure}${teeth} - ${treatment.dateString}`,
+                unitPrice: item.unitPrice !== undefined && item.unitPrice !== '' ? Number(item.unitPrice) : treatment.catalogPrice
+            };
+        }),
+        discountType: discountType || 'none',
+        discountValue: Number(discountValue) || 0,
+        discountReason: discountReason,
+        issuedBy: issuedBy
+    });
+
+    await invoice.save();
+    return invoice;
+}
+
+// records a payment and updates the paid amount and balance kept on its treatment
+async function recordPayment(patientID, amount, date, method, referenceNo, receivedBy, treatmentID, invoiceID, installmentPlanID, notes){
+    const lastPayment = await paymentModel.findOne().sort({id: -1});
+
+    const payment = new paymentModel({
+        id: lastPayment && lastPayment.id ? lastPayment.id + 1 : 1,
+        patientID: patientID,
+        amount: amount,
+        date: date || new Date(),
+        method: method,
+        referenceNo: referenceNo,
+        receivedBy: receivedBy ? receivedBy.accountOwnerName : undefined,
+        receivedByID: receivedBy ? receivedBy._id : undefined,
+        treatmentID: treatmentID || undefined,
+        invoiceID: invoiceID || undefined,
+        installmentPlanID: installmentPlanID || undefined,
+        notes: notes
+    });
+
+    await payment.save();
+
+    if(payment.treatmentID){
+        await syncTreatmentPayments(payment.treatmentID);
+    }
+
+    return payment;
+}
+
+// Treatment.amountPaid and balance are kept as totals of the ledger, for older code that reads them
+async function syncTreatmentPayments(treatmentID){
+    const treatment = await treatmentModel.findOne({id: treatmentID});
+
+    if(!treatment){
+        return null;
+    }
+
+    const payments = await paymentModel.find({treatmentID: treatmentID, status: 'recorded'});
+
+    treatment.amountPaid = payments.reduce((sum, payment) => sum + payment.amount, 0);
+    treatment.balance = (treatment.amountCharged || 0) - treatment.amountPaid;
+    await treatment.save();
+
+    return treatment;
+}
+
+// chronological charges and payments of a patient with the running balance.
+// Issued invoices replace the charges of the treatments on them.
+async function patientLedger(patientID){
+    const invoices = await invoiceModel.find({patientID: patientID, status: 'issued'});
+    const invoiced = invoices.flatMap(invoice => invoice.items.map(item => item.treatmentID));
+    const treatments = await treatmentModel.find({patientID: patientID, id: {$nin: invoiced}, amountCharged: {$gt: 0}});
+    const payments = await paymentModel.find({patientID: patientID});
+
+    let entries = [];
+
+    treatments.forEach(treatment => entries.push({
+        date: treatment.date,
+        description: `${treatment.procedure} (treatment #${treatment.id})`,
+        charge: treatment.amountCharged,
+        treatmentID: treatment.id
+    }));
+    invoices.forEach(invoice => entries.push({
+        date: invoice.issuedAt,
+        description: `Invoice ${invoice.receiptNumber}`,
+        charge: invoice.total,
+        invoiceID: invoice.id
+    }));
+    payments.forEach(payment => entries.push({
+        date: payment.date,
+        description: `Payment #${payment.id} (${payment.method}${payment.referenceNo ? ` ref. ${payment.referenceNo}` : ''})`,
+        payment: payment.status === 'recorded' ? payment.amount : 0,
+        paymentID: payment.id,
+        isVoid: payment.status === 'void',
+        voidReason: payment.voidReason,
+        receivedBy: payment.receivedBy,
+        treatmentID: payment.treatmentID,
+        invoiceID: payment.invoiceID,
+        installmentPlanID: payment.installmentPlanID,
+        notes: payment.notes
+    }));
+
+    entries.sort((a, b) => a.date - b.date);
+
+    let balance = 0;
+    let totalCharged = 0;
+    let totalPaid = 0;
+
+    entries.forEach(entry => {
+        totalCharged += entry.charge || 0;
+        totalPaid += entry.payment || 0;
+        balance += (entry.charge || 0) - (entry.payment || 0);
+
+        entry.dateString = entry.date.toDateString();
+        entry.chargeString = entry.charge ? formatMoney(entry.charge) : "";
+        entry.paymentString = entry.payment ? formatMoney(entry.payment) : "";
+        entry.balance = balance;
+        entry.balanceString = formatMoney(balance);
+    });
+
+    return {entries: entries, totalCharged: totalCharged, totalPaid: totalPaid, balance: balance};
+}
+
+// installments of an orthodontic case: count payments of total - downPayment, due every intervalMonths from firstDueDate
+async function createInstallmentPlan(patientID, orthoID, treatmentID, totalAmount, downPayment, count, firstDueDate, intervalMonths, createdBy){
+    const lastPlan = await installmentPlanModel.findOne().sort({id: -1});
+    const financed = totalAmount - downPayment;
+    const share = Math.floor(financed / count * 100) / 100;
+
+    let installments = [];
+    for(let i = 0; i < count; i++){
+        const dueDate = new Date(firstDueDate);
+        dueDate.setMonth(dueDate.getMonth() + i * intervalMonths);
+
+        //the last installment takes the rounding difference
+        const amount = i === count - 1 ? Math.round((financed - share * (count - 1)) * 100) / 100 : share;
+        installments.push({dueDate: dueDate, amount: amount});
+    }
+
+    const plan = new installmentPlanModel({
+        id: lastPlan && lastPlan.id ? lastPlan.id + 1 : 1,
+        patientID: patientID,
+        orthoID: orthoID,
+        treatmentID: treatmentID,
+        totalAmount: totalAmount,
+        downPayment: downPayment,
+        installments: installments,
+        createdBy: createdBy
+    });
+
+    await plan.save();
+    return plan;
+}
+
+// due dates of a plan with how much of each is paid, filling the down payment and then the installments
+// in order from the payments recorded against the plan
+async function installmentSchedule(plan){
+    const payments = await paymentModel.find({installmentPlanID: plan.id, status: 'recorded'});
+    let remaining = payments.reduce((sum, payment) => sum + payment.amount, 0);
+    const today = new Date();
+
+    const due = [{label: 'Down payment', dueDate: plan.createdAt, amount: plan.downPayment}]
+        .concat(plan.installments.map((installment, index) => ({
+            label: `Installment ${index + 1}`,
+            dueDate: installment.dueDate,
+            amount: installment.amount
+        })))
+        .filter(item => item.amount > 0);
+
+    return due.map(item => {
+        const paid = Math.min(item.amount, remaining);
+        remaining = Math.max(remaining - paid, 0);
+
+        let status = 'upcoming';
+        if(paid >= item.amount){
+            status = 'paid';
+        } else if(item.dueDate < today){
+            status = 'overdue';
+        } else if(paid > 0){
+            status = 'partial';
+        }
+
+        return {
+            ...item,
+            dueDateString: item.dueDate.toDateString(),
+            amountString: formatMoney(item.amount),
+            paidString: formatMoney(paid),
+            status: status
+        };
+    });
+}
+
+// one time carry over of Treatment.amountPaid into the ledger, for treatments paid before it existed
+async function migratePaymentLedger(){
+    try{
+        const treatments = await treatmentModel.find({amountPaid: {$gt: 0}});
+
+        for(const treatment of treatments){
+            if(await paymentModel.exists({treatmentID: treatment.id})){
+                continue;
+            }
+
+            await recordPayment(treatment.patientID, treatment.amountPaid, treatment.date, 'cash', undefined, null,
+                treatment.id, null, null, paymentModel.openingBalanceNote);
+        }
+    } catch(error){
+        console.error("Error moving paid amounts to the payment ledger.", error);
+    }
+}
+
+// age buckets of the receivables report, by days since the treatment
+const receivableBuckets = [
+    {key: 'days30', label: '0-30', maxDays: 30},
+    {key: 'days60', label: '31-60', maxDays: 60},
+    {key: 'days90', label: '61-90', maxDays: 90},
+    {key: 'over90', label: '90+', maxDays: Infinity}
+];
+
+// unpaid part of every charged treatment, grouped by patient and aged from the treatment date.
+// Invoiced treatments are charged what the invoice says after its discount. Payments for a treatment
+// settle that treatment, the rest (invoice and installment payments) settle the oldest treatments first
+async function accountsReceivable(dentist, service, asOf){
+    const today = asOf || new Date();
+    const treatments = await treatmentModel.find({amountCharged: {$gt: 0}}).sort({date: 1}).lean();
+    const invoices = await invoiceModel.find({status: 'issued'}).lean();
+    const payments = await paymentModel.find({status: 'recorded'}).lean();
+
+    let invoicedAmounts = {};
+    invoices.forEach(invoice => invoice.items.forEach(item => {
+        invoicedAmounts[item.treatmentID] = invoice.subtotal ? item.amount * invoice.total / invoice.subtotal : 0;
+    }));
+
+    let byPatient = {};
+    treatments.forEach(treatment => {
+        const charged = invoicedAmounts[treatment.id] !== undefined ? invoicedAmounts[treatment.id] : treatment.amountCharged;
+        (byPatient[treatment.patientID] = byPatient[treatment.patientID] || []).push({treatment: treatment, outstanding: charged});
+    });
+
+    let unallocated = {};
+    payments.forEach(payment => {
+        const charge = payment.treatmentID && (byPatient[payment.patientID] || []).find(item => item.treatment.id === payment.treatmentID);
+
+        if(charge){
+            charge.outstanding -= payment.amount;
+        } else {
+            unallocated[payment.patientID] = (unallocated[payment.patientID] || 0) + payment.amount;
+        }
+    });
+
+    const patients = await patientModel.find({id: {$in: Object.keys(byPatient).map(Number)}}).lean();
+    let rows = [];
+
+    for(const patientID of Object.keys(byPatient)){
+        //overpaid treatments add to the credit too
+        let credit = byPatient[patientID].reduce((sum, item) => sum + Math.max(-item.outstanding, 0), unallocated[patientID] || 0);
+        const patient = patients.find(patient => patient.id === Number(patientID));
+
+        let row = {
+            patientID: Number(patientID),
+            name: patient ? `${patient.firstName} ${patient.lastName}` : `Patient ${patientID}`,
+            contact: patient ? patient.contact : "",
+            total: 0,
+            oldestDays: 0
+        };
+        receivableBuckets.forEach(bucket => row[bucket.key] = 0);
+
+        byPatient[patientID].forEach(item => {
+            const settled = Math.min(Math.max(item.outstanding, 0), credit);
+            credit -= settled;
+            const outstanding = Math.round((item.outstanding - settled) * 100) / 100;
+
+            if(outstanding <= 0 || (dentist && item.treatment.dentist !== dentist) || (service && item.treatment.procedure !== service)){
+                return;
+            }
+
+            const days = Math.max(Math.floor((today - item.treatment.date) / (24 * 60 * 60 * 1000)), 0);
+            const bucket = receivableBuckets.find(bucket => days <= bucket.maxDays);
+
+            row[bucket.key] += outstanding;
+            row.total += outstanding;
+            row.oldestDays = Math.max(row.oldestDays, days);
+        });
+
+        if(row.total > 0){
+            rows.push(row);
+        }
+    }
+
+    return rows;
+}
+
+// CSV text from a header row and data rows, quoting every field
+function toCSV(header, rows){
+    return [header].concat(rows)
+        .map(row => row.map(field => `"${String(field === undefined || field === null ? "" : field).replace(/"/g, '""')}"`).join(','))
+        .join('\r\n');
+}
+
+const toothStateLabels = {
+    'present': 'Present',
+    'missing': 'Missing',
+    'caries': 'Caries',
+    'filled': 'Filled',
+    'crown': 'Crown',
+    'bridge': 'Bridge',
+    'implant': 'Implant',
+    'rct': 'Root Canal Treated',
+    'extraction-planned': 'Extraction Planned'
+};
+
+// the patient's chart, or a new unsaved one if nothing has been charted yet
+async function getDentalChart(patientID){
+    const chart = await dentalChartModel.findOne({patientID: patientID});
+
+    return chart || new dentalChartModel({patientID: patientID, teeth: [], teethNumbering: 'fdi'});
+}
+
+// charts a tooth, keeping its previous state in the tooth's history. Returns {before, after} of the chart
+async function setToothState(patientID, tooth, state, surfaces, notes, treatmentID, changedBy){
+    const chart = await getDentalChart(patientID);
+    const before = chart.isNew ? null : chart.toObject();
+    let entry = chart.teeth.find(entry => entry.tooth === tooth);
+
+    if(entry){
+        entry.history.push({
+            state: entry.state,
+            surfaces: entry.surfaces,
+            notes: entry.notes,
+            treatmentID: entry.treatmentID,
+            changedBy: entry.updatedBy,
+            changedAt: entry.updatedAt
+        });
+    } else {
+        chart.teeth.push({tooth: tooth});
+        entry = chart.teeth[chart.teeth.length - 1];
+    }
+
+    entry.state = state;
+    entry.surfaces = dentalChartModel.surfaceStates.includes(state) ? surfaces : [];
+    entry.notes = notes;
+    entry.treatmentID = treatmentID || undefined;
+    entry.updatedBy = changedBy;
+    entry.updatedAt = new Date();
+
+    await chart.save();
+
+    return {before: before, after: chart.toObject()};
+}
+
+// the five surfaces of a tooth box 40 wide: buccal faces out of the mouth (top for upper teeth, bottom for lower),
+// mesial faces the midline (right for the patient's right side, shown on the left of the chart)
+function toothSurfacePolygons(isUpper, isRightSide){
+    const top = '0,0 40,0 28,12 12,12';
+    const bottom = '0,40 12,28 28,28 40,40';
+    const left = '0,0 12,12 12,28 0,40';
+    const right = '40,0 40,40 28,28 28,12';
+
+    return {
+        B: isUpper ? top : bottom,
+        L: isUpper ? bottom : top,
+        M: isRightSide ? right : left,
+        D: isRightSide ? left : right,
+        O: '12,12 28,12 28,28 12,28'
+    };
+}
+
+// rows of the SVG odontogram as seen facing the patient, labelled in the given numbering. Children under 13 and
+// charts with primary teeth also get the primary arches, between the permanent ones
+function buildOdontogram(chart, numbering, age){
+    let rows = Teeth.archRows(false);
+
+    if(age < 13 || chart.teeth.some(entry => Teeth.isPrimary(entry.tooth))){
+        rows = [rows[0]].concat(Teeth.archRows(true), [rows[1]]);
+    }
+
+    return {
+        height: rows.length * 70 + 10,
+        rows: rows.map((row, rowIndex) => ({
+            isUpper: row.isUpper,
+            y: rowIndex * 70 + 16,
+            teeth: row.teeth.map((tooth, index) => {
+                const entry = chart.teeth.find(entry => entry.tooth === tooth);
+                const state = entry ? entry.state : 'present';
+                const surfaces = entry ? entry.surfaces : [];
+                const polygons = toothSurfacePolygons(row.isUpper, Teeth.isRightSide(tooth));
+                const label = Teeth.formatTooth(tooth, numbering);
+
+                return {
+                    tooth: tooth,
+                    label: label,
+                    //primary arches are centred under the permanent ones, with a gap at the midline
+                    x: (16 - row.teeth.length) / 2 * 46 + index * 46 + (index >= row.teeth.length / 2 ? 12 : 0),
+                    state: state,
+                    stateLabel: toothStateLabels[state],
+                    title: `${label}: ${toothStateLabels[state]}${surfaces.length ? ` (${surfaces.join('')})` : ''}${entry && entry.notes ? ` - ${entry.notes}` : ''}`,
+                    surfaces: Object.keys(polygons).map(surface => ({
+                        surface: surface,
+                        points: polygons[surface],
+                        isMarked: surfaces.includes(surface)
+                    })),
+                    changeCount: entry ? entry.history.length : 0
+                };
+            })
+        }))
+    };
+}
+
+// one time conversion of teeth saved as Universal 1-32 to FDI numbers
+async function migrateToothNumbers(){
+    try{
+        const treatments = await treatmentModel.collection.find({teethNumbering: {$exists: false}}).toArray();
+
+        for(const treatment of treatments){
+            const teeth = (treatment.teethAffected || []).map(tooth => Teeth.universalToFDI(String(tooth))).filter(tooth => tooth);
+            await treatmentModel.collection.updateOne({_id: treatment._id}, {$set: {teethAffected: teeth, teethNumbering: 'fdi'}});
+        }
+
+        const charts = await dentalChartModel.collection.find({teethNumbering: {$exists: false}}).toArray();
+
+        for(const chart of charts){
+            const teeth = (chart.teeth || [])
+                .map(entry => ({...entry, tooth: Teeth.universalToFDI(String(entry.tooth))}))
+                .filter(entry => entry.tooth);
+            await dentalChartModel.collection.updateOne({_id: chart._id}, {$set: {teeth: teeth, teethNumbering: 'fdi'}});
+        }
+    } catch(error){
+        console.error("Error converting tooth numbers to FDI.", error);
+    }
+}
+
+async function createTreatmentPlan(patientID, title, createdBy){
+    const lastPlan = await treatmentPlanModel.findOne().sort({id: -1});
+
+    const plan = new treatmentPlanModel({
+        id: lastPlan && lastPlan.id ? lastPlan.id + 1 : 1,
+        patientID: patientID,
+        title: title,
+        createdBy: createdBy
+    });
+
+    await plan.save();
+    return plan;
+}
+
+// adds a proposed procedure to a plan, estimated at the service's price unless estimatedCost is given
+async function addTreatmentPlanItem(plan, service, teeth, phase, priority, estimatedCost, notes){
+    plan.items.push({
+        service: service.service,
+        teeth: teeth,
+        estimatedCost: estimatedCost === undefined || estimatedCost === null || estimatedCost === '' ? service.price : estimatedCost,
+        phase: phase,
+        priority: priority,
+        notes: notes
+    });
+
+    await plan.save();
+    return plan.items[plan.items.length - 1];
+}
+
+// items of a plan grouped by phase and sorted by priority, each planned, scheduled (its visit is booked)
+// or completed (its treatment is), with the share of items completed
+async function treatmentPlanProgress(plan, numbering){
+    const appointments = await appointmentModel.find({id: {$in: plan.items.map(item => item.appointmentID).filter(id => id)}}).lean();
+    const treatments = await treatmentModel.find({id: {$in: plan.items.map(item => item.treatmentID).filter(id => id)}}).lean();
+
+    const items = plan.items.map(item => {
+        const appointment = appointments.find(appointment => appointment.id === item.appointmentID);
+        const treatment = treatments.find(treatment => treatment.id === item.treatmentID);
+        let status = 'planned';
+
+        if(treatment && treatment.status === 'completed'){
+            status = 'completed';
+        } else if(appointment && ['booked', 'arrived', 'in-chair'].includes(appointment.status)){
+            status = 'scheduled';
+        }
+
+        return {
+            id: String(item._id),
+            service: item.service,
+            teeth: item.teeth,
+            teethString: Teeth.formatTeeth(item.teeth, numbering),
+            estimatedCost: item.estimatedCost,
+            estimatedCostString: formatMoney(item.estimatedCost),
+            phase: item.phase,
+            priority: item.priority,
+            notes: item.notes,
+            status: status,
+            appointmentDateString: status === 'scheduled' ? `${appointment.start.toDateString()} ${formatTime(appointment.start)}` : '',
+            treatmentID: treatment ? treatment.id : undefined,
+            treatmentDateString: status === 'completed' ? treatment.date.toDateString() : ''
+        };
+    });
+
+    const phases = [...new Set(items.map(item => item.phase))].sort((a, b) => a - b).map(phase => ({
+        phase: phase,
+        items: items
+            .filter(item => item.phase === phase)
+            .sort((a, b) => treatmentPlanModel.planPriorities.indexOf(a.priority) - treatmentPlanModel.planPriorities.indexOf(b.priority)),
+        estimatedString: formatMoney(items.filter(item => item.phase === phase).reduce((sum, item) => sum + item.estimatedCost, 0))
+    }));
+
+    const completedCount = items.filter(item => item.status === 'completed').length;
+    const estimatedTotal = items.reduce((sum, item) => sum + item.estimatedCost, 0);
+
+    return {
+        items: items,
+        phases: phases,
+        itemCount: items.length,
+        completedCount: completedCount,
+        completion: items.length ? Math.round(completedCount / items.length * 100) : 0,
+        estimatedTotal: estimatedTotal,
+        estimatedTotalString: formatMoney(estimatedTotal)
+    };
+}
+
+// books a visit for a plan item. The item's treatment record is reused if it is still open, otherwise
+// the booking makes one. Returns the appointment and the treatment's before/after for the audit log
+async function bookTreatmentPlanItem(plan, item, dentist, chair, start, end){
+    const openTreatment = item.treatmentID ? await treatmentModel.findOne({id: item.treatmentID, status: 'ongoing', signedAt: {$exists: false}}) : null;
+    const before = openTreatment ? openTreatment.toObject() : null;
+
+    const appointment = await createAppointment(plan.patientID, null, dentist, chair, start, end, item.service, openTreatment ? openTreatment.id : undefined);
+    const treatment = await treatmentModel.findOne({id: appointment.treatmentID});
+
+    treatment.teethAffected = item.teeth;
+    await treatment.save();
+
+    item.appointmentID = appointment.id;
+    item.treatmentID = treatment.id;
+    await plan.save();
+
+    return {appointment: appointment, treatment: {before: before, after: treatment.toObject()}};
+}
+
+// records a plan item as done without a booked visit, charging its estimate. An open treatment record
+// left from an earlier booking is completed instead of adding another, unless it was signed.
+// Returns the treatment's before/after
+async function recordTreatmentPlanItem(plan, item, date, dentist){
+    const openTreatment = item.treatmentID ? await treatmentModel.findOne({id: item.treatmentID, status: 'ongoing', signedAt: {$exists: false}}) : null;
+
+    if(openTreatment){
+        const before = openTreatment.toObject();
+
+        openTreatment.date = date;
+        openTreatment.dentist = dentist || openTreatment.dentist;
+        openTreatment.teethAffected = item.teeth;
+        openTreatment.amountCharged = openTreatment.amountCharged || item.estimatedCost;
+        openTreatment.status = 'completed';
+        await openTreatment.save();
+
+        return {before: before, after: (await syncTreatmentPayments(openTreatment.id)).toObject()};
+    }
+
+    const treatmentID = await createTreatment(plan.patientID, date, item.teeth, item.service, dentist, item.estimatedCost, 0, item.estimatedCost, 'completed');
+
+    item.treatmentID = treatmentID;
+    await plan.save();
+
+    return {before: null, after: (await treatmentModel.findOne({id: treatmentID})).toObject()};
+}
+
+async function createPeriodontalExam(patientID, date, appointmentID, teeth, notes, examinedBy){
+    const lastExam = await periodontalExamModel.findOne().sort({id: -1});
+
+    const exam = new periodontalExamModel({
+        id: lastExam && lastExam.id ? lastExam.id + 1 : 1,
+        patientID: patientID,
+        appointmentID: appointmentID,
+        date: date,
+        teeth: teeth,
+        notes: notes,
+        examinedBy: examinedBy
+    });
+
+    await exam.save();
+    return exam;
+}
+
+// exams used to be dated at UTC midnight of the exam day. They are moved to local midnight like new exams,
+// which is the same instant where the clinic runs on UTC
+async function migratePeriodontalExamDates(){
+    try{
+        const exams = await periodontalExamModel.collection.find({}, {projection: {date: 1}}).toArray();
+
+        for(const exam of exams){
+            const date = new Date(exam.date);
+            const isUTCMidnight = date.getUTCHours() === 0 && date.getUTCMinutes() === 0 && date.getUTCSeconds() === 0;
+
+            if(isUTCMidnight && date.getHours() !== 0){
+                await periodontalExamModel.collection.updateOne({_id: exam._id}, {$set: {date: new Date(`${convertToDate(date)}T00:00`)}});
+            }
+        }
+    } catch(error){
+        console.error("Error moving periodontal exam dates to local days.", error);
+    }
+}
+
+// attachment loss of a site, the probing depth plus the recession
+function attachmentLoss(site){
+    return site.probingDepth === undefined || site.probingDepth === null ? null : site.probingDepth + (site.recession || 0);
+}
+
+// whole mouth figures of an exam: mean probing depth and attachment loss, share of sites bleeding,
+// and the number of sites 4mm or deeper and 6mm or deeper
+function perioSummary(exam){
+    const sites = exam.teeth.flatMap(tooth => tooth.sites).filter(site => site.probingDepth !== undefined && site.probingDepth !== null);
+    const average = values => values.length ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length * 10) / 10 : 0;
+
+    return {
+        toothCount: exam.teeth.length,
+        siteCount: sites.length,
+        meanDepth: average(sites.map(site => site.probingDepth)),
+        meanAttachmentLoss: average(sites.map(attachmentLoss)),
+        bleedingPercent: sites.length ? Math.round(sites.filter(site => site.bleeding).length / sites.length * 100) : 0,
+        deepSites: sites.filter(site => site.probingDepth >= 4).length,
+        severeSites: sites.filter(site => site.probingDepth >= 6).length
+    };
+}
+
+// rows of the exam entry grid, permanent teeth in chart order. Teeth charted missing start unprobed
+function perioEntryRows(chart, numbering){
+    return Teeth.archRows(false).flatMap(row => row.isUpper ? row.teeth : row.teeth.slice().reverse()).map(tooth => {
+        const entry = chart.teeth.find(entry => entry.tooth === tooth);
+
+        return {
+            tooth: tooth,
+            label: Teeth.formatTooth(tooth, numbering),
+            isMissing: !!entry && entry.state === 'missing',
+            hasFurcation: periodontalExamModel.hasFurcation(tooth),
+            sites: periodontalExamModel.perioSites
+        };
+    });
+}
+
+// whole mouth figures compared between exams, all lower is better
+const perioSummaryLabels = {
+    meanDepth: 'Mean probing depth (mm)',
+    meanAttachmentLoss: 'Mean attachment loss (mm)',
+    bleedingPercent: 'Bleeding on probing (%)',
+    deepSites: 'Sites 4mm or deeper',
+    severeSites: 'Sites 6mm or deeper'
+};
+
+// change in probing depth of 2mm or more at a site is taken as a real change rather than probing error
+const perioChangeThreshold = 2;
+
+function signedChange(change){
+    return change === null ? '' : (change > 0 ? `+${change}` : String(change));
+}
+
+function perioTrend(change){
+    if(change === null){
+        return '';
+    }
+
+    return change <= -perioChangeThreshold ? 'improved' : (change >= perioChangeThreshold ? 'worse' : 'stable');
+}
+
+// two exams side by side, tooth by tooth and site by site. before may be null to show one exam on its own
+function comparePeriodontalExams(before, after, numbering){
+    const teeth = [...new Set([...(before ? before.teeth : []), ...after.teeth].map(tooth => tooth.tooth))];
+    const order = Teeth.archRows(false).concat(Teeth.archRows(true)).flatMap(row => row.isUpper ? row.teeth : row.teeth.slice().reverse());
+
+    const siteValues = (tooth, site) => {
+        const entry = tooth ? tooth.sites.find(entry => entry.site === site) : null;
+        return entry ? {probingDepth: entry.probingDepth, recession: entry.recession, attachmentLoss: attachmentLoss(entry), bleeding: entry.bleeding} : null;
+    };
+
+    const rows = teeth.sort((a, b) => order.indexOf(a) - order.indexOf(b)).map(fdi => {
+        const beforeTooth = before ? before.teeth.find(tooth => tooth.tooth === fdi) : null;
+        const afterTooth = after.teeth.find(tooth => tooth.tooth === fdi);
+
+        const sites = periodontalExamModel.perioSites.map(site => {
+            const beforeSite = siteValues(beforeTooth, site);
+            const afterSite = siteValues(afterTooth, site);
+            const change = beforeSite && afterSite && beforeSite.probingDepth !== undefined && afterSite.probingDepth !== undefined
+                ? afterSite.probingDepth - beforeSite.probingDepth : null;
+
+            return {site: site, before: beforeSite, after: afterSite, change: change, changeString: signedChange(change), trend: perioTrend(change)};
+        });
+
+        return {
+            tooth: fdi,
+            label: Teeth.formatTooth(fdi, numbering),
+            sites: sites,
+            before: beforeTooth ? {mobility: beforeTooth.mobility, furcation: beforeTooth.furcation} : null,
+            after: afterTooth ? {mobility: afterTooth.mobility, furcation: afterTooth.furcation} : null,
+            improvedSites: sites.filter(site => site.trend === 'improved').length,
+            worseSites: sites.filter(site => site.trend === 'worse').length
+        };
+    });
+
+    const beforeSummary = before ? perioSummary(before) : null;
+    const afterSummary = perioSummary(after);
+
+    return {
+        rows: rows,
+        before: beforeSummary,
+        after: afterSummary,
+        summaryRows: Object.keys(perioSummaryLabels).map(key => {
+            const change = beforeSummary ? Math.round((afterSummary[key] - beforeSummary[key]) * 10) / 10 : null;
+
+            return {
+                label: perioSummaryLabels[key],
+                before: beforeSummary ? beforeSummary[key] : '',
+                after: afterSummary[key],
+                change: change,
+                changeString: signedChange(change),
+                trend: change === null ? '' : (change < 0 ? 'improved' : (change > 0 ? 'worse' : 'stable'))
+            };
+        }),
+        improvedSites: rows.reduce((sum, row) => sum + row.improvedSites, 0),
+        worseSites: rows.reduce((sum, row) => sum + row.worseSites, 0),
+        threshold: perioChangeThreshold
+    };
+}
+
+async function createClinicalNote(patientID, treatmentID, date, author, subjective, objective, assessment, plan){
+    const lastNote = await clinicalNoteModel.findOne().sort({id: -1});
+
+    const note = new clinicalNoteModel({
+        id: lastNote && lastNote.id ? lastNote.id + 1 : 1,
+        patientID: patientID,
+        treatmentID: treatmentID,
+        date: date,
+        author: author,
+        subjective: subjective,
+        objective: objective,
+        assessment: assessment,
+        plan: plan
+    });
+
+    await note.save();
+    return note;
+}
+
+// the patient's notes in the order the visits happened, each with the treatment it was written for
+async function patientClinicalNotes(patientID){
+    const notes = await clinicalNoteModel.find({patientID: patientID}).sort({date: 1, id: 1}).lean();
+    const treatments = await treatmentModel.find({id: {$in: notes.map(note => note.treatmentID)}}).lean();
+
+    return notes.map(note => {
+        const treatment = treatments.find(treatment => treatment.id === note.treatmentID);
+
+        return {
+            ...note,
+            dateString: convertToDate(note.date),
+            procedure: treatment ? treatment.procedure : null,
+            sections: clinicalNoteModel.soapSections
+                .filter(section => note[section])
+                .map(section => ({name: section, text: note[section]})),
+            signature: signatureDetails(note)
+        };
+    });
+}
+
+// who signed a treatment or clinical note and when, with its addenda oldest first
+function signatureDetails(record){
+    return {
+        isSigned: !!record.signedAt,
+        signedBy: record.signedBy,
+        signedAtString: record.signedAt ? new Date(record.signedAt).toLocaleString() : null,
+        addenda: (record.addenda || []).map(addendum => ({
+            text: addendum.text,
+            author: addendum.author,
+            createdAtString: new Date(addendum.createdAt).toLocaleString()
+        }))
+    };
+}
+
+// week grid (one column per dentist each day) or month overview of appointments around date.
+// Appointments are coloured by the type of their service.
+async function buildCalendar(view, date, dentist){
+    const range = calendarRange(view, date);
+    const hours = getClinicHours();
+    const todayValue = formatDateInput(new Date());
+
+    let filter = {
+        start: {$gte: range.start, $lt: range.end},
+        status: {$ne: 'cancelled'}
+    };
+    if(dentist){
+        filter.dentist = dentist;
+    }
+
+    const appointments = await appointmentModel.find(filter).sort({start: 1});
+    const rows = await describeAppointments(appointments);
+    const services = await serviceModel.find({});
+
+    rows.forEach(row => {
+        const service = services.find(service => service.service === row.service);
+
+        row.typeClass = service ? service.type.toLowerCase() : 'other';
+        row.dateValue = formatDateInput(row.start);
+        row.dentistValue = row.dentist === "N/A" ? "" : row.dentist;
+        row.draggable = row.status === 'booked';
+    });
+
+    let days = [];
+    for(let day = new Date(range.start); day < range.end; day.setDate(day.getDate() + 1)){
+        const dateValue = formatDateInput(day);
+
+        days.push({
+            dateValue: dateValue,
+            label: day.toDateString().slice(0, 10),
+            dayNumber: day.getDate(),
+            inMonth: day.getMonth() === date.getMonth(),
+            isToday: dateValue === todayValue,
+            appointments: rows.filter(row => row.dateValue === dateValue)
+        });
+    }
+
+    let result = {
+        view: view,
+        dateValue: formatDateInput(date),
+        openHour: hours.open,
+        closeHour: hours.close
+    };
+
+    const previous = new Date(date);
+    const next = new Date(date);
+
+    if(view === 'month'){
+        previous.setMonth(previous.getMonth() - 1, 1);
+        next.setMonth(next.getMonth() + 1, 1);
+        result.title = date.toLocaleString('en-US', {month: 'long', year: 'numeric'});
+        result.weeks = [];
+        for(let i = 0; i < days.length; i += 7){
+            result.weeks.push(days.slice(i, i + 7));
+        }
+    } else {
+        previous.setDate(previous.getDate() - 7);
+        next.setDate(next.getDate() + 7);
+        result.title = `${days[0].label} - ${days[6].label}, ${days[6].dateValue.slice(0, 4)}`;
+
+        // active dentists, plus anyone else who still has bookings this week and an unassigned column if needed
+        let dentists = dentist ? [dentist] : (await getDentists()).map(account => account.accountOwnerName);
+        rows.forEach(row => {
+            if(!dentists.includes(row.dentistValue)){
+                dentists.push(row.dentistValue);
+            }
+        });
+
+        const dayMinutes = (hours.close - hours.open) * 60;
+
+        result.hours = [];
+        for(let hour = hours.open; hour < hours.close; hour++){
+            result.hours.push(`${hour.toString().padStart(2, '0')}:00`);
+        }
+
+        result.dentists = dentists.map(name => name || "Unassigned");
+        result.days = days.map(day => ({
+            ...day,
+            columns: dentists.map(name => ({
+                dentist: name,
+                appointments: day.appointments.filter(row => row.dentistValue === name).map(row => {
+                    const startMinutes = row.start.getHours() * 60 + row.start.getMinutes() - hours.open * 60;
+                    const endMinutes = row.end.getHours() * 60 + row.end.getMinutes() - hours.open * 60;
+                    const top = Math.min(Math.max(startMinutes, 0), dayMinutes);
+                    const bottom = Math.min(Math.max(endMinutes, top), dayMinutes);
+
+                    return {
+                        ...row,
+                        top: (top / dayMinutes * 100).toFixed(2),
+                        height: ((bottom - top) / dayMinutes * 100).toFixed(2)
+                    };
+                })
+            }))
+        }));
+    }
+
+    result.previousDate = formatDateInput(previous);
+    result.nextDate = formatDateInput(next);
+
+    return result;
+}
+
+// one time move of upcoming Patient.effectiveDate and NonPatientAppointment bookings into appointments
+async function migrateEffectiveDates(){
+    try{
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        const defaultLength = 30 * 60 * 1000;
+
+        //bookings before today are kept as visits that were done, which completes their treatment
+        async function markPast(appointment){
+            if(appointment.start < today){
+                appointment.status = 'done';
+                appointment.statusHistory.push({status: 'done', changedBy: 'Migration'});
+                await appointment.save();
+
+                if(appointment.treatmentID){
+                    await treatmentModel.updateOne({id: appointment.treatmentID, status: 'ongoing'}, {$set: {status: 'completed'}});
+                }
+            }
+        }
+
+        const patients = await patientModel.find({effectiveDate: {$exists: true, $ne: null}});
+        for(const patient of patients){
+            const start = patient.effectiveDate;
+
+            if(!await appointmentModel.exists({patientID: patient.id, start: start})){
+                //the old booking route created a treatment at the booked time
+                const treatment = await treatmentModel.findOne({patientID: patient.id, date: start});
+
+                const appointment = await createAppointment(patient.id, null, treatment ? treatment.dentist : null, null, start,
+                    new Date(start.getTime() + defaultLength), (treatment && treatment.procedure) || "Consultation",
+                    treatment ? treatment.id : null);
+                await markPast(appointment);
+            }
+
+            await patientModel.updateOne({_id: patient._id}, {$unset: {effectiveDate: ""}});
+        }
+
+        const nonPatients = await nonPatientModel.find({effectiveDate: {$exists: true, $ne: null}});
+        for(const nonPatient of nonPatients){
+            if(!await appointmentModel.exists({nonPatient: nonPatient._id})){
+                const appointment = await createAppointment(null, nonPatient._id, null, null, nonPatient.startTime,
+                    new Date(nonPatient.startTime.getTime() + defaultLength), nonPatient.service);
+                await markPast(appointment);
+            }
+        }
+
+        console.log("Effective dates moved to appointments.");
+    } catch(error){
+        console.error("Error moving effective dates to appointments.", error);
     }
-    res.redirect('/login'); // Redirect to login if not authenticated
 }
 
 module.exports = {
@@ -466,18 +2594,106 @@ module.exports = {
     updateMedicalHistory,
     createMedicalHistory,
     readMedicalHistory,
+    readMedicalHistoryVersions,
+    latestMedicalHistories,
+    getMedicalHistoryReviewMonths,
+    lastMedicalHistoryReview,
+    isMedicalHistoryReviewDue,
+    compareMedicalHistories,
+    migrateMedicalHistoryVersions,
+    migrateStructuredAllergies,
+    migratePeriodontalExamDates,
+    drugWarningsFor,
+    medicalAlerts,
+    medicalAlertsByPatient,
+    contraindicatedAlerts,
     createTreatment,
     updateTreatment,
     readTreatment,
     convertToDate,
     uniqueServices,
     getPatientsByProcedure,
+    reportRange,
+    reportTreatmentMatch,
+    rangeMonths,
+    getRevenueStats,
+    compareRevenueYearOverYear,
     getMonthlyStats,
+    getVisitStats,
     createOrtho,
     setOrthoInactive,
     createService,
     readService,
     updateMultipleServices,
-    isAuthenticated
+    can,
+    permissionsFor,
+    sessionAccount,
+    authorize,
+    checkPasswordStrength,
+    generateTemporaryPassword,
+    createAccount,
+    setAccountPassword,
+    diffFields,
+    recordAudit,
+    formatAuditEntries,
+    escapeRegex,
+    getChairs,
+    getDentists,
+    getClinicDetails,
+    getClinicHours,
+    formatTime,
+    formatDateInput,
+    serviceDuration,
+    toAppointmentTimes,
+    findAppointmentConflicts,
+    findNextFreeSlot,
+    createAppointment,
+    appointmentTransitions,
+    canChangeStatus,
+    statusActions,
+    changeAppointmentStatus,
+    createBookedTreatment,
+    syncBookedTreatment,
+    walkInDetails,
+    convertWalkIn,
+    describeAppointments,
+    calendarRange,
+    formatReceiptNumber,
+    formatMoney,
+    invoiceableTreatments,
+    createInvoice,
+    recordPayment,
+    syncTreatmentPayments,
+    patientLedger,
+    createInstallmentPlan,
+    installmentSchedule,
+    migratePaymentLedger,
+    receivableBuckets,
+    toothStateLabels,
+    getDentalChart,
+    setToothState,
+    buildOdontogram,
+    migrateToothNumbers,
+    createTreatmentPlan,
+    addTreatmentPlanItem,
+    treatmentPlanProgress,
+    bookTreatmentPlanItem,
+    recordTreatmentPlanItem,
+    createPeriodontalExam,
+    perioSummary,
+    perioEntryRows,
+    comparePeriodontalExams,
+    createClinicalNote,
+    patientClinicalNotes,
+    signatureDetails,
+    formatPrescription,
+    accountsReceivable,
+    toCSV,
+    seriesOccurrences,
+    createAppointmentSeries,
+    upcomingSeriesVisits,
+    endAppointmentSeries,
+    buildCalendar,
+    migrateEffectiveDates
 };
 
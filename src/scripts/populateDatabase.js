@@ -32,10 +32,7 @@ async function dropDatabase(){
 
 async function hashedPassword(password){
     try{
-        for(const accountData of sampleAccounts){
-            const hashedPassword = await bycrypt.hash(password, saltRounds)
-            return hashedPassword;
-        }
+        return await bycrypt.hash(password, saltRounds);
     }
     catch (error){
         console.error('Error hashing password:', error);
@@ -49,9 +46,10 @@ async function populateDatabase(){
         await dropDatabase();
 
         for (const accountData of sampleAccounts) {
-            // const hashedPassword = await hashedPassword(accountData.accountPass);
-            // accountData.accountPass = hashedPassword;
-            const account = new Account(accountData);
+            const account = new Account({
+                ...accountData,
+                accountPass: await hashedPassword(accountData.accountPass)
+            });
             await account.save();
         }
 
@@ -61,7 +59,7 @@ async function populateDatabase(){
         }
 
         for (const treatmentData of sampleTreatments){
-            const treatment = new Treatment(treatmentData);
+            const treatment = new Treatment({...treatmentData, teethNumbering: 'fdi'});
             await treatment.save();
         }
 
@@ -0,0 +1,224 @@
+// appointment reminders, sent 24 hours and 2 hours before each booking.
+// Reminders go through a transport chosen with REMINDER_TRANSPORT in .env:
+//   smtp    - email through SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASS, sent from SMTP_FROM
+//   file    - appended to REMINDER_OUTBOX (default reminders-outbox.log), for testing
+//   console - printed to the server log (default)
+//   off     - the scheduled job does not run
+const fs = require('fs');
+const nodemailer = require('nodemailer');
+const appointmentModel = require('../models/appointment.js');
+const functions = require('./functions.js');
+require('dotenv').config();
+
+// hours before the appointment each reminder is due
+const reminderKinds = {
+    '24h': 24,
+    '2h': 2
+};
+
+// failed reminders are retried by the job this many times
+const maxAttempts = 3;
+
+// a transport has a name, the channels it can deliver and send({channel, to, subject, text})
+function smtpTransport(){
+    const mailer = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER ? {user: process.env.SMTP_USER, pass: process.env.SMTP_PASS} : undefined
+    });
+
+    return {
+        name: 'smtp',
+        channels: ['email'],
+        send: async function(message){
+            await mailer.sendMail({
+                from: process.env.SMTP_FROM || process.env.SMTP_USER,
+                to: message.to,
+                subject: message.subject,
+                text: message.text
+            });
+        }
+    };
+}
+
+// stand-in that writes every message to a file or the console instead of delivering it
+function outboxTransport(name){
+    const outbox = process.env.REMINDER_OUTBOX || 'reminders-outbox.log';
+
+    return {
+        name: name,
+        channels: ['email', 'sms'],
+        send: async function(message){
+            const entry = `[${new Date().toISOString()}] ${message.channel} to ${message.to}\n${message.subject}\n${message.text}\n\n`;
+
+            if(name === 'file'){
+                await fs.promises.appendFile(outbox, entry);
+            } else {
+                console.log(entry);
+            }
+        }
+    };
+}
+
+function createTransport(){
+    const name = process.env.REMINDER_TRANSPORT || 'console';
+
+    if(name === 'smtp'){
+        return smtpTransport();
+    }
+
+    return outboxTransport(name === 'file' ? 'file' : 'console');
+}
+
+let transport = null;
+
+function getTransport(){
+    if(!transport){
+        transport = createTransport();
+    }
+
+    return transport;
+}
+
+// 'today' or 'tomorrow' as seen when the reminder is sent, the weekday for visits further off
+function reminderDay(start, now = new Date()){
+    const day = new Date(start);
+    day.setHours(0, 0, 0, 0);
+    const today = new Date(now);
+    today.setHours(0, 0, 0, 0);
+
+    const days = Math.round((day - today) / (24 * 60 * 60 * 1000));
+
+    if(days === 0){
+        return 'today';
+    }
+    if(days === 1){
+        return 'tomorrow';
+    }
+
+    return `on ${day.toLocaleDateString('en-US', {weekday: 'long'})}`;
+}
+
+// the message for an appointment row from functions.describeAppointments. The 24h reminder can go out
+// on the day of the visit, so the wording follows the appointment's date rather than the kind of reminder
+function renderReminder(row, now = new Date()){
+    const when = reminderDay(row.start, now);
+    const dentist = row.dentist && row.dentist !== "N/A" ? ` with ${row.dentist}` : "";
+
+    return {
+        subject: `Appointment reminder: ${row.service} ${when} at ${row.formattedTime}`,
+        text: `Hi ${row.firstName},\n\n`
+            + `This is a reminder of your ${row.service} appointment${dentist} ${when}, `
+            + `${row.start.toDateString()} at ${row.formattedTime}.\n`
+            + `If you cannot make it, please call the clinic so we can give the slot to another patient.\n\n`
+            + functions.getClinicDetails().name
+    };
+}
+
+// email is preferred, contact numbers get an SMS if the transport can send one
+function reminderRecipient(row, channels){
+    if(row.email && row.email !== "N/A" && channels.includes('email')){
+        return {channel: 'email', to: row.email};
+    }
+
+    if(row.contact && row.contact !== "N/A" && channels.includes('sms')){
+        return {channel: 'sms', to: row.contact};
+    }
+
+    return null;
+}
+
+// recipient and message of an appointment's reminder without sending it
+async function previewReminder(appointment, kind){
+    const [row] = await functions.describeAppointments([appointment]);
+    const recipient = reminderRecipient(row, getTransport().channels);
+
+    return {
+        kind: kind,
+        transport: getTransport().name,
+        channel: recipient ? recipient.channel : null,
+        to: recipient ? recipient.to : null,
+        ...renderReminder(row)
+    };
+}
+
+// sends and records the reminder on the appointment. sentBy is the staff name for resends by hand
+async function sendReminder(appointment, kind, sentBy){
+    const preview = await previewReminder(appointment, kind);
+
+    let record = {
+        kind: kind,
+        channel: preview.channel,
+        to: preview.to,
+        transport: preview.transport,
+        sentBy: sentBy
+    };
+
+    try{
+        if(!preview.to){
+            throw new Error('No email or contact number to send the reminder to.');
+        }
+
+        await getTransport().send(preview);
+        record.status = 'sent';
+    } catch(error){
+        console.error(`Error sending ${kind} reminder for appointment ${appointment.id}:`, error.message);
+        record.status = 'failed';
+        record.error = error.message;
+    }
+
+    appointment.reminders.push(record);
+    await appointment.save();
+
+    return record;
+}
+
+// sends every reminder that is due: booked appointments starting within the reminder's window
+// that have not had it sent yet for their current time. Only the 2h reminder goes out for bookings made less than 2 hours ahead.
+async function runReminderJob(){
+    const now = new Date();
+
+    for(const kind of Object.keys(reminderKinds)){
+        const windowEnd = new Date(now.getTime() + reminderKinds[kind] * 60 * 60 * 1000);
+        const shorterKinds = Object.keys(reminderKinds).filter(other => reminderKinds[other] < reminderKinds[kind]);
+        const shorterStart = shorterKinds.length ? new Date(now.getTime() + Math.max(...shorterKinds.map(other => reminderKinds[other])) * 60 * 60 * 1000) : now;
+
+        const appointments = await appointmentModel.find({
+            status: 'booked',
+            start: {$gt: shorterStart, $lte: windowEnd},
+            reminders: {$not: {$elemMatch: {kind: kind, status: 'sent', superseded: {$ne: true}}}}
+        });
+
+        for(const appointment of appointments){
+            const attempts = appointment.reminders.filter(reminder => reminder.kind === kind && !reminder.superseded).length;
+
+            if(attempts < maxAttempts){
+                await sendReminder(appointment, kind);
+            }
+        }
+    }
+}
+
+// checks for due reminders every REMINDER_INTERVAL minutes (default 5)
+function startReminderJob(){
+    if(process.env.REMINDER_TRANSPORT === 'off'){
+        return null;
+    }
+
+    const minutes = parseInt(process.env.REMINDER_INTERVAL) || 5;
+
+    return setInterval(() => {
+        runReminderJob().catch(error => console.error('Error running reminder job:', error));
+    }, minutes * 60 * 1000);
+}
+
+module.exports = {
+    reminderKinds,
+    createTransport,
+    renderReminder,
+    previewReminder,
+    sendReminder,
+    runReminderJob,
+    startReminderJob
+};
@@ -1,11 +1,33 @@
+// passwords are stored in plain text here and hashed by populateDatabase
 const sampleAccounts = [
     {
         accountID: 1,
-        accountType: 'Doctor',
+        accountType: 'Dentist',
         accountOwnerName: 'Juan De La Cruz',
         accountUserName: 'juan_dlc',
         accountPass: 'juan_dlc'
+    },
+    {
+        accountID: 2,
+        accountType: 'Admin',
+        accountOwnerName: 'Maria Santos',
+        accountUserName: 'admin',
+        accountPass: 'admin'
+    },
+    {
+        accountID: 3,
+        accountType: 'Assistant',
+        accountOwnerName: 'Jose Reyes',
+        accountUserName: 'jose_r',
+        accountPass: 'jose_r'
+    },
+    {
+        accountID: 4,
+        accountType: 'Front Desk',
+        accountOwnerName: 'Ana Lim',
+        accountUserName: 'ana_l',
+        accountPass: 'ana_l'
     }
 ];
 
-module.exports = sampleAccounts;
\ No newline at end of file
+module.exports = sampleAccounts;
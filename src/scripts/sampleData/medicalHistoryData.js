@@ -6,11 +6,17 @@ const sampleMedicalHistory = [
         physicianSpecialty: 'N/A',
         physicianOfficeNumber: 4,
         prescription: 'medicine',
+        medications: [
+            {drug: 'Warfarin', dose: '5 mg', frequency: 'once daily', startDate: new Date('2023-06-01')}
+        ],
         illnessOrSurgery: 'broken tooth',
         condition: 'cancer',
         isUsingTobacco: true,
         isAlcoholOrDrugs: false,
-        allergies: ['Latex', 'Aspirin'],
+        allergies: [
+            {substance: 'Latex', reaction: 'rash', severity: 'mild'},
+            {substance: 'Aspirin', reaction: 'hives', severity: 'moderate'}
+        ],
         isPregnant: true,
         isNursing: false,
         isBirthControlPills: true,
@@ -2,12 +2,14 @@ const sampleServices = [
     {
         service: "Teeth Cleaning",
         price: 500,
-        type: 'Non-Ortho'
+        type: 'Non-Ortho',
+        duration: 45
     },
     {
         service: "Braces",
         price: 2000,
-        type: 'Ortho'
+        type: 'Ortho',
+        duration: 60
     }
 ];
 
@@ -2,7 +2,7 @@ const sampleTreatments = [
     {
         id: 1,
         date: new Date(),
-        teethAffected: [6, 7],
+        teethAffected: [13, 12], //FDI, Universal 6 and 7
         procedure: 'root canal',
         dentist: 'Dr. John Doe',
         amountCharged: 1000,
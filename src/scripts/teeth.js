@@ -0,0 +1,163 @@
+// tooth numbering. Teeth are stored as FDI numbers (11-48 permanent, 51-85 primary) and shown and typed
+// in the numbering each account prefers, or the clinic's TOOTH_NUMBERING in .env:
+//   universal - 1-32 permanent, A-T primary (default)
+//   fdi       - two digits, quadrant then position
+//   palmer    - quadrant and position, e.g. UR6 or LLC
+require('dotenv').config();
+
+const numberingSystems = {
+    universal: 'Universal',
+    fdi: 'FDI',
+    palmer: 'Palmer'
+};
+
+const primaryLetters = 'ABCDEFGHIJKLMNOPQRST';
+const palmerQuadrants = {1: 'UR', 2: 'UL', 3: 'LL', 4: 'LR', 5: 'UR', 6: 'UL', 7: 'LL', 8: 'LR'};
+
+function clinicNumbering(){
+    const system = (process.env.TOOTH_NUMBERING || '').toLowerCase();
+
+    return numberingSystems[system] ? system : 'universal';
+}
+
+// the account's own numbering, or the clinic's
+function numberingFor(account){
+    return account && numberingSystems[account.toothNumbering] ? account.toothNumbering : clinicNumbering();
+}
+
+function isPrimary(fdi){
+    return Math.floor(fdi / 10) >= 5;
+}
+
+// 11-18, 21-28, 31-38, 41-48 and 51-55 ... 81-85
+function isValidTooth(fdi){
+    const quadrant = Math.floor(fdi / 10);
+    const position = fdi % 10;
+
+    return Number.isInteger(fdi) && quadrant >= 1 && quadrant <= 8 && position >= 1 && position <= (quadrant >= 5 ? 5 : 8);
+}
+
+// teeth in Universal order: 1-32 and A-T both run from the upper right to the upper left,
+// then from the lower left to the lower right
+function universalOrder(primary){
+    const count = primary ? 5 : 8;
+    const offset = primary ? 4 : 0;
+    let order = [];
+
+    for(let position = count; position >= 1; position--) order.push((1 + offset) * 10 + position);
+    for(let position = 1; position <= count; position++) order.push((2 + offset) * 10 + position);
+    for(let position = count; position >= 1; position--) order.push((3 + offset) * 10 + position);
+    for(let position = 1; position <= count; position++) order.push((4 + offset) * 10 + position);
+
+    return order;
+}
+
+const permanentOrder = universalOrder(false);
+const primaryOrder = universalOrder(true);
+
+function universalToFDI(tooth){
+    if(/^\d+$/.test(tooth)){
+        return permanentOrder[parseInt(tooth) - 1] || null;
+    }
+
+    const index = primaryLetters.indexOf(tooth.toUpperCase());
+    return index >= 0 && tooth.length === 1 ? primaryOrder[index] : null;
+}
+
+// FDI number of a tooth typed in the given numbering, null if there is no such tooth
+function toFDI(tooth, system){
+    tooth = String(tooth === undefined || tooth === null ? '' : tooth).trim();
+    let fdi = null;
+
+    if(system === 'fdi'){
+        fdi = /^\d{2}$/.test(tooth) ? parseInt(tooth) : null;
+    } else if(system === 'palmer'){
+        const match = tooth.toUpperCase().match(/^(UR|UL|LL|LR)([1-8]|[A-E])$/);
+
+        if(match){
+            const isPrimaryTooth = /[A-E]/.test(match[2]);
+            const quadrant = ['UR', 'UL', 'LL', 'LR'].indexOf(match[1]) + 1 + (isPrimaryTooth ? 4 : 0);
+            const position = isPrimaryTooth ? match[2].charCodeAt(0) - 64 : parseInt(match[2]);
+            fdi = quadrant * 10 + position;
+        }
+    } else {
+        fdi = universalToFDI(tooth);
+    }
+
+    return fdi !== null && isValidTooth(fdi) ? fdi : null;
+}
+
+// label of an FDI tooth in the given numbering
+function formatTooth(fdi, system){
+    if(!isValidTooth(fdi)){
+        return String(fdi);
+    }
+
+    if(system === 'fdi'){
+        return String(fdi);
+    }
+
+    if(system === 'palmer'){
+        const position = fdi % 10;
+        return palmerQuadrants[Math.floor(fdi / 10)] + (isPrimary(fdi) ? primaryLetters[position - 1] : position);
+    }
+
+    return isPrimary(fdi) ? primaryLetters[primaryOrder.indexOf(fdi)] : String(permanentOrder.indexOf(fdi) + 1);
+}
+
+// FDI numbers from a comma separated list in the given numbering. invalid holds what could not be read
+function parseTeeth(input, system){
+    const entries = (Array.isArray(input) ? input : String(input || '').split(','))
+        .map(entry => String(entry).trim())
+        .filter(entry => entry !== '');
+
+    let teeth = [];
+    let invalid = [];
+
+    entries.forEach(entry => {
+        const fdi = toFDI(entry, system);
+
+        if(fdi === null){
+            invalid.push(entry);
+        } else if(!teeth.includes(fdi)){
+            teeth.push(fdi);
+        }
+    });
+
+    return {teeth: teeth, invalid: invalid};
+}
+
+function formatTeeth(teeth, system){
+    return (teeth || []).map(fdi => formatTooth(fdi, system)).join(', ');
+}
+
+// upper and lower arches as seen facing the patient, the patient's right on the left
+function archRows(primary){
+    const order = primary ? primaryOrder : permanentOrder;
+    const half = order.length / 2;
+
+    return [
+        {isUpper: true, teeth: order.slice(0, half)},
+        {isUpper: false, teeth: order.slice(half).reverse()}
+    ];
+}
+
+// the patient's right side, shown on the left of a chart
+function isRightSide(fdi){
+    return [1, 4, 5, 8].includes(Math.floor(fdi / 10));
+}
+
+module.exports = {
+    numberingSystems,
+    clinicNumbering,
+    numberingFor,
+    isPrimary,
+    isValidTooth,
+    toFDI,
+    universalToFDI,
+    formatTooth,
+    parseTeeth,
+    formatTeeth,
+    archRows,
+    isRightSide
+};